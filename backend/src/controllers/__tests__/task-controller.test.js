@@ -0,0 +1,489 @@
+// The Prisma client isn't generated here; raw queries only need its SQL helpers
+jest.mock('@prisma/client', () => ({
+  Prisma: {
+    sql: (strings, ...values) => ({ strings, values }),
+    join: (values) => values,
+  },
+}));
+
+const TaskController = require('../task-controller');
+
+/**
+ * In-memory database with the transaction semantics bulkTasks relies on
+ * A transaction works on a copy of the committed tasks that only replaces
+ * them when the callback resolves; savepoints snapshot the copy.
+ */
+function createFakeDatabase(initialTasks = []) {
+  const committed = new Map(initialTasks.map((task) => [task.id, task]));
+  const statements = [];
+
+  const prisma = {
+    task: { groupBy: async () => [] },
+    $transaction: jest.fn(async (callback) => {
+      const tasks = new Map(committed);
+      const savepoints = new Map();
+
+      const tx = {
+        tasks,
+        $executeRaw: async (strings) => {
+          const statement = strings.join('');
+          statements.push(statement);
+
+          const [, command, name] = /^(SAVEPOINT|ROLLBACK TO SAVEPOINT|RELEASE SAVEPOINT) (\w+)$/.exec(statement);
+          if (command === 'SAVEPOINT') {
+            savepoints.set(name, new Map(tasks));
+          } else if (command === 'RELEASE SAVEPOINT') {
+            savepoints.delete(name);
+          } else {
+            tasks.clear();
+            savepoints.get(name).forEach((task, id) => tasks.set(id, task));
+          }
+        },
+      };
+
+      const result = await callback(tx);
+      committed.clear();
+      tasks.forEach((task, id) => committed.set(id, task));
+      return result;
+    }),
+  };
+
+  return { prisma, committed, statements };
+}
+
+const task = (id, fields = {}) => ({
+  id,
+  title: `Task ${id}`,
+  status: 'TODO',
+  workspaceId: 'ws-1',
+  parentId: null,
+  projectId: null,
+  deletedAt: null,
+  tags: [],
+  reminderOffsets: [],
+  ...fields,
+});
+
+const notFound = { statusCode: 404, error: 'Not Found', message: 'Task not found' };
+
+function createReply() {
+  return {
+    code: jest.fn(function code(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    }),
+    header: jest.fn(function header(name, value) {
+      this.headers = { ...this.headers, [name]: value };
+      return this;
+    }),
+    send: jest.fn(function send(body) {
+      this.body = body;
+      return this;
+    }),
+  };
+}
+
+const user = { id: 'user-1', memberships: [{ workspaceId: 'ws-1', role: 'OWNER', workspace: { personal: true } }] };
+
+describe('TaskController.bulkTasks', () => {
+  let database;
+  let controller;
+
+  const bulk = async (operations, atomic) => {
+    const reply = createReply();
+    await controller.bulkTasks({ body: { operations, atomic }, user, headers: {} }, reply);
+    return reply;
+  };
+
+  beforeEach(() => {
+    database = createFakeDatabase([task('a'), task('b')]);
+    controller = new TaskController({
+      prisma: database.prisma,
+      log: { error: jest.fn() },
+    });
+
+    // Writes go to the transaction's copy, so rollbacks can be observed
+    let created = 0;
+    jest.spyOn(controller, 'insertTask').mockImplementation(async (tx, actor, data) => {
+      created += 1;
+      const inserted = task(`new-${created}`, { title: data.title });
+      tx.tasks.set(inserted.id, inserted);
+      return { change: { type: 'created', task: inserted } };
+    });
+    jest.spyOn(controller, 'applyTaskUpdate').mockImplementation(async (tx, actor, id, data) => {
+      const existingTask = tx.tasks.get(id);
+      if (!existingTask) {
+        return { failure: notFound };
+      }
+
+      const updated = { ...existingTask, ...data };
+      tx.tasks.set(id, updated);
+      // A statement failing after the first write leaves it half applied
+      if (data.title === 'explode') {
+        throw new Error('deadlock detected');
+      }
+
+      return {
+        change: {
+          type: 'updated',
+          existingTask,
+          task: updated,
+          openOccurrences: [],
+          seriesTasks: [],
+          nextTask: null,
+          nextSubtasks: [],
+          cascadedTasks: [],
+          cascadedTaskIds: [],
+          movedSubtasks: [],
+          movedSubtaskIds: [],
+          changedSubtasks: [],
+          projectChanged: false,
+          previousParentId: null,
+        },
+      };
+    });
+    jest.spyOn(controller, 'trashTask').mockImplementation(async (tx, actor, id) => {
+      const existingTask = tx.tasks.get(id);
+      if (!existingTask) {
+        return { failure: notFound };
+      }
+
+      tx.tasks.set(id, { ...existingTask, deletedAt: new Date() });
+      return { change: { type: 'trashed', existingTask, descendants: [], descendantIds: [] } };
+    });
+    jest.spyOn(controller, 'finishChanges').mockResolvedValue();
+    jest.spyOn(controller, 'publishChanges').mockResolvedValue();
+  });
+
+  describe('atomic', () => {
+    it('applies every operation in one transaction', async () => {
+      const reply = await bulk([
+        { op: 'update', id: 'a', data: { status: 'DONE' } },
+        { op: 'delete', id: 'b' },
+        { op: 'create', data: { title: 'Fresh' } },
+      ], true);
+
+      expect(reply.statusCode).toBe(200);
+      expect(reply.body.results.map((result) => [result.index, result.op, result.ok]))
+        .toEqual([[0, 'update', true], [1, 'delete', true], [2, 'create', true]]);
+      expect(reply.body.results[1].taskId).toBe('b');
+      expect(database.committed.get('a').status).toBe('DONE');
+      expect(database.committed.get('b').deletedAt).toBeInstanceOf(Date);
+      expect(database.committed.get('new-1').title).toBe('Fresh');
+      expect(database.prisma.$transaction).toHaveBeenCalledTimes(1);
+      // No savepoints are needed when any failure undoes everything
+      expect(database.statements).toEqual([]);
+      expect(controller.finishChanges).toHaveBeenCalledWith(expect.anything(), expect.any(Array));
+      expect(controller.publishChanges.mock.calls[0][0]).toHaveLength(3);
+    });
+
+    it('rolls back every operation at the first failure', async () => {
+      const reply = await bulk([
+        { op: 'update', id: 'a', data: { status: 'DONE' } },
+        { op: 'create', data: { title: 'Fresh' } },
+        { op: 'delete', id: 'missing' },
+        { op: 'delete', id: 'b' },
+      ], true);
+
+      expect(reply.statusCode).toBe(404);
+      expect(reply.body).toEqual({
+        error: 'Not Found',
+        message: 'Operation 2 failed, no changes were applied: Task not found',
+        index: 2,
+      });
+      expect(database.committed.get('a').status).toBe('TODO');
+      expect(database.committed.has('new-1')).toBe(false);
+      // Operations after the failure never run
+      expect(controller.trashTask).toHaveBeenCalledTimes(1);
+      expect(controller.finishChanges).not.toHaveBeenCalled();
+      expect(controller.publishChanges).not.toHaveBeenCalled();
+    });
+
+    it('rolls back and answers 500 when an operation throws', async () => {
+      const reply = await bulk([
+        { op: 'update', id: 'b', data: { status: 'DONE' } },
+        { op: 'update', id: 'a', data: { title: 'explode' } },
+      ], true);
+
+      expect(reply.statusCode).toBe(500);
+      expect(database.committed.get('a').title).toBe('Task a');
+      expect(database.committed.get('b').status).toBe('TODO');
+    });
+
+    it('refuses creates without a title and updates without an id', async () => {
+      const reply = await bulk([{ op: 'create', data: {} }], true);
+      expect(reply.statusCode).toBe(400);
+      expect(reply.body.message).toBe('Operation 0 failed, no changes were applied: New tasks need a title');
+
+      const second = await bulk([{ op: 'update', data: { status: 'DONE' } }], true);
+      expect(second.body.message).toBe('Operation 0 failed, no changes were applied: update operations need a task id');
+      expect(controller.insertTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('best effort', () => {
+    it('runs each operation in its own savepoint', async () => {
+      await bulk([
+        { op: 'update', id: 'a', data: { status: 'DONE' } },
+        { op: 'delete', id: 'missing' },
+      ], false);
+
+      expect(database.statements).toEqual([
+        'SAVEPOINT bulk_operation',
+        'RELEASE SAVEPOINT bulk_operation',
+        'SAVEPOINT bulk_operation',
+        'ROLLBACK TO SAVEPOINT bulk_operation',
+      ]);
+    });
+
+    it('skips failing operations and applies the others', async () => {
+      const reply = await bulk([
+        { op: 'update', id: 'a', data: { status: 'DONE' } },
+        { op: 'delete', id: 'missing' },
+        { op: 'delete', id: 'b' },
+      ], false);
+
+      expect(reply.statusCode).toBe(200);
+      expect(reply.body.results[0]).toMatchObject({ index: 0, op: 'update', ok: true });
+      expect(reply.body.results[1]).toEqual({ index: 1, op: 'delete', ok: false, ...notFound });
+      expect(reply.body.results[2]).toEqual({ index: 2, op: 'delete', ok: true, taskId: 'b' });
+      expect(database.committed.get('a').status).toBe('DONE');
+      expect(database.committed.get('b').deletedAt).toBeInstanceOf(Date);
+      // Only applied operations have side effects
+      expect(controller.publishChanges.mock.calls[0][0].map((change) => change.type)).toEqual(['updated', 'trashed']);
+    });
+
+    it('undoes the partial writes of an operation that throws', async () => {
+      const reply = await bulk([
+        { op: 'update', id: 'a', data: { title: 'explode' } },
+        { op: 'update', id: 'b', data: { status: 'DONE' } },
+      ], false);
+
+      expect(reply.statusCode).toBe(200);
+      expect(reply.body.results[0]).toEqual({
+        index: 0,
+        op: 'update',
+        ok: false,
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'Error applying operation',
+      });
+      expect(database.committed.get('a').title).toBe('Task a');
+      expect(database.committed.get('b').status).toBe('DONE');
+    });
+
+    it('commits nothing when every operation fails', async () => {
+      const reply = await bulk([
+        { op: 'delete', id: 'missing' },
+        { op: 'create', data: {} },
+      ], false);
+
+      expect(reply.body.results.map((result) => result.ok)).toEqual([false, false]);
+      expect([...database.committed.keys()]).toEqual(['a', 'b']);
+      expect(controller.publishChanges).toHaveBeenCalledWith([], expect.any(Map));
+    });
+  });
+});
+
+describe('TaskController.searchTasks', () => {
+  // Every column of a task row, as a task list returns it
+  const stored = {
+    id: 'a',
+    title: 'Quarterly report',
+    description: 'Numbers for the board',
+    status: 'TODO',
+    priority: 2,
+    dueDate: new Date('2026-11-02T09:30:00.000Z'),
+    createdAt: new Date('2026-10-01T08:00:00.000Z'),
+    updatedAt: new Date('2026-10-02T08:00:00.000Z'),
+    userId: 'user-1',
+    workspaceId: 'ws-1',
+    assigneeId: null,
+    parentId: null,
+    position: 0,
+    recurrenceRule: 'FREQ=MONTHLY',
+    recurrenceStart: new Date('2026-11-02T09:30:00.000Z'),
+    timeZone: 'Europe/Berlin',
+    seriesId: 'a',
+    reminderOffsets: [30],
+    projectId: null,
+    deletedAt: null,
+    externalId: 'ext-a',
+    version: 3,
+    tags: [],
+  };
+
+  let row;
+  let controller;
+
+  // Answers the search query with only the columns its SELECT names
+  async function queryRaw(strings) {
+    const sql = strings.join('?');
+    if (sql.includes('FOR UPDATE')) {
+      return [{ id: row.id }];
+    }
+
+    const result = {};
+    const selectList = sql.slice(sql.indexOf('SELECT'), sql.indexOf('FROM ('));
+    for (const [, column, alias] of selectList.matchAll(/\bt\.(\w+)(?:::\w+)?(?: AS "?(\w+)"?)?,?\n/g)) {
+      const field = column.replace(/_(\w)/g, (match, char) => char.toUpperCase());
+      result[alias || column] = column === 'rank' ? 0.5 : row[field];
+    }
+    for (const [, alias] of selectList.matchAll(/AS "(\w+Highlight)"/g)) {
+      result[alias] = row.title;
+    }
+    return [result];
+  }
+
+  beforeEach(() => {
+    row = { ...stored };
+    const prisma = {
+      $queryRaw: jest.fn(queryRaw),
+      $transaction: async (callback) => callback(prisma),
+      task: {
+        findMany: async () => [{ id: row.id, tags: [] }],
+        findUnique: async () => ({ ...row }),
+        update: async ({ data }) => {
+          row = { ...row, status: data.status || row.status, version: row.version + 1 };
+          return { ...row };
+        },
+        groupBy: async () => [],
+      },
+    };
+
+    controller = new TaskController({ prisma, log: { error: jest.fn() } });
+    jest.spyOn(controller, 'finishChanges').mockResolvedValue();
+    jest.spyOn(controller, 'invalidateTaskCaches').mockResolvedValue();
+    jest.spyOn(controller, 'notifyMembers').mockResolvedValue();
+    jest.spyOn(controller, 'parentProgress').mockResolvedValue(null);
+  });
+
+  const search = async () => {
+    const reply = createReply();
+    await controller.searchTasks({ query: { q: 'report', limit: 20 }, user }, reply);
+    return reply;
+  };
+
+  const updateStatus = async (ifMatch) => {
+    const reply = createReply();
+    await controller.updateTask({
+      params: { id: 'a' },
+      body: { status: 'IN_PROGRESS' },
+      headers: { 'if-match': ifMatch },
+      user,
+      auth: {},
+    }, reply);
+    return reply;
+  };
+
+  it('returns results with every field of a listed task', async () => {
+    const reply = await search();
+    const [result] = reply.body.tasks;
+
+    expect(reply.statusCode).toBe(200);
+    expect(result).toMatchObject(stored);
+    expect(result.highlight).toEqual({ title: stored.title, description: stored.title });
+  });
+
+  it('returns versions that updates from the results can match', async () => {
+    const [result] = (await search()).body.tasks;
+
+    // The dashboard sends the version of the copy it shows
+    const reply = await updateStatus(`"${result.version}"`);
+
+    expect(reply.statusCode).toBe(200);
+    expect(reply.body.task).toMatchObject({ status: 'IN_PROGRESS', version: 4 });
+    expect(reply.headers.ETag).toBe('"4"');
+  });
+
+  it('still refuses updates from results that went stale', async () => {
+    const [result] = (await search()).body.tasks;
+    await updateStatus(`"${result.version}"`);
+
+    const reply = await updateStatus(`"${result.version}"`);
+
+    expect(reply.statusCode).toBe(412);
+    expect(reply.body.task.version).toBe(4);
+  });
+});
+
+describe('TaskController.applyTaskUpdate', () => {
+  let rows;
+  let db;
+  let controller;
+
+  // Enough of Prisma's `where` for the queries a cascade runs
+  const matches = (row, where) => Object.entries(where).every(([field, condition]) => {
+    if (condition === undefined) return true;
+    if (condition && condition.in) return condition.in.includes(row[field]);
+    if (condition && 'not' in condition) return row[field] !== condition.not;
+    return row[field] === condition;
+  });
+
+  beforeEach(() => {
+    rows = new Map([
+      task('parent', { userId: 'user-1' }),
+      task('open', { parentId: 'parent', version: 1 }),
+      task('done', { parentId: 'parent', status: 'DONE', version: 5 }),
+      task('recurring', { parentId: 'open', recurrenceRule: 'FREQ=DAILY', version: 2 }),
+    ].map((row) => [row.id, row]));
+
+    db = {
+      task: {
+        findUnique: async ({ where }) => rows.get(where.id) || null,
+        findMany: async ({ where }) => [...rows.values()].filter((row) => matches(row, where)),
+        update: async ({ where, data }) => {
+          const row = rows.get(where.id);
+          rows.set(where.id, { ...row, status: data.status || row.status, version: (row.version || 1) + 1 });
+          return rows.get(where.id);
+        },
+        updateMany: jest.fn(async ({ where, data }) => {
+          [...rows.values()].filter((row) => matches(row, where)).forEach((row) => {
+            rows.set(row.id, { ...row, status: data.status, version: row.version + data.version.increment });
+          });
+        }),
+      },
+    };
+
+    controller = new TaskController({ prisma: db, log: { error: jest.fn() } });
+    jest.spyOn(controller, 'createNextOccurrence').mockImplementation(async (subtask) => (
+      task(`${subtask.id}-next`, { parentId: subtask.parentId, recurrenceRule: subtask.recurrenceRule })
+    ));
+  });
+
+  const completeParent = () => controller.applyTaskUpdate(db, user, 'parent', { status: 'DONE', cascade: true });
+
+  it('completes the open subtasks of a cascade', async () => {
+    const { change } = await completeParent();
+
+    expect(change.cascadedTaskIds.sort()).toEqual(['open', 'recurring']);
+    expect(rows.get('open')).toMatchObject({ status: 'DONE', version: 2 });
+    expect(rows.get('recurring')).toMatchObject({ status: 'DONE', version: 3 });
+    // Clients get the subtasks with their new versions
+    expect(change.changedSubtasks.map((subtask) => [subtask.id, subtask.version]).sort())
+      .toEqual([['open', 2], ['recurring', 3]]);
+  });
+
+  it('leaves subtasks that were already done alone', async () => {
+    await completeParent();
+
+    expect(rows.get('done').version).toBe(5);
+  });
+
+  it('creates the next occurrence of recurring subtasks it completes', async () => {
+    const { change } = await completeParent();
+
+    expect(controller.createNextOccurrence).toHaveBeenCalledTimes(1);
+    expect(controller.createNextOccurrence.mock.calls[0][0]).toMatchObject({ id: 'recurring', recurrenceRule: 'FREQ=DAILY' });
+    expect(change.nextSubtasks.map((subtask) => subtask.id)).toEqual(['recurring-next']);
+  });
+
+  it('creates no occurrence for recurring subtasks that were already done', async () => {
+    rows.set('recurring', { ...rows.get('recurring'), status: 'DONE' });
+
+    const { change } = await completeParent();
+
+    expect(controller.createNextOccurrence).not.toHaveBeenCalled();
+    expect(change.nextSubtasks).toEqual([]);
+  });
+});
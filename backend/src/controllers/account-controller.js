@@ -0,0 +1,194 @@
+const { passwordHasher } = require('../services/password-hasher');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  consumePasswordResetToken,
+  consumeEmailVerification,
+} = require('../services/account-emails');
+
+/**
+ * Account Controller
+ *
+ * Handles account recovery and email ownership:
+ * - Password reset via emailed single-use tokens
+ * - Email verification
+ */
+class AccountController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+    this.passwordHasher = passwordHasher;
+  }
+
+  /**
+   * Start a password reset
+   * Always responds the same way so the endpoint can't be used to probe for accounts
+   */
+  async forgotPassword(request, reply) {
+    const { email } = request.body;
+
+    try {
+      const user = await this.prisma.user.findFirst({
+        where: {
+          email: { equals: email, mode: 'insensitive' },
+        },
+        select: { id: true, email: true },
+      });
+
+      // Sent in the background: waiting for it, or failing with it, would
+      // make responses for existing accounts stand out
+      if (user) {
+        sendPasswordResetEmail(this.fastify, user).catch((error) => {
+          this.fastify.log.error(`Error sending password reset email: ${error.message}`);
+        });
+      }
+
+      return reply.code(200).send({
+        message: 'If an account exists for that email, a reset link has been sent',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Forgot password error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error requesting password reset',
+      });
+    }
+  }
+
+  /**
+   * Complete a password reset
+   * Revokes every existing session for the user
+   */
+  async resetPassword(request, reply) {
+    const { token, password } = request.body;
+
+    try {
+      const resetToken = await consumePasswordResetToken(this.prisma, token);
+
+      if (!resetToken) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid or expired reset token',
+        });
+      }
+
+      const userId = resetToken.userId;
+
+      await this.prisma.$transaction([
+        this.prisma.user.update({
+          where: { id: userId },
+          data: { password: await this.passwordHasher.hash(password) },
+        }),
+        // Any other outstanding reset links are no longer valid
+        this.prisma.passwordResetToken.updateMany({
+          where: { userId, usedAt: null },
+          data: { usedAt: new Date() },
+        }),
+        // Log the user out everywhere (refresh tokens cascade)
+        this.prisma.session.deleteMany({
+          where: { userId },
+        }),
+      ]);
+
+      this.fastify.ws.closeFiltered(
+        (connection) => connection.user && connection.user.id === userId,
+        1008,
+        'Password reset'
+      );
+
+      return reply.code(200).send({
+        message: 'Password reset successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Reset password error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error resetting password',
+      });
+    }
+  }
+
+  /**
+   * Verify an email address
+   */
+  async verifyEmail(request, reply) {
+    const { token } = request.body;
+
+    try {
+      const verification = await consumeEmailVerification(this.prisma, token);
+
+      if (!verification) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid or expired verification token',
+        });
+      }
+
+      const user = await this.prisma.user.findUnique({
+        where: { id: verification.userId },
+        select: { email: true },
+      });
+
+      // The token only proves ownership of the address it was sent to
+      if (!user || user.email.toLowerCase() !== verification.email.toLowerCase()) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid or expired verification token',
+        });
+      }
+
+      await this.prisma.user.update({
+        where: { id: verification.userId },
+        data: { emailVerifiedAt: new Date() },
+      });
+
+      // Invalidate cached profile
+      await this.fastify.cacheDelete(`user:${verification.userId}:profile`);
+
+      return reply.code(200).send({
+        message: 'Email verified successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Email verification error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error verifying email',
+      });
+    }
+  }
+
+  /**
+   * Resend the verification email for the authenticated user
+   */
+  async resendVerification(request, reply) {
+    const userId = request.user.id;
+
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true, emailVerifiedAt: true },
+      });
+
+      if (user.emailVerifiedAt) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'Email already verified',
+        });
+      }
+
+      await sendVerificationEmail(this.fastify, user);
+
+      return reply.code(200).send({
+        message: 'Verification email sent',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Resend verification error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error sending verification email',
+      });
+    }
+  }
+}
+
+module.exports = AccountController;
@@ -0,0 +1,119 @@
+const { can } = require('../policies');
+const { memberWorkspaceIds } = require('../services/workspaces');
+const { TASK_EVENT_SELECT } = require('../services/task-events');
+
+/**
+ * Activity Controller
+ *
+ * Read access to the task audit trail: the history of a single task and a
+ * feed of recent changes across the user's workspaces. Events stay readable
+ * after their task is deleted, to members of the task's workspace.
+ */
+
+// Newest first, tie-broken by id so cursors are stable
+const EVENT_ORDER = [{ createdAt: 'desc' }, { id: 'desc' }];
+
+class ActivityController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * Load one page of events
+   * Fetches one extra row to know whether another page exists.
+   */
+  async findEventPage(where, { cursor, limit }) {
+    const rows = await this.prisma.taskEvent.findMany({
+      where,
+      select: TASK_EVENT_SELECT,
+      orderBy: EVENT_ORDER,
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+
+    const hasMore = rows.length > limit;
+    const events = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+      events,
+      nextCursor: hasMore ? events[events.length - 1].id : null,
+      hasMore,
+    };
+  }
+
+  /**
+   * Get the change history of a task, newest first
+   * Deleted tasks are resolved through the workspace of their latest event.
+   */
+  async getTaskHistory(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const task = await this.prisma.task.findUnique({
+        where: { id },
+        select: { workspaceId: true },
+      }) || await this.prisma.taskEvent.findFirst({
+        where: { taskId: id },
+        select: { workspaceId: true },
+        orderBy: EVENT_ORDER,
+      });
+
+      if (!task || !can(request.user, 'task:read', task)) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Task not found',
+        });
+      }
+
+      const page = await this.findEventPage(
+        { taskId: id, workspaceId: task.workspaceId },
+        request.query
+      );
+
+      return reply.code(200).send(page);
+    } catch (error) {
+      this.fastify.log.error(`Error fetching task history: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error fetching task history',
+      });
+    }
+  }
+
+  /**
+   * Get recent task changes across the user's workspaces, newest first
+   * Can be narrowed to one workspace and to one actor ("me" for the user).
+   */
+  async getActivity(request, reply) {
+    const { workspaceId, actorId } = request.query;
+
+    try {
+      if (workspaceId && !can(request.user, 'workspace:read', { id: workspaceId })) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Workspace not found',
+        });
+      }
+
+      const where = {
+        workspaceId: workspaceId || { in: memberWorkspaceIds(request.user) },
+      };
+      if (actorId) {
+        where.actorId = actorId === 'me' ? request.user.id : actorId;
+      }
+
+      const page = await this.findEventPage(where, request.query);
+
+      return reply.code(200).send(page);
+    } catch (error) {
+      this.fastify.log.error(`Error fetching activity: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error fetching activity',
+      });
+    }
+  }
+}
+
+module.exports = ActivityController;
@@ -0,0 +1,197 @@
+const { TASK_TAGS_INCLUDE } = require('../services/tags');
+
+/**
+ * Admin Controller
+ *
+ * Administrative user management. Access is enforced at the route level
+ * with `requirePermission` preHandlers.
+ */
+
+// Fields exposed for users in admin listings
+const ADMIN_USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  emailVerifiedAt: true,
+  disabledAt: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: {
+    select: { tasks: true },
+  },
+};
+
+class AdminController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * List and search users by email or name
+   */
+  async listUsers(request, reply) {
+    const { q, role, disabled, limit, offset } = request.query;
+
+    const where = {};
+    if (q) {
+      where.OR = [
+        { email: { contains: q, mode: 'insensitive' } },
+        { name: { contains: q, mode: 'insensitive' } },
+      ];
+    }
+    if (role) {
+      where.role = role;
+    }
+    if (disabled !== undefined) {
+      where.disabledAt = disabled ? { not: null } : null;
+    }
+
+    try {
+      const [users, total] = await this.prisma.$transaction([
+        this.prisma.user.findMany({
+          where,
+          select: ADMIN_USER_SELECT,
+          orderBy: { createdAt: 'desc' },
+          take: limit,
+          skip: offset,
+        }),
+        this.prisma.user.count({ where }),
+      ]);
+
+      return reply.code(200).send({
+        users,
+        total,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing users: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing users',
+      });
+    }
+  }
+
+  /**
+   * Get a single user
+   */
+  async getUser(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id },
+        select: ADMIN_USER_SELECT,
+      });
+
+      if (!user) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'User not found',
+        });
+      }
+
+      return reply.code(200).send({
+        user,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error fetching user: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error fetching user',
+      });
+    }
+  }
+
+  /**
+   * Disable or re-enable an account
+   * Disabling revokes all sessions and closes the user's WebSocket connections
+   */
+  async setUserDisabled(request, reply) {
+    const { id } = request.params;
+    const { disabled } = request.body;
+
+    if (id === request.user.id) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'You cannot disable your own account',
+      });
+    }
+
+    try {
+      const existingUser = await this.prisma.user.findUnique({
+        where: { id },
+        select: { id: true },
+      });
+
+      if (!existingUser) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'User not found',
+        });
+      }
+
+      const user = await this.prisma.user.update({
+        where: { id },
+        data: { disabledAt: disabled ? new Date() : null },
+        select: ADMIN_USER_SELECT,
+      });
+
+      if (disabled) {
+        await this.prisma.session.deleteMany({
+          where: { userId: id },
+        });
+
+        this.fastify.ws.closeFiltered(
+          (connection) => connection.user && connection.user.id === id,
+          1008,
+          'Account disabled'
+        );
+      }
+
+      // Invalidate cached profile
+      await this.fastify.cacheDelete(`user:${id}:profile`);
+
+      return reply.code(200).send({
+        user,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error updating user status: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error updating user status',
+      });
+    }
+  }
+
+  /**
+   * List any user's tasks
+   */
+  async getUserTasks(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const tasks = await this.prisma.task.findMany({
+        where: { userId: id, deletedAt: null },
+        include: TASK_TAGS_INCLUDE,
+        orderBy: [
+          { priority: 'desc' },
+          { createdAt: 'desc' },
+        ],
+      });
+
+      return reply.code(200).send({
+        tasks,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error fetching user tasks: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error fetching user tasks',
+      });
+    }
+  }
+}
+
+module.exports = AdminController;
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { can } = require('../policies');
+const {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_SELECT,
+  isAllowedType,
+} = require('../services/attachments');
+
+/**
+ * Attachment Controller
+ *
+ * Uploads, lists, downloads and deletes files attached to tasks.
+ * File contents go through the `fastify.storage` driver; uploads and
+ * downloads are streamed rather than buffered in memory.
+ */
+class AttachmentController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * Load a task and check the user may perform `action` on it
+   * Resolves to `{ task }`, or to `{ failure }` holding the error response
+   */
+  async findTask(user, taskId, action) {
+    const task = await this.prisma.task.findUnique({
+      where: { id: taskId },
+    });
+
+    if (!task || task.deletedAt) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Task not found' },
+      };
+    }
+
+    if (!can(user, action, task)) {
+      return {
+        failure: {
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'You do not have permission to access this task',
+        },
+      };
+    }
+
+    return { task };
+  }
+
+  /**
+   * List a task's attachments
+   */
+  async listAttachments(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const { failure } = await this.findTask(request.user, id, 'task:read');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const attachments = await this.prisma.attachment.findMany({
+        where: { taskId: id },
+        select: ATTACHMENT_SELECT,
+        orderBy: { createdAt: 'asc' },
+      });
+
+      return reply.code(200).send({
+        attachments,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing attachments: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing attachments',
+      });
+    }
+  }
+
+  /**
+   * Upload a file to a task (multipart/form-data with a single file field)
+   */
+  async uploadAttachment(request, reply) {
+    const { id } = request.params;
+
+    if (!request.isMultipart()) {
+      return reply.code(415).send({
+        error: 'Unsupported Media Type',
+        message: 'Uploads must be sent as multipart/form-data',
+      });
+    }
+
+    try {
+      const { task, failure } = await this.findTask(request.user, id, 'task:update');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const file = await request.file();
+      if (!file) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'No file uploaded',
+        });
+      }
+
+      if (!isAllowedType(file.mimetype)) {
+        // Drain the upload so the connection can be reused
+        file.file.resume();
+        return reply.code(415).send({
+          error: 'Unsupported Media Type',
+          message: `Files of type ${file.mimetype} are not allowed`,
+        });
+      }
+
+      const attachmentId = crypto.randomUUID();
+      const storageKey = `${task.id}/${attachmentId}`;
+
+      const { size } = await this.fastify.storage.put(storageKey, file.file);
+
+      // The multipart size limit cuts the stream short rather than failing it
+      if (file.file.truncated) {
+        await this.fastify.storage.delete(storageKey);
+        return reply.code(413).send({
+          error: 'Payload Too Large',
+          message: `Files may be at most ${ATTACHMENT_MAX_BYTES} bytes`,
+        });
+      }
+
+      let attachment;
+      try {
+        attachment = await this.prisma.attachment.create({
+          data: {
+            id: attachmentId,
+            filename: file.filename,
+            mimeType: file.mimetype,
+            size,
+            storageKey,
+            taskId: task.id,
+            uploaderId: request.user.id,
+          },
+          select: ATTACHMENT_SELECT,
+        });
+      } catch (err) {
+        // Don't keep a file nothing refers to
+        await this.fastify.storage.delete(storageKey);
+        throw err;
+      }
+
+      return reply.code(201).send({
+        attachment,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error uploading attachment: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error uploading attachment',
+      });
+    }
+  }
+
+  /**
+   * Stream an attachment's contents
+   */
+  async downloadAttachment(request, reply) {
+    const { id, attachmentId } = request.params;
+
+    try {
+      const { failure } = await this.findTask(request.user, id, 'task:read');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const attachment = await this.prisma.attachment.findFirst({
+        where: { id: attachmentId, taskId: id },
+      });
+
+      if (!attachment) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Attachment not found',
+        });
+      }
+
+      const stream = await this.fastify.storage.get(attachment.storageKey);
+
+      // Always download rather than render, so uploaded HTML/SVG can't run in our origin
+      return reply
+        .code(200)
+        .header('Content-Type', attachment.mimeType)
+        .header('Content-Length', attachment.size)
+        .header('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`)
+        .header('X-Content-Type-Options', 'nosniff')
+        .send(stream);
+    } catch (error) {
+      this.fastify.log.error(`Error downloading attachment: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error downloading attachment',
+      });
+    }
+  }
+
+  /**
+   * Delete an attachment and its stored file
+   */
+  async deleteAttachment(request, reply) {
+    const { id, attachmentId } = request.params;
+
+    try {
+      const { failure } = await this.findTask(request.user, id, 'task:update');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const attachment = await this.prisma.attachment.findFirst({
+        where: { id: attachmentId, taskId: id },
+      });
+
+      if (!attachment) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Attachment not found',
+        });
+      }
+
+      await this.prisma.attachment.delete({
+        where: { id: attachmentId },
+      });
+
+      await this.fastify.storage.delete(attachment.storageKey);
+
+      return reply.code(200).send({
+        message: 'Attachment deleted successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error deleting attachment: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error deleting attachment',
+      });
+    }
+  }
+}
+
+module.exports = AttachmentController;
@@ -1,11 +1,89 @@
+const {
+  isPersonalAccessToken,
+  findPersonalAccessToken,
+  hasScopes,
+} = require('../services/personal-access-tokens');
+const { MEMBERSHIPS_SELECT } = require('../services/workspaces');
+
 /**
  * Authentication Middleware
  * 
  * JWT-based authentication middleware with performance optimizations.
  * Verifies user token and attaches user information to the request.
+ * Personal access tokens are accepted as well; they are limited to routes
+ * that declare the scopes they need in `config.scopes`.
+ * The user's workspace memberships are loaded too, for the access policies.
  */
 
-// Authenticate requests using JWT
+// Only write session activity to the database once per interval
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000; // 1 minute
+
+// Record session activity without delaying the request
+function touchSession(server, session) {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_UPDATE_INTERVAL) {
+    return;
+  }
+
+  server.prisma.session
+    .update({
+      where: { id: session.id },
+      data: { lastSeenAt: new Date() },
+    })
+    .catch((err) => {
+      server.log.warn(`Failed to update session activity: ${err.message}`);
+    });
+}
+
+// Record token usage without delaying the request
+function touchPersonalAccessToken(server, accessToken) {
+  if (accessToken.lastUsedAt && Date.now() - accessToken.lastUsedAt.getTime() < LAST_SEEN_UPDATE_INTERVAL) {
+    return;
+  }
+
+  server.prisma.personalAccessToken
+    .update({
+      where: { id: accessToken.id },
+      data: { lastUsedAt: new Date() },
+    })
+    .catch((err) => {
+      server.log.warn(`Failed to update token usage: ${err.message}`);
+    });
+}
+
+// Authenticate a request made with a personal access token
+async function authenticatePersonalAccessToken(request, reply, token) {
+  const accessToken = await findPersonalAccessToken(request.server.prisma, token);
+
+  if (!accessToken) {
+    return reply.code(401).send({
+      error: 'Unauthorized',
+      message: 'Invalid or expired access token',
+    });
+  }
+
+  if (accessToken.user.disabledAt) {
+    return reply.code(403).send({
+      error: 'Forbidden',
+      message: 'Account disabled',
+    });
+  }
+
+  // Routes without declared scopes are only available to interactive sessions
+  const requiredScopes = request.routeOptions.config.scopes;
+  if (!requiredScopes || !hasScopes(accessToken.scopes, requiredScopes)) {
+    return reply.code(403).send({
+      error: 'Forbidden',
+      message: 'Access token is missing a required scope',
+    });
+  }
+
+  request.user = accessToken.user;
+  request.auth = { type: 'token', tokenId: accessToken.id, scopes: accessToken.scopes };
+
+  touchPersonalAccessToken(request.server, accessToken);
+}
+
+// Authenticate requests using JWT or a personal access token
 async function authenticate(request, reply) {
   try {
     // Extract token from Authorization header
@@ -19,6 +97,10 @@ async function authenticate(request, reply) {
 
     const token = authHeader.replace('Bearer ', '');
 
+    if (isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(request, reply, token);
+    }
+
     try {
       // Verify JWT token
       const decoded = request.server.jwt.verify(token);
@@ -37,6 +119,9 @@ async function authenticate(request, reply) {
               id: true,
               email: true,
               name: true,
+              role: true,
+              disabledAt: true,
+              memberships: MEMBERSHIPS_SELECT,
             },
           },
         },
@@ -49,8 +134,17 @@ async function authenticate(request, reply) {
         });
       }
 
-      // Attach user info to request for use in route handlers
+      if (session.user.disabledAt) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'Account disabled',
+        });
+      }
+
+      // Attach user and session info to request for use in route handlers
       request.user = session.user;
+      request.session = { id: session.id };
+      request.auth = { type: 'session' };
       
       // Also validate that the user ID in the token matches the session user
       if (decoded.id !== session.user.id) {
@@ -59,6 +153,8 @@ async function authenticate(request, reply) {
           message: 'Invalid authentication token',
         });
       }
+
+      touchSession(request.server, session);
     } catch (err) {
       // JWT verification failed
       return reply.code(401).send({
@@ -104,6 +200,9 @@ async function authenticateWebSocket(connection, request) {
               id: true,
               email: true,
               name: true,
+              role: true,
+              disabledAt: true,
+              memberships: MEMBERSHIPS_SELECT,
             },
           },
         },
@@ -114,8 +213,14 @@ async function authenticateWebSocket(connection, request) {
         return false;
       }
 
-      // Attach user info to connection for use in WebSocket handlers
+      if (session.user.disabledAt) {
+        connection.socket.close(1008, 'Account disabled');
+        return false;
+      }
+
+      // Attach user and session info to connection for use in WebSocket handlers
       connection.user = session.user;
+      connection.sessionId = session.id;
       
       // Also validate that the user ID in the token matches the session user
       if (decoded.id !== session.user.id) {
@@ -123,6 +228,8 @@ async function authenticateWebSocket(connection, request) {
         return false;
       }
       
+      touchSession(request.server, session);
+      
       return true;
     } catch (err) {
       // JWT verification failed
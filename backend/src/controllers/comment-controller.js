@@ -0,0 +1,276 @@
+const { can } = require('../policies');
+
+/**
+ * Comment Controller
+ *
+ * Threaded discussion on tasks. Everyone who can see a task can read and
+ * post comments, and changes are pushed over WebSocket to those same users.
+ */
+
+// Fields exposed for a comment
+const COMMENT_SELECT = {
+  id: true,
+  body: true,
+  taskId: true,
+  editedAt: true,
+  deletedAt: true,
+  createdAt: true,
+  author: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+class CommentController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * Load a task the user may see
+   * Resolves to `{ task }`, or to `{ failure }` holding the error response
+   */
+  async findReadableTask(user, taskId) {
+    const task = await this.prisma.task.findUnique({
+      where: { id: taskId },
+    });
+
+    if (!task || task.deletedAt) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Task not found' },
+      };
+    }
+
+    if (!can(user, 'task:read', task)) {
+      return {
+        failure: {
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'You do not have permission to access this task',
+        },
+      };
+    }
+
+    return { task };
+  }
+
+  /**
+   * Send a comment event to every connection that can see the task
+   */
+  notifyTaskViewers(task, message) {
+    this.fastify.ws.broadcastFiltered(
+      { ...message, projectId: task.projectId },
+      (connection) => Boolean(connection.user) && can(connection.user, 'task:read', task)
+    );
+  }
+
+  /**
+   * List a task's comments, oldest first
+   */
+  async listComments(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const { failure } = await this.findReadableTask(request.user, id);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const comments = await this.prisma.comment.findMany({
+        where: { taskId: id },
+        select: COMMENT_SELECT,
+        orderBy: { createdAt: 'asc' },
+      });
+
+      return reply.code(200).send({
+        comments,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing comments: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing comments',
+      });
+    }
+  }
+
+  /**
+   * Post a comment on a task
+   * Sends real-time WebSocket notification
+   */
+  async createComment(request, reply) {
+    const { id } = request.params;
+    const { body } = request.body;
+
+    try {
+      const { task, failure } = await this.findReadableTask(request.user, id);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      if (!can(request.user, 'comment:create', task)) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You do not have permission to comment on this task',
+        });
+      }
+
+      const comment = await this.prisma.comment.create({
+        data: {
+          body,
+          taskId: id,
+          authorId: request.user.id,
+        },
+        select: COMMENT_SELECT,
+      });
+
+      this.notifyTaskViewers(task, {
+        type: 'COMMENT_CREATED',
+        comment,
+      });
+
+      return reply.code(201).send({
+        comment,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error creating comment: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error creating comment',
+      });
+    }
+  }
+
+  /**
+   * Edit a comment (authors only)
+   * Sends real-time WebSocket notification
+   */
+  async updateComment(request, reply) {
+    const { id, commentId } = request.params;
+    const { body } = request.body;
+
+    try {
+      const { task, failure } = await this.findReadableTask(request.user, id);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const existingComment = await this.prisma.comment.findFirst({
+        where: { id: commentId, taskId: id, deletedAt: null },
+      });
+
+      if (!existingComment) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Comment not found',
+        });
+      }
+
+      if (!can(request.user, 'comment:update', existingComment)) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You can only edit your own comments',
+        });
+      }
+
+      const comment = await this.prisma.comment.update({
+        where: { id: commentId },
+        data: {
+          body,
+          editedAt: new Date(),
+        },
+        select: COMMENT_SELECT,
+      });
+
+      this.notifyTaskViewers(task, {
+        type: 'COMMENT_UPDATED',
+        comment,
+      });
+
+      return reply.code(200).send({
+        comment,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error updating comment: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error updating comment',
+      });
+    }
+  }
+
+  /**
+   * Delete a comment
+   * The comment stays in the thread with its body cleared.
+   * Sends real-time WebSocket notification
+   */
+  async deleteComment(request, reply) {
+    const { id, commentId } = request.params;
+
+    try {
+      const { task, failure } = await this.findReadableTask(request.user, id);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const existingComment = await this.prisma.comment.findFirst({
+        where: { id: commentId, taskId: id, deletedAt: null },
+      });
+
+      if (!existingComment) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Comment not found',
+        });
+      }
+
+      if (!can(request.user, 'comment:delete', existingComment)) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You do not have permission to delete this comment',
+        });
+      }
+
+      const comment = await this.prisma.comment.update({
+        where: { id: commentId },
+        data: {
+          body: null,
+          deletedAt: new Date(),
+        },
+        select: COMMENT_SELECT,
+      });
+
+      this.notifyTaskViewers(task, {
+        type: 'COMMENT_DELETED',
+        comment,
+      });
+
+      return reply.code(200).send({
+        message: 'Comment deleted successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error deleting comment: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error deleting comment',
+      });
+    }
+  }
+}
+
+module.exports = CommentController;
@@ -0,0 +1,225 @@
+const { passwordHasher } = require('../services/password-hasher');
+const { createTokenService } = require('../services/token-service');
+const { generateSecret, buildOtpauthUrl } = require('../services/totp');
+const {
+  verifyMfaPendingToken,
+  regenerateRecoveryCodes,
+  verifyUserTotp,
+  verifySecondFactor,
+} = require('../services/mfa');
+
+/**
+ * MFA Controller
+ *
+ * Handles TOTP two-factor enrollment and the second step of login.
+ */
+class MfaController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+    this.passwordHasher = passwordHasher;
+    this.tokenService = createTokenService(fastify);
+  }
+
+  /**
+   * Start TOTP enrollment
+   * Generates a pending secret and its otpauth:// provisioning URI
+   */
+  async setup(request, reply) {
+    const userId = request.user.id;
+
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: userId },
+        select: { email: true, totpEnabledAt: true },
+      });
+
+      if (user.totpEnabledAt) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'Two-factor authentication is already enabled',
+        });
+      }
+
+      const secret = generateSecret();
+
+      await this.prisma.user.update({
+        where: { id: userId },
+        data: { totpSecret: secret, totpLastUsedStep: null },
+      });
+
+      return reply.code(200).send({
+        secret,
+        otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email }),
+      });
+    } catch (error) {
+      this.fastify.log.error(`MFA setup error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error setting up two-factor authentication',
+      });
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * Returns the one-time recovery codes
+   */
+  async enable(request, reply) {
+    const userId = request.user.id;
+    const { code } = request.body;
+
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: userId },
+      });
+
+      if (user.totpEnabledAt) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'Two-factor authentication is already enabled',
+        });
+      }
+
+      if (!user.totpSecret) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Two-factor setup has not been started',
+        });
+      }
+
+      if (!(await verifyUserTotp(this.prisma, user, code))) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid verification code',
+        });
+      }
+
+      await this.prisma.user.update({
+        where: { id: userId },
+        data: { totpEnabledAt: new Date() },
+      });
+
+      const recoveryCodes = await regenerateRecoveryCodes(this.prisma, userId);
+
+      return reply.code(200).send({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+      });
+    } catch (error) {
+      this.fastify.log.error(`MFA enable error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error enabling two-factor authentication',
+      });
+    }
+  }
+
+  /**
+   * Disable two-factor authentication
+   * Requires the password and a current code or recovery code
+   */
+  async disable(request, reply) {
+    const userId = request.user.id;
+    const { password, code, recoveryCode } = request.body;
+
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: userId },
+      });
+
+      if (!user.totpEnabledAt) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Two-factor authentication is not enabled',
+        });
+      }
+
+      const passwordValid = await this.passwordHasher.verify(password, user.password);
+      if (!passwordValid || !(await verifySecondFactor(this.prisma, user, { code, recoveryCode }))) {
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Invalid password or verification code',
+        });
+      }
+
+      await this.prisma.$transaction([
+        this.prisma.user.update({
+          where: { id: userId },
+          data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null },
+        }),
+        this.prisma.mfaRecoveryCode.deleteMany({
+          where: { userId },
+        }),
+      ]);
+
+      return reply.code(200).send({
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      this.fastify.log.error(`MFA disable error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error disabling two-factor authentication',
+      });
+    }
+  }
+
+  /**
+   * Second login step: exchange an "mfa pending" token and a code for a session
+   */
+  async verifyLogin(request, reply) {
+    const { mfaToken, code, recoveryCode } = request.body;
+
+    try {
+      const userId = verifyMfaPendingToken(this.fastify, mfaToken);
+
+      const user = userId && await this.prisma.user.findUnique({
+        where: { id: userId },
+      });
+
+      if (!user || !user.totpEnabledAt) {
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Invalid or expired MFA token',
+        });
+      }
+
+      if (user.disabledAt) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'Account disabled',
+        });
+      }
+
+      // Six-digit codes are easy to guess, so lock out repeated failures
+      const lockoutKey = `mfa:${user.id}`;
+      const lockedForMs = await this.fastify.rateLimiter.getLockout(lockoutKey);
+      if (lockedForMs > 0) {
+        return this.fastify.rateLimiter.sendTooManyRequests(reply, lockedForMs);
+      }
+
+      if (!(await verifySecondFactor(this.prisma, user, { code, recoveryCode }))) {
+        await this.fastify.rateLimiter.recordFailure(lockoutKey);
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Invalid verification code',
+        });
+      }
+
+      await this.fastify.rateLimiter.resetFailures(lockoutKey);
+
+      const payload = await this.tokenService.issueTokens(user, request);
+
+      return reply.code(200).send(payload);
+    } catch (error) {
+      this.fastify.log.error(`MFA login error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error logging in',
+      });
+    }
+  }
+}
+
+module.exports = MfaController;
@@ -0,0 +1,372 @@
+const { can } = require('../policies');
+const {
+  personalWorkspaceId,
+  memberWorkspaceIds,
+  notifyWorkspace,
+  invalidateWorkspaceTaskLists,
+} = require('../services/workspaces');
+const { eventActor, taskEvent, recordTaskEvents } = require('../services/task-events');
+
+/**
+ * Project Controller
+ *
+ * Manages the projects of the user's workspaces, the lists that group tasks.
+ * Every member sees a workspace's projects; editors and owners change them.
+ * Changes are pushed over WebSocket so the members' open clients can update
+ * their project sidebar.
+ */
+
+// Fields exposed for a project
+const PROJECT_SELECT = {
+  id: true,
+  name: true,
+  color: true,
+  archived: true,
+  position: true,
+  workspaceId: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+class ProjectController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * Drop cached tasks after their project changed
+   */
+  async invalidateTaskCaches(workspaceId, taskIds) {
+    await Promise.all(taskIds.map((taskId) => this.fastify.cacheDelete(`task:${taskId}`)));
+    await invalidateWorkspaceTaskLists(this.fastify, workspaceId);
+  }
+
+  /**
+   * Load a project the user may manage
+   * Resolves to `{ project }`, or to `{ failure }` holding the error response
+   */
+  async findManageableProject(user, id) {
+    const project = await this.prisma.project.findUnique({
+      where: { id },
+      select: { id: true, workspaceId: true },
+    });
+
+    if (!project || !can(user, 'workspace:read', { id: project.workspaceId })) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Project not found' },
+      };
+    }
+
+    if (!can(user, 'project:manage', { id: project.workspaceId })) {
+      return {
+        failure: {
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'You do not have permission to change this project',
+        },
+      };
+    }
+
+    return { project };
+  }
+
+  /**
+   * List the projects of the user's workspaces in sidebar order, with their task counts
+   * `workspaceId` limits the list to one workspace. Archived projects are
+   * left out unless `includeArchived` is set.
+   */
+  async listProjects(request, reply) {
+    const { includeArchived, workspaceId } = request.query;
+    const workspaceIds = memberWorkspaceIds(request.user);
+
+    try {
+      const projects = await this.prisma.project.findMany({
+        where: {
+          workspaceId: {
+            in: workspaceId ? workspaceIds.filter((id) => id === workspaceId) : workspaceIds,
+          },
+          archived: includeArchived ? undefined : false,
+        },
+        select: {
+          ...PROJECT_SELECT,
+          _count: {
+            select: { tasks: { where: { deletedAt: null } } },
+          },
+        },
+        orderBy: [
+          { position: 'asc' },
+          { createdAt: 'asc' },
+        ],
+      });
+
+      return reply.code(200).send({
+        projects,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing projects: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing projects',
+      });
+    }
+  }
+
+  /**
+   * Create a project at the end of its workspace's list
+   * Projects go to the user's personal workspace unless `workspaceId` is given.
+   */
+  async createProject(request, reply) {
+    const name = request.body.name.trim();
+    const { color } = request.body;
+    const workspaceId = request.body.workspaceId || personalWorkspaceId(request.user);
+
+    try {
+      if (!can(request.user, 'project:manage', { id: workspaceId })) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You do not have permission to add projects to this workspace',
+        });
+      }
+
+      const { _max: max } = await this.prisma.project.aggregate({
+        where: { workspaceId },
+        _max: { position: true },
+      });
+
+      const project = await this.prisma.project.create({
+        data: {
+          name,
+          color,
+          workspaceId,
+          position: max.position === null ? 0 : max.position + 1,
+        },
+        select: PROJECT_SELECT,
+      });
+
+      await notifyWorkspace(this.fastify, workspaceId, {
+        type: 'PROJECT_CREATED',
+        project,
+      });
+
+      return reply.code(201).send({
+        project,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error creating project: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error creating project',
+      });
+    }
+  }
+
+  /**
+   * Rename, recolor, archive or unarchive a project
+   */
+  async updateProject(request, reply) {
+    const { id } = request.params;
+    const { color, archived } = request.body;
+    const name = request.body.name !== undefined ? request.body.name.trim() : undefined;
+
+    try {
+      const { failure } = await this.findManageableProject(request.user, id);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const project = await this.prisma.project.update({
+        where: { id },
+        data: {
+          name,
+          color,
+          archived,
+        },
+        select: PROJECT_SELECT,
+      });
+
+      await notifyWorkspace(this.fastify, project.workspaceId, {
+        type: 'PROJECT_UPDATED',
+        project,
+      });
+
+      return reply.code(200).send({
+        project,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error updating project: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error updating project',
+      });
+    }
+  }
+
+  /**
+   * Reorder the projects of a workspace (the personal one unless `workspaceId` is given)
+   * `projectIds` must list every project (archived ones included) exactly once
+   */
+  async reorderProjects(request, reply) {
+    const { projectIds } = request.body;
+    const workspaceId = request.body.workspaceId || personalWorkspaceId(request.user);
+
+    try {
+      if (!can(request.user, 'project:manage', { id: workspaceId })) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You do not have permission to reorder the projects of this workspace',
+        });
+      }
+
+      const projects = await this.prisma.project.findMany({
+        where: { workspaceId },
+        select: { id: true },
+      });
+
+      const currentIds = projects.map((project) => project.id);
+      const sameSet = projectIds.length === currentIds.length
+        && new Set(projectIds).size === projectIds.length
+        && projectIds.every((projectId) => currentIds.includes(projectId));
+
+      if (!sameSet) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'projectIds must list every project exactly once',
+        });
+      }
+
+      await this.prisma.$transaction(
+        projectIds.map((projectId, position) => this.prisma.project.update({
+          where: { id: projectId },
+          data: { position },
+        }))
+      );
+
+      await notifyWorkspace(this.fastify, workspaceId, {
+        type: 'PROJECTS_REORDERED',
+        workspaceId,
+        projectIds,
+      });
+
+      return reply.code(200).send({
+        message: 'Projects reordered successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error reordering projects: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error reordering projects',
+      });
+    }
+  }
+
+  /**
+   * Delete a project
+   * With `tasks=move` (the default) its tasks move to the `moveTo` project
+   * of the same workspace, or out of any project; with `tasks=delete` they
+   * move to the trash, out of any project, where they can be restored until
+   * the trash is purged.
+   */
+  async deleteProject(request, reply) {
+    const { id } = request.params;
+    const { tasks: mode, moveTo } = request.query;
+
+    try {
+      const { project, failure } = await this.findManageableProject(request.user, id);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+      const { workspaceId } = project;
+
+      if (mode === 'move' && moveTo) {
+        const target = moveTo !== id && await this.prisma.project.findFirst({
+          where: { id: moveTo, workspaceId },
+          select: { id: true },
+        });
+
+        if (!target) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: 'moveTo must be another project of the same workspace',
+          });
+        }
+      }
+
+      // Subtasks share their parent's project, so this is every affected task
+      const tasks = await this.prisma.task.findMany({
+        where: { projectId: id },
+        select: {
+          id: true,
+          title: true,
+          workspaceId: true,
+          projectId: true,
+          dueDate: true,
+          status: true,
+          reminderOffsets: true,
+          deletedAt: true,
+        },
+      });
+      const taskIds = tasks.map((task) => task.id);
+      // Tasks already in the trash keep their own deletion time
+      const trashedTasks = mode === 'delete' ? tasks.filter((task) => !task.deletedAt) : [];
+
+      if (mode === 'delete') {
+        // One timestamp for all of them, so each task is restored with its subtasks (see trashTask)
+        await this.prisma.$transaction([
+          this.prisma.task.updateMany({
+            where: { id: { in: trashedTasks.map((task) => task.id) } },
+            data: { deletedAt: new Date() },
+          }),
+          this.prisma.task.updateMany({
+            where: { projectId: id },
+            data: { projectId: null, version: { increment: 1 } },
+          }),
+          this.prisma.project.delete({ where: { id } }),
+        ]);
+
+        await Promise.all(trashedTasks.map((task) => this.fastify.reminders.cancel(task)));
+      } else {
+        await this.prisma.$transaction([
+          this.prisma.task.updateMany({
+            where: { projectId: id },
+            data: { projectId: moveTo || null, version: { increment: 1 } },
+          }),
+          this.prisma.project.delete({ where: { id } }),
+        ]);
+      }
+
+      const actor = eventActor(request);
+      await recordTaskEvents(this.fastify, mode === 'delete'
+        ? trashedTasks.map((task) => taskEvent(actor, task, null))
+        : tasks.map((task) => taskEvent(actor, task, { ...task, projectId: moveTo || null })));
+
+      await this.invalidateTaskCaches(workspaceId, taskIds);
+
+      await notifyWorkspace(this.fastify, workspaceId, {
+        type: 'PROJECT_DELETED',
+        projectId: id,
+        deletedTaskIds: trashedTasks.map((task) => task.id),
+        movedTaskIds: mode === 'delete' ? [] : taskIds,
+        movedTo: mode === 'delete' ? null : moveTo || null,
+      });
+
+      return reply.code(200).send({
+        message: 'Project deleted successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error deleting project: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error deleting project',
+      });
+    }
+  }
+}
+
+module.exports = ProjectController;
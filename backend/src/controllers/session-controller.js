@@ -0,0 +1,189 @@
+/**
+ * Session Controller
+ *
+ * Lets users list, inspect and revoke their active sessions.
+ * Revoking a session also closes any WebSocket connections opened with it.
+ */
+
+// Fields exposed for a session (never the token itself)
+const SESSION_SELECT = {
+  id: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastSeenAt: true,
+  expiresAt: true,
+};
+
+class SessionController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * A session is active while its access token or any of its
+   * unused refresh tokens is still valid
+   */
+  activeSessionWhere(userId) {
+    const now = new Date();
+
+    return {
+      userId,
+      OR: [
+        { expiresAt: { gt: now } },
+        { refreshTokens: { some: { usedAt: null, expiresAt: { gt: now } } } },
+      ],
+    };
+  }
+
+  /**
+   * Close WebSocket connections belonging to the given sessions
+   */
+  closeSessionConnections(sessionIds) {
+    const ids = new Set(sessionIds);
+
+    return this.fastify.ws.closeFiltered(
+      (connection) => ids.has(connection.sessionId),
+      1008,
+      'Session revoked'
+    );
+  }
+
+  /**
+   * List active sessions for the authenticated user
+   */
+  async listSessions(request, reply) {
+    const userId = request.user.id;
+
+    try {
+      const sessions = await this.prisma.session.findMany({
+        where: this.activeSessionWhere(userId),
+        select: SESSION_SELECT,
+        orderBy: { lastSeenAt: 'desc' },
+      });
+
+      return reply.code(200).send({
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session.id === request.session.id,
+        })),
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing sessions: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing sessions',
+      });
+    }
+  }
+
+  /**
+   * Get a single session
+   */
+  async getSession(request, reply) {
+    const { id } = request.params;
+    const userId = request.user.id;
+
+    try {
+      const session = await this.prisma.session.findFirst({
+        where: { id, userId },
+        select: SESSION_SELECT,
+      });
+
+      // Other users' sessions are reported as missing
+      if (!session) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Session not found',
+        });
+      }
+
+      return reply.code(200).send({
+        session: {
+          ...session,
+          current: session.id === request.session.id,
+        },
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error fetching session: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error fetching session',
+      });
+    }
+  }
+
+  /**
+   * Revoke a single session
+   */
+  async revokeSession(request, reply) {
+    const { id } = request.params;
+    const userId = request.user.id;
+
+    try {
+      const { count } = await this.prisma.session.deleteMany({
+        where: { id, userId },
+      });
+
+      if (count === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Session not found',
+        });
+      }
+
+      this.closeSessionConnections([id]);
+
+      return reply.code(200).send({
+        message: 'Session revoked successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error revoking session: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error revoking session',
+      });
+    }
+  }
+
+  /**
+   * Revoke all sessions ("log out everywhere")
+   * Pass `exceptCurrent=true` to keep the session making the request
+   */
+  async revokeAllSessions(request, reply) {
+    const userId = request.user.id;
+    const { exceptCurrent } = request.query;
+
+    try {
+      const where = exceptCurrent
+        ? { userId, id: { not: request.session.id } }
+        : { userId };
+
+      const sessions = await this.prisma.session.findMany({
+        where,
+        select: { id: true },
+      });
+      const sessionIds = sessions.map((session) => session.id);
+
+      await this.prisma.session.deleteMany({
+        where: { id: { in: sessionIds } },
+      });
+
+      this.closeSessionConnections(sessionIds);
+
+      return reply.code(200).send({
+        message: 'Sessions revoked successfully',
+        revoked: sessionIds.length,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error revoking sessions: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error revoking sessions',
+      });
+    }
+  }
+}
+
+module.exports = SessionController;
@@ -0,0 +1,212 @@
+const { TAG_SELECT } = require('../services/tags');
+
+/**
+ * Tag Controller
+ *
+ * Manages the authenticated user's tags. Tasks embed their tags, so
+ * renaming, recoloring or deleting a tag invalidates the cached tasks.
+ */
+class TagController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * IDs of the tasks carrying a tag
+   */
+  async findTaggedTaskIds(tagId) {
+    const tasks = await this.prisma.task.findMany({
+      where: { tags: { some: { id: tagId } } },
+      select: { id: true },
+    });
+
+    return tasks.map((task) => task.id);
+  }
+
+  /**
+   * Drop cached tasks that embed a changed tag
+   */
+  async invalidateTaskCaches(userId, taskIds) {
+    await Promise.all(taskIds.map((taskId) => this.fastify.cacheDelete(`task:${taskId}`)));
+    await this.fastify.cacheDeletePattern(`user:${userId}:tasks:*`);
+  }
+
+  /**
+   * Check whether the user already has a tag with this name (case insensitive)
+   */
+  async nameTaken(userId, name, exceptId) {
+    const existing = await this.prisma.tag.findFirst({
+      where: {
+        userId,
+        name: { equals: name, mode: 'insensitive' },
+        id: exceptId ? { not: exceptId } : undefined,
+      },
+      select: { id: true },
+    });
+
+    return Boolean(existing);
+  }
+
+  /**
+   * List the user's tags with their task counts
+   */
+  async listTags(request, reply) {
+    const userId = request.user.id;
+
+    try {
+      const tags = await this.prisma.tag.findMany({
+        where: { userId },
+        select: {
+          ...TAG_SELECT,
+          _count: {
+            select: { tasks: { where: { deletedAt: null } } },
+          },
+        },
+        orderBy: { name: 'asc' },
+      });
+
+      return reply.code(200).send({
+        tags,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing tags: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing tags',
+      });
+    }
+  }
+
+  /**
+   * Create a tag
+   */
+  async createTag(request, reply) {
+    const userId = request.user.id;
+    const name = request.body.name.trim();
+    const { color } = request.body;
+
+    try {
+      if (await this.nameTaken(userId, name)) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'A tag with this name already exists',
+        });
+      }
+
+      const tag = await this.prisma.tag.create({
+        data: {
+          name,
+          color,
+          userId,
+        },
+        select: TAG_SELECT,
+      });
+
+      return reply.code(201).send({
+        tag,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error creating tag: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error creating tag',
+      });
+    }
+  }
+
+  /**
+   * Rename or recolor a tag
+   */
+  async updateTag(request, reply) {
+    const { id } = request.params;
+    const userId = request.user.id;
+    const { color } = request.body;
+    const name = request.body.name !== undefined ? request.body.name.trim() : undefined;
+
+    try {
+      const existingTag = await this.prisma.tag.findFirst({
+        where: { id, userId },
+        select: { id: true },
+      });
+
+      if (!existingTag) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Tag not found',
+        });
+      }
+
+      if (name !== undefined && await this.nameTaken(userId, name, id)) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'A tag with this name already exists',
+        });
+      }
+
+      const tag = await this.prisma.tag.update({
+        where: { id },
+        data: {
+          name,
+          color,
+        },
+        select: TAG_SELECT,
+      });
+
+      await this.invalidateTaskCaches(userId, await this.findTaggedTaskIds(id));
+
+      return reply.code(200).send({
+        tag,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error updating tag: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error updating tag',
+      });
+    }
+  }
+
+  /**
+   * Delete a tag (tasks keep existing without it)
+   */
+  async deleteTag(request, reply) {
+    const { id } = request.params;
+    const userId = request.user.id;
+
+    try {
+      const existingTag = await this.prisma.tag.findFirst({
+        where: { id, userId },
+        select: { id: true },
+      });
+
+      if (!existingTag) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Tag not found',
+        });
+      }
+
+      // Look up the tagged tasks while the links still exist
+      const taskIds = await this.findTaggedTaskIds(id);
+
+      await this.prisma.tag.delete({
+        where: { id },
+      });
+
+      await this.invalidateTaskCaches(userId, taskIds);
+
+      return reply.code(200).send({
+        message: 'Tag deleted successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error deleting tag: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error deleting tag',
+      });
+    }
+  }
+}
+
+module.exports = TagController;
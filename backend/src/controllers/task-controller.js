@@ -1,3 +1,184 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { can } = require('../policies');
+const { searchTasks } = require('../services/task-search');
+const { TASK_TAGS_INCLUDE, resolveTagIds, tagRefCondition } = require('../services/tags');
+const {
+  getDescendantIds,
+  checkPlacement,
+  nextPosition,
+  getProgress,
+  withProgress,
+} = require('../services/subtasks');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  normalizeRule,
+  upcomingOccurrences,
+  nextOccurrence,
+} = require('../services/recurrence');
+const {
+  personalWorkspaceId,
+  memberWorkspaceIds,
+  notifyWorkspace,
+  invalidateWorkspaceTaskLists,
+} = require('../services/workspaces');
+const { eventActor, taskEvent, recordTaskEvents } = require('../services/task-events');
+const {
+  CONTENT_TYPES,
+  contentExternalId,
+  exportChunks,
+  parseImport,
+  formatOfContentType,
+} = require('../services/task-transfer');
+
+// Sortable task fields; results are always tie-broken by id so cursors are stable
+const SORT_FIELDS = ['priority', 'createdAt', 'updatedAt', 'dueDate', 'title'];
+
+// Longest a bulk request's transaction may run, in milliseconds
+const BULK_TRANSACTION_TIMEOUT = 30000;
+
+// Tasks loaded at a time while streaming an export
+const EXPORT_BATCH_SIZE = 200;
+
+// Most rows one import may hold
+const MAX_IMPORT_ROWS = 1000;
+
+// Longest an import's transaction may run, in milliseconds
+const IMPORT_TRANSACTION_TIMEOUT = 120000;
+
+// Oldest first, tie-broken by id so export batches can follow a cursor
+const EXPORT_ORDER = [{ createdAt: 'asc' }, { id: 'asc' }];
+
+// Rolls back the transaction of a dry-run import once every row is checked
+class ImportDryRun extends Error {}
+
+// Aborts an all-or-nothing bulk transaction at its first failing operation
+class BulkOperationFailed extends Error {
+  constructor(index, failure) {
+    super(failure.message);
+    this.index = index;
+    this.failure = failure;
+  }
+}
+
+/**
+ * Build the Prisma where/orderBy for a task list query
+ *
+ * Lists the tasks of every workspace the user belongs to, or of the one
+ * in `query.workspaceId`, leaving out the trash. Filtering on status and ordering by priority
+ * lines up with the `[status, priority]` index.
+ */
+function buildTaskListQuery(user, query) {
+  const workspaceIds = memberWorkspaceIds(user);
+  const where = {
+    workspaceId: {
+      in: query.workspaceId ? workspaceIds.filter((id) => id === query.workspaceId) : workspaceIds,
+    },
+    deletedAt: null,
+  };
+  const conditions = [];
+
+  // Subtasks are listed under their parent unless asked for explicitly
+  if (!query.includeSubtasks) {
+    where.parentId = null;
+  }
+
+  if (query.status && query.status.length > 0) {
+    where.status = { in: query.status };
+  }
+
+  if (query.priorityMin !== undefined || query.priorityMax !== undefined) {
+    where.priority = {
+      gte: query.priorityMin,
+      lte: query.priorityMax,
+    };
+  }
+
+  if (query.dueFrom || query.dueTo) {
+    where.dueDate = {
+      gte: query.dueFrom ? new Date(query.dueFrom) : undefined,
+      lte: query.dueTo ? new Date(query.dueTo) : undefined,
+    };
+  }
+
+  if (query.overdue) {
+    conditions.push(
+      { dueDate: { lt: new Date() } },
+      { status: { not: 'DONE' } }
+    );
+  }
+
+  // Tags are matched by ID or name; `tagMode=all` requires every tag
+  if (query.tags && query.tags.length > 0) {
+    if (query.tagMode === 'all') {
+      conditions.push(...query.tags.map((tag) => ({ tags: { some: tagRefCondition([tag]) } })));
+    } else {
+      where.tags = { some: tagRefCondition(query.tags) };
+    }
+  }
+
+  if (query.projectId) {
+    where.projectId = query.projectId === 'none' ? null : query.projectId;
+  }
+
+  // `me` and `none` stand for the user and for unassigned tasks
+  if (query.assigneeId === 'me') {
+    where.assigneeId = user.id;
+  } else if (query.assigneeId) {
+    where.assigneeId = query.assigneeId === 'none' ? null : query.assigneeId;
+  }
+
+  if (conditions.length > 0) {
+    where.AND = conditions;
+  }
+
+  const sort = SORT_FIELDS.includes(query.sort) ? query.sort : 'priority';
+  const order = query.order === 'asc' ? 'asc' : 'desc';
+
+  const orderBy = [{ [sort]: order }];
+  if (sort === 'priority') {
+    // Keep the historical "priority, then newest first" ordering
+    orderBy.push({ createdAt: 'desc' });
+  }
+  orderBy.push({ id: order });
+
+  return { where, orderBy };
+}
+
+// Readable message for a row validation error, e.g. "priority must be integer"
+function validationMessage(error) {
+  const field = error.instancePath.slice(1).replace(/\//g, '.');
+  return field ? `${field} ${error.message}` : error.message;
+}
+
+// ETag of a task: its version
+function taskEtag(task) {
+  return `"${task.version}"`;
+}
+
+/**
+ * Task versions an If-Match header accepts
+ * Returns null when there is no condition, or for "*" (any existing task).
+ */
+function ifMatchVersions(header) {
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+
+  return header.split(',').map((tag) => Number(tag.trim().replace(/^W\//, '').replace(/"/g, '')));
+}
+
+// Cache key for one list query (the query is normalized so equivalent requests share an entry)
+function taskListCacheKey(userId, query) {
+  const normalized = Object.keys(query)
+    .sort()
+    .filter((key) => query[key] !== undefined)
+    .map((key) => [key, query[key]]);
+  const digest = crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+  return `user:${userId}:tasks:${digest}`;
+}
+
 /**
  * Task Controller
  * 
@@ -5,6 +186,9 @@
  * - Performance optimizations
  * - Redis caching
  * - WebSocket notifications for real-time updates
+ *
+ * Tasks belong to a workspace; every member can see them and notifications
+ * go to all members. Every change is recorded in the task's history.
  */
 class TaskController {
   constructor(fastify) {
@@ -13,40 +197,246 @@ class TaskController {
   }
 
   /**
-   * Get all tasks for the authenticated user
-   * Uses Redis caching for improved performance
+   * Invalidate cached task data after a write
+   * Drops the single-task entries and every cached list query of the
+   * workspace's members
+   */
+  async invalidateTaskCaches(workspaceId, taskIds = []) {
+    await Promise.all(taskIds.filter(Boolean).map((taskId) => this.fastify.cacheDelete(`task:${taskId}`)));
+    await invalidateWorkspaceTaskLists(this.fastify, workspaceId);
+  }
+
+  /**
+   * Send a task event to every member of the task's workspace
+   */
+  async notifyMembers(workspaceId, message) {
+    await notifyWorkspace(this.fastify, workspaceId, message);
+  }
+
+  /**
+   * Current progress of a parent task, for WebSocket notifications
+   */
+  async parentProgress(parentId) {
+    if (!parentId) {
+      return null;
+    }
+
+    const progress = await getProgress(this.prisma, [parentId]);
+    return {
+      id: parentId,
+      progress: progress.get(parentId) || null,
+    };
+  }
+
+  /**
+   * Check a prospective parent task for a new or moved task
+   * Resolves to `{ parent }`, or to `{ failure }` holding the error response
+   */
+  async checkParent(user, parentId, taskId = null, db = this.prisma) {
+    const parent = await db.task.findUnique({
+      where: { id: parentId },
+    });
+
+    if (!parent || parent.deletedAt) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Parent task not found' },
+      };
+    }
+
+    if (!can(user, 'task:update', parent)) {
+      return {
+        failure: {
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'You do not have permission to add subtasks to this task',
+        },
+      };
+    }
+
+    const placement = await checkPlacement(db, taskId, parentId);
+    if (placement !== 'valid') {
+      return {
+        failure: {
+          statusCode: 400,
+          error: 'Bad Request',
+          message: placement === 'cycle'
+            ? 'A task cannot be moved under itself or one of its subtasks'
+            : 'Subtasks are nested too deeply',
+        },
+      };
+    }
+
+    return { parent };
+  }
+
+  /**
+   * Check that a project belongs to the workspace of the task being placed in it
+   * Resolves to `{ project }`, or to `{ failure }` holding the error response
+   */
+  async checkProject(workspaceId, projectId, db = this.prisma) {
+    const project = await db.project.findFirst({
+      where: { id: projectId, workspaceId },
+      select: { id: true },
+    });
+
+    if (!project) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Project not found' },
+      };
+    }
+
+    return { project };
+  }
+
+  /**
+   * Check that a prospective assignee is a member of the task's workspace
+   * Resolves to `{ member }`, or to `{ failure }` holding the error response
+   */
+  async checkAssignee(workspaceId, assigneeId, db = this.prisma) {
+    const member = await db.workspaceMember.findUnique({
+      where: { workspaceId_userId: { workspaceId, userId: assigneeId } },
+      select: { userId: true },
+    });
+
+    if (!member) {
+      return {
+        failure: {
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'Tasks can only be assigned to members of their workspace',
+        },
+      };
+    }
+
+    return { member };
+  }
+
+  /**
+   * Validate a recurrence rule and time zone for a task due at `dueDate`
+   * The rule is anchored at that due date.
+   * Resolves to `{ recurrence }` with the fields to store, or to `{ failure }`
+   */
+  checkRecurrence(recurrenceRule, timeZone, dueDate) {
+    if (!dueDate) {
+      return {
+        failure: { statusCode: 400, error: 'Bad Request', message: 'Recurring tasks need a due date' },
+      };
+    }
+
+    const { rule, error } = normalizeRule(recurrenceRule);
+    if (error) {
+      return {
+        failure: { statusCode: 400, error: 'Bad Request', message: error },
+      };
+    }
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return {
+        failure: { statusCode: 400, error: 'Bad Request', message: `Unknown time zone: ${timeZone}` },
+      };
+    }
+
+    return {
+      recurrence: {
+        recurrenceRule: rule,
+        recurrenceStart: new Date(dueDate),
+        timeZone: timeZone || DEFAULT_TIME_ZONE,
+      },
+    };
+  }
+
+  /**
+   * Create the occurrence following a completed recurring task
+   * Resolves to the new task, or null when the series has ended or the
+   * occurrence already exists (the task was reopened and completed again).
+   * The caller queues its reminders.
+   */
+  async createNextOccurrence(task, db = this.prisma) {
+    const dueDate = nextOccurrence(task);
+    if (!dueDate) {
+      return null;
+    }
+
+    const existing = await db.task.findFirst({
+      where: { seriesId: task.seriesId, dueDate },
+      select: { id: true },
+    });
+    if (existing) {
+      return null;
+    }
+
+    const created = await db.task.create({
+      data: {
+        title: task.title,
+        description: task.description,
+        status: 'TODO',
+        priority: task.priority,
+        dueDate,
+        userId: task.userId,
+        workspaceId: task.workspaceId,
+        assigneeId: task.assigneeId,
+        tags: { connect: task.tags.map((tag) => ({ id: tag.id })) },
+        parentId: task.parentId,
+        position: await nextPosition(db, task.parentId),
+        recurrenceRule: task.recurrenceRule,
+        recurrenceStart: task.recurrenceStart,
+        timeZone: task.timeZone,
+        seriesId: task.seriesId,
+        reminderOffsets: task.reminderOffsets,
+        projectId: task.projectId,
+      },
+      include: TASK_TAGS_INCLUDE,
+    });
+
+    return { ...created, progress: null };
+  }
+
+  /**
+   * Get a page of tasks from the authenticated user's workspaces
+   * Supports filtering, sorting and cursor-based pagination.
+   * Each distinct query is cached separately in Redis.
    */
   async getTasks(request, reply) {
     const userId = request.user.id;
-    const cacheKey = `user:${userId}:tasks`;
+    const { cursor, limit } = request.query;
+    const cacheKey = taskListCacheKey(userId, request.query);
     
     try {
       // Check cache first
-      const cachedTasks = await this.fastify.cacheGet(cacheKey);
+      const cachedPage = await this.fastify.cacheGet(cacheKey);
       
-      if (cachedTasks) {
+      if (cachedPage) {
         return reply.code(200).send({
-          tasks: JSON.parse(cachedTasks),
+          ...JSON.parse(cachedPage),
           fromCache: true,
         });
       }
 
       // If not in cache, query database
-      const tasks = await this.prisma.task.findMany({
-        where: {
-          userId,
-        },
-        orderBy: [
-          { priority: 'desc' },
-          { createdAt: 'desc' },
-        ],
+      const { where, orderBy } = buildTaskListQuery(request.user, request.query);
+
+      // Fetch one extra row to know whether another page exists
+      const rows = await this.prisma.task.findMany({
+        where,
+        include: TASK_TAGS_INCLUDE,
+        orderBy,
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
       });
 
+      const hasMore = rows.length > limit;
+      const tasks = await withProgress(this.prisma, hasMore ? rows.slice(0, limit) : rows);
+      const page = {
+        tasks,
+        nextCursor: hasMore ? tasks[tasks.length - 1].id : null,
+        hasMore,
+      };
+
       // Cache results (expire after 5 minutes)
-      await this.fastify.cacheSet(cacheKey, JSON.stringify(tasks), 300);
+      await this.fastify.cacheSet(cacheKey, JSON.stringify(page), 300);
 
       return reply.code(200).send({
-        tasks,
+        ...page,
         fromCache: false,
       });
     } catch (error) {
@@ -59,263 +449,1385 @@ class TaskController {
   }
 
   /**
-   * Get a specific task by ID
+   * Full-text search over the titles and descriptions of the user's workspace tasks
+   * Results are ranked and carry highlighted snippets
    */
-  async getTask(request, reply) {
-    const { id } = request.params;
-    const userId = request.user.id;
-    const cacheKey = `task:${id}`;
+  async searchTasks(request, reply) {
+    const { q, limit } = request.query;
 
     try {
-      // Check cache first
-      const cachedTask = await this.fastify.cacheGet(cacheKey);
-      
-      if (cachedTask) {
-        const task = JSON.parse(cachedTask);
-        
-        // Verify task belongs to authenticated user
-        if (task.userId !== userId) {
-          return reply.code(403).send({
-            error: 'Forbidden',
-            message: 'You do not have permission to access this task',
-          });
-        }
-        
-        return reply.code(200).send({
-          task,
-          fromCache: true,
-        });
-      }
-
-      // If not in cache, query database
-      const task = await this.prisma.task.findUnique({
-        where: {
-          id,
-        },
-      });
-
-      // Task not found
-      if (!task) {
-        return reply.code(404).send({
-          error: 'Not Found',
-          message: 'Task not found',
-        });
-      }
-
-      // Verify task belongs to authenticated user
-      if (task.userId !== userId) {
-        return reply.code(403).send({
-          error: 'Forbidden',
-          message: 'You do not have permission to access this task',
-        });
-      }
+      const results = await searchTasks(this.prisma, memberWorkspaceIds(request.user), q, { limit });
 
-      // Cache results (expire after 5 minutes)
-      await this.fastify.cacheSet(cacheKey, JSON.stringify(task), 300);
+      // Same access rule as getTask
+      const tasks = results.filter((task) => can(request.user, 'task:read', task));
 
       return reply.code(200).send({
-        task,
-        fromCache: false,
+        tasks: await withProgress(this.prisma, tasks),
       });
     } catch (error) {
-      this.fastify.log.error(`Error fetching task: ${error.message}`);
+      this.fastify.log.error(`Error searching tasks: ${error.message}`);
       return reply.code(500).send({
         error: 'Internal Server Error',
-        message: 'Error fetching task',
+        message: 'Error searching tasks',
       });
     }
   }
 
   /**
-   * Create a new task
-   * Sends real-time WebSocket notification
+   * List the direct subtasks of a task in their manual order
    */
-  async createTask(request, reply) {
-    const userId = request.user.id;
-    const { title, description, status, priority, dueDate } = request.body;
-    const userTasksCacheKey = `user:${userId}:tasks`;
+  async getSubtasks(request, reply) {
+    const { id } = request.params;
 
     try {
-      // Create new task
-      const task = await this.prisma.task.create({
-        data: {
-          title,
-          description,
-          status: status || 'TODO',
-          priority: priority || 0,
-          dueDate: dueDate ? new Date(dueDate) : null,
-          userId,
-        },
+      const parent = await this.prisma.task.findUnique({
+        where: { id },
       });
 
-      // Invalidate related caches
-      await this.fastify.cacheDelete(userTasksCacheKey);
+      if (!parent || parent.deletedAt) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Task not found',
+        });
+      }
 
-      // Send real-time WebSocket notification
-      this.fastify.ws.broadcastFiltered(
-        {
-          type: 'TASK_CREATED',
-          task,
-        },
-        (connection) => {
-          // Only send to connections of this user
-          return connection.user && connection.user.id === userId;
-        }
-      );
+      if (!can(request.user, 'task:read', parent)) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You do not have permission to access this task',
+        });
+      }
 
-      return reply.code(201).send({
-        task,
+      const subtasks = await this.prisma.task.findMany({
+        where: { parentId: id, deletedAt: null },
+        include: TASK_TAGS_INCLUDE,
+        orderBy: [
+          { position: 'asc' },
+          { createdAt: 'asc' },
+        ],
+      });
+
+      return reply.code(200).send({
+        tasks: await withProgress(this.prisma, subtasks),
       });
     } catch (error) {
-      this.fastify.log.error(`Error creating task: ${error.message}`);
+      this.fastify.log.error(`Error fetching subtasks: ${error.message}`);
       return reply.code(500).send({
         error: 'Internal Server Error',
-        message: 'Error creating task',
+        message: 'Error fetching subtasks',
       });
     }
   }
 
   /**
-   * Update an existing task
-   * Sends real-time WebSocket notification
+   * Reorder the direct subtasks of a task
+   * `taskIds` must list every subtask exactly once, in the new order
    */
-  async updateTask(request, reply) {
+  async reorderSubtasks(request, reply) {
     const { id } = request.params;
-    const userId = request.user.id;
-    const { title, description, status, priority, dueDate } = request.body;
-    const taskCacheKey = `task:${id}`;
-    const userTasksCacheKey = `user:${userId}:tasks`;
+    const { taskIds } = request.body;
 
     try {
-      // Check if task exists and belongs to the user
-      const existingTask = await this.prisma.task.findUnique({
-        where: {
-          id,
+      const parent = await this.prisma.task.findUnique({
+        where: { id },
+        include: {
+          subtasks: { where: { deletedAt: null }, select: { id: true } },
         },
       });
 
-      if (!existingTask) {
+      if (!parent || parent.deletedAt) {
         return reply.code(404).send({
           error: 'Not Found',
           message: 'Task not found',
         });
       }
 
-      if (existingTask.userId !== userId) {
+      if (!can(request.user, 'task:update', parent)) {
         return reply.code(403).send({
           error: 'Forbidden',
           message: 'You do not have permission to update this task',
         });
       }
 
-      // Update task
-      const task = await this.prisma.task.update({
-        where: {
-          id,
-        },
-        data: {
-          title: title !== undefined ? title : undefined,
-          description: description !== undefined ? description : undefined,
-          status: status !== undefined ? status : undefined,
-          priority: priority !== undefined ? priority : undefined,
-          dueDate: dueDate !== undefined ? new Date(dueDate) : undefined,
-        },
-      });
+      const currentIds = parent.subtasks.map((subtask) => subtask.id);
+      const sameSet = taskIds.length === currentIds.length
+        && new Set(taskIds).size === taskIds.length
+        && taskIds.every((taskId) => currentIds.includes(taskId));
+
+      if (!sameSet) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'taskIds must list every subtask of the task exactly once',
+        });
+      }
+
+      await this.prisma.$transaction(
+        taskIds.map((taskId, position) => this.prisma.task.update({
+          where: { id: taskId },
+          data: { position },
+        }))
+      );
 
       // Invalidate related caches
-      await this.fastify.cacheDelete(taskCacheKey);
-      await this.fastify.cacheDelete(userTasksCacheKey);
+      await this.invalidateTaskCaches(parent.workspaceId, taskIds);
 
       // Send real-time WebSocket notification
-      this.fastify.ws.broadcastFiltered(
-        {
-          type: 'TASK_UPDATED',
-          task,
-        },
-        (connection) => {
-          // Only send to connections of this user
-          return connection.user && connection.user.id === userId;
-        }
-      );
+      await this.notifyMembers(parent.workspaceId, {
+        type: 'SUBTASKS_REORDERED',
+        parentId: id,
+        projectId: parent.projectId,
+        taskIds,
+      });
 
       return reply.code(200).send({
-        task,
+        message: 'Subtasks reordered successfully',
       });
     } catch (error) {
-      this.fastify.log.error(`Error updating task: ${error.message}`);
+      this.fastify.log.error(`Error reordering subtasks: ${error.message}`);
       return reply.code(500).send({
         error: 'Internal Server Error',
-        message: 'Error updating task',
+        message: 'Error reordering subtasks',
       });
     }
   }
 
   /**
-   * Delete a task
-   * Sends real-time WebSocket notification
+   * List the upcoming occurrences of a recurring task
+   * Due dates are computed from the rule; only the next one is created as a
+   * task, once this occurrence is completed.
    */
-  async deleteTask(request, reply) {
+  async getOccurrences(request, reply) {
     const { id } = request.params;
-    const userId = request.user.id;
-    const taskCacheKey = `task:${id}`;
-    const userTasksCacheKey = `user:${userId}:tasks`;
+    const { count } = request.query;
 
     try {
-      // Check if task exists and belongs to the user
-      const existingTask = await this.prisma.task.findUnique({
-        where: {
-          id,
-        },
+      const task = await this.prisma.task.findUnique({
+        where: { id },
       });
 
-      if (!existingTask) {
+      if (!task || task.deletedAt) {
         return reply.code(404).send({
           error: 'Not Found',
           message: 'Task not found',
         });
       }
 
-      if (existingTask.userId !== userId) {
+      if (!can(request.user, 'task:read', task)) {
         return reply.code(403).send({
           error: 'Forbidden',
-          message: 'You do not have permission to delete this task',
+          message: 'You do not have permission to access this task',
         });
       }
 
-      // Delete task
-      await this.prisma.task.delete({
-        where: {
-          id,
-        },
-      });
-
-      // Invalidate related caches
-      await this.fastify.cacheDelete(taskCacheKey);
-      await this.fastify.cacheDelete(userTasksCacheKey);
-
-      // Send real-time WebSocket notification
-      this.fastify.ws.broadcastFiltered(
-        {
-          type: 'TASK_DELETED',
-          taskId: id,
-        },
-        (connection) => {
-          // Only send to connections of this user
-          return connection.user && connection.user.id === userId;
-        }
-      );
-
       return reply.code(200).send({
-        message: 'Task deleted successfully',
+        taskId: task.id,
+        seriesId: task.seriesId,
+        recurrenceRule: task.recurrenceRule,
+        timeZone: task.timeZone,
+        occurrences: upcomingOccurrences(task, count),
       });
     } catch (error) {
-      this.fastify.log.error(`Error deleting task: ${error.message}`);
+      this.fastify.log.error(`Error fetching occurrences: ${error.message}`);
       return reply.code(500).send({
         error: 'Internal Server Error',
-        message: 'Error deleting task',
+        message: 'Error fetching occurrences',
+      });
+    }
+  }
+
+  /**
+   * Get a specific task by ID
+   */
+  async getTask(request, reply) {
+    const { id } = request.params;
+    const cacheKey = `task:${id}`;
+
+    try {
+      // Check cache first
+      const cachedTask = await this.fastify.cacheGet(cacheKey);
+      
+      if (cachedTask) {
+        const task = JSON.parse(cachedTask);
+        
+        // Verify the user may see this task
+        if (!can(request.user, 'task:read', task)) {
+          return reply.code(403).send({
+            error: 'Forbidden',
+            message: 'You do not have permission to access this task',
+          });
+        }
+        
+        return reply.code(200).header('ETag', taskEtag(task)).send({
+          task,
+          fromCache: true,
+        });
+      }
+
+      // If not in cache, query database
+      const found = await this.prisma.task.findUnique({
+        where: {
+          id,
+        },
+        include: TASK_TAGS_INCLUDE,
+      });
+      const task = found && !found.deletedAt && (await withProgress(this.prisma, [found]))[0];
+
+      // Task not found
+      if (!task) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Task not found',
+        });
+      }
+
+      // Verify the user may see this task
+      if (!can(request.user, 'task:read', task)) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You do not have permission to access this task',
+        });
+      }
+
+      // Cache results (expire after 5 minutes)
+      await this.fastify.cacheSet(cacheKey, JSON.stringify(task), 300);
+
+      return reply.code(200).header('ETag', taskEtag(task)).send({
+        task,
+        fromCache: false,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error fetching task: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error fetching task',
+      });
+    }
+  }
+
+  /**
+   * Create a task from a create request body
+   * Tasks go to the user's personal workspace unless `workspaceId` is given;
+   * subtasks go to their parent's. `db` is the Prisma client or a
+   * transaction; reminders, history, caches and notifications are left to
+   * the caller (see finishChanges).
+   * Resolves to `{ change }`, or to `{ failure }` holding the error response
+   */
+  async insertTask(db, user, body) {
+    const {
+      title,
+      description,
+      status,
+      priority,
+      dueDate,
+      tags,
+      parentId,
+      projectId,
+      workspaceId,
+      assigneeId,
+      recurrenceRule,
+      timeZone,
+      reminderOffsets,
+      externalId,
+    } = body;
+
+    // Subtasks must fit under a parent the user may change, and share its workspace and project
+    let taskWorkspaceId = workspaceId || personalWorkspaceId(user);
+    let taskProjectId = projectId || null;
+    if (parentId) {
+      const { parent, failure } = await this.checkParent(user, parentId, null, db);
+      if (failure) {
+        return { failure };
+      }
+
+      if ((workspaceId && workspaceId !== parent.workspaceId) || (projectId && projectId !== parent.projectId)) {
+        return {
+          failure: {
+            statusCode: 400,
+            error: 'Bad Request',
+            message: 'Subtasks belong to their parent\'s workspace and project',
+          },
+        };
+      }
+      taskWorkspaceId = parent.workspaceId;
+      taskProjectId = parent.projectId;
+    } else {
+      if (!can(user, 'task:create', { id: taskWorkspaceId })) {
+        return {
+          failure: {
+            statusCode: 403,
+            error: 'Forbidden',
+            message: 'You do not have permission to add tasks to this workspace',
+          },
+        };
+      }
+
+      if (projectId) {
+        const { failure } = await this.checkProject(taskWorkspaceId, projectId, db);
+        if (failure) {
+          return { failure };
+        }
+      }
+    }
+
+    if (assigneeId) {
+      const { failure } = await this.checkAssignee(taskWorkspaceId, assigneeId, db);
+      if (failure) {
+        return { failure };
+      }
+    }
+
+    // External IDs are unique per workspace, trashed tasks included
+    if (externalId) {
+      const duplicate = await db.task.findUnique({
+        where: { workspaceId_externalId: { workspaceId: taskWorkspaceId, externalId } },
+        select: { id: true },
+      });
+      if (duplicate) {
+        return {
+          failure: {
+            statusCode: 409,
+            error: 'Conflict',
+            message: 'A task with this external ID already exists in the workspace',
+          },
+        };
+      }
+    }
+
+    // Tags may be given by ID or name; unknown names create new tags
+    const { ids: tagIds, missing } = await resolveTagIds(db, user.id, tags || []);
+    if (missing.length > 0) {
+      return {
+        failure: { statusCode: 400, error: 'Bad Request', message: `Unknown tag: ${missing.join(', ')}` },
+      };
+    }
+
+    // A recurring task starts a new series of which it is the first occurrence
+    let recurrence = {};
+    if (recurrenceRule) {
+      const checked = this.checkRecurrence(recurrenceRule, timeZone, dueDate);
+      if (checked.failure) {
+        return { failure: checked.failure };
+      }
+      recurrence = checked.recurrence;
+    }
+
+    // Create new task
+    const taskId = crypto.randomUUID();
+    const created = await db.task.create({
+      data: {
+        id: taskId,
+        title,
+        description,
+        status: status || 'TODO',
+        priority: priority || 0,
+        dueDate: dueDate ? new Date(dueDate) : null,
+        userId: user.id,
+        workspaceId: taskWorkspaceId,
+        assigneeId: assigneeId || null,
+        tags: { connect: tagIds.map((tagId) => ({ id: tagId })) },
+        parentId: parentId || null,
+        position: await nextPosition(db, parentId || null),
+        ...recurrence,
+        seriesId: recurrenceRule ? taskId : null,
+        reminderOffsets: reminderOffsets || [],
+        projectId: taskProjectId,
+        externalId: externalId || null,
+      },
+      include: TASK_TAGS_INCLUDE,
+    });
+
+    return {
+      change: { type: 'created', task: { ...created, progress: null } },
+    };
+  }
+
+  /**
+   * Apply an update request body to a task
+   * Setting `parentId` moves the task; `cascade` with status DONE also
+   * completes all of its open subtasks; changing `projectId` moves the
+   * subtasks along. Completing a recurring task or subtask creates its next
+   * occurrence. With
+   * `scope: 'series'` the title, description, priority, assignee, tags,
+   * reminders and recurrence also change on every open occurrence. Tasks
+   * stay in their workspace. Run it in a transaction (`db`) so the task and
+   * the tasks it carries along change together; side effects are left to
+   * the caller (see finishChanges). Every task it changes gets a new version,
+   * and the subtasks it changes are returned as they are now so clients can
+   * replace their copies; with `expectedVersions` the update is refused (412,
+   * with the current task) unless the task is at one of them.
+   * Resolves to `{ change }`, or to `{ failure }` holding the error response
+   */
+  async applyTaskUpdate(db, user, id, body, expectedVersions = null) {
+    const {
+      title,
+      description,
+      status,
+      priority,
+      dueDate,
+      tags,
+      parentId,
+      projectId,
+      assigneeId,
+      cascade,
+      recurrenceRule,
+      timeZone,
+      reminderOffsets,
+      scope,
+    } = body;
+
+    // Hold the row until the transaction ends so the version can't change after the check
+    if (expectedVersions) {
+      await db.$queryRaw`SELECT id FROM tasks WHERE id = ${id} FOR UPDATE`;
+    }
+
+    // Check if task exists and the user may change it
+    const existingTask = await db.task.findUnique({
+      where: {
+        id,
+      },
+      include: TASK_TAGS_INCLUDE,
+    });
+
+    if (!existingTask || existingTask.deletedAt) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Task not found' },
+      };
+    }
+
+    if (!can(user, 'task:update', existingTask)) {
+      return {
+        failure: {
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'You do not have permission to update this task',
+        },
+      };
+    }
+
+    if (expectedVersions && !expectedVersions.includes(existingTask.version)) {
+      return {
+        failure: {
+          statusCode: 412,
+          error: 'Precondition Failed',
+          message: 'The task was changed since you loaded it',
+          task: existingTask,
+        },
+      };
+    }
+
+    const { workspaceId } = existingTask;
+
+    // Tags belong to the task's creator; only replace them when sent
+    let tagIds;
+    if (tags !== undefined) {
+      const resolved = await resolveTagIds(db, existingTask.userId, tags);
+      if (resolved.missing.length > 0) {
+        return {
+          failure: {
+            statusCode: 400,
+            error: 'Bad Request',
+            message: `Unknown tag: ${resolved.missing.join(', ')}`,
+          },
+        };
+      }
+      tagIds = resolved.ids;
+    }
+
+    // Moving the task under another parent (or to the top level with null)
+    const moved = parentId !== undefined && parentId !== existingTask.parentId;
+    let newProjectId = projectId;
+    if (moved && parentId !== null) {
+      const { parent, failure } = await this.checkParent(user, parentId, id, db);
+      if (failure) {
+        return { failure };
+      }
+
+      if (parent.workspaceId !== workspaceId) {
+        return {
+          failure: {
+            statusCode: 400,
+            error: 'Bad Request',
+            message: 'Tasks cannot be moved to another workspace',
+          },
+        };
+      }
+
+      // A subtask joins its new parent's project
+      newProjectId = parent.projectId;
+    } else if (projectId !== undefined) {
+      const staysSubtask = existingTask.parentId !== null && !moved;
+      if (staysSubtask && projectId !== existingTask.projectId) {
+        return {
+          failure: {
+            statusCode: 400,
+            error: 'Bad Request',
+            message: 'Subtasks belong to their parent\'s project',
+          },
+        };
+      }
+
+      if (projectId !== null) {
+        const { failure } = await this.checkProject(workspaceId, projectId, db);
+        if (failure) {
+          return { failure };
+        }
+      }
+    }
+    const projectChanged = newProjectId !== undefined && newProjectId !== existingTask.projectId;
+
+    if (assigneeId) {
+      const { failure } = await this.checkAssignee(workspaceId, assigneeId, db);
+      if (failure) {
+        return { failure };
+      }
+    }
+
+    // Changing the rule or time zone re-anchors the rule at this occurrence
+    let recurrence = {};
+    if (recurrenceRule !== undefined || timeZone !== undefined) {
+      const rule = recurrenceRule !== undefined ? recurrenceRule : existingTask.recurrenceRule;
+      if (rule) {
+        const checked = this.checkRecurrence(
+          rule,
+          timeZone !== undefined ? timeZone : existingTask.timeZone,
+          dueDate !== undefined ? dueDate : existingTask.dueDate
+        );
+        if (checked.failure) {
+          return { failure: checked.failure };
+        }
+        recurrence = checked.recurrence;
+      } else {
+        recurrence = { recurrenceRule: null, recurrenceStart: null, timeZone: null };
+      }
+    }
+
+    // Series edits only apply to tasks that belong to one
+    const seriesEdit = scope === 'series' && existingTask.seriesId !== null;
+
+    // A new rule for just this occurrence splits it off into a series of its own
+    const seriesId = recurrence.recurrenceRule && !seriesEdit ? id : undefined;
+
+    // Fields an edit to the whole series shares with the other open occurrences
+    const seriesData = {
+      title: title !== undefined ? title : undefined,
+      description: description !== undefined ? description : undefined,
+      priority: priority !== undefined ? priority : undefined,
+      assigneeId: assigneeId !== undefined ? assigneeId : undefined,
+      tags: tagIds !== undefined ? { set: tagIds.map((tagId) => ({ id: tagId })) } : undefined,
+      reminderOffsets: reminderOffsets !== undefined ? reminderOffsets : undefined,
+      ...recurrence,
+    };
+
+    // Update task
+    const task = await db.task.update({
+      where: {
+        id,
+      },
+      data: {
+        ...seriesData,
+        status: status !== undefined ? status : undefined,
+        dueDate: dueDate !== undefined ? new Date(dueDate) : undefined,
+        parentId: moved ? parentId : undefined,
+        position: moved ? await nextPosition(db, parentId) : undefined,
+        projectId: projectChanged ? newProjectId : undefined,
+        seriesId,
+        version: { increment: 1 },
+      },
+      include: TASK_TAGS_INCLUDE,
+    });
+
+    // Apply series edits to the other occurrences that are still open
+    const seriesTasks = [];
+    let openOccurrences = [];
+    if (seriesEdit) {
+      openOccurrences = await db.task.findMany({
+        where: {
+          seriesId: existingTask.seriesId,
+          status: { not: 'DONE' },
+          deletedAt: null,
+          id: { not: id },
+        },
+        include: TASK_TAGS_INCLUDE,
+      });
+
+      for (const occurrence of openOccurrences) {
+        seriesTasks.push(await db.task.update({
+          where: { id: occurrence.id },
+          data: { ...seriesData, version: { increment: 1 } },
+          include: TASK_TAGS_INCLUDE,
+        }));
+      }
+    }
+
+    // Completing a recurring task schedules the next occurrence
+    let nextTask = null;
+    if (status === 'DONE' && existingTask.status !== 'DONE' && task.recurrenceRule) {
+      nextTask = await this.createNextOccurrence(task, db);
+    }
+
+    // Completing a parent can complete its whole subtree; subtasks already done stay as they are
+    let cascadedTaskIds = [];
+    let cascadedTasks = [];
+    const nextSubtasks = [];
+    if (cascade && status === 'DONE') {
+      cascadedTasks = await db.task.findMany({
+        where: { id: { in: await getDescendantIds(db, id) }, status: { not: 'DONE' } },
+        include: TASK_TAGS_INCLUDE,
+      });
+      cascadedTaskIds = cascadedTasks.map((subtask) => subtask.id);
+      await db.task.updateMany({
+        where: { id: { in: cascadedTaskIds } },
+        data: { status: 'DONE', version: { increment: 1 } },
+      });
+
+      for (const subtask of cascadedTasks.filter((cascadedTask) => cascadedTask.recurrenceRule)) {
+        const nextSubtask = await this.createNextOccurrence(subtask, db);
+        if (nextSubtask) {
+          nextSubtasks.push(nextSubtask);
+        }
+      }
+    }
+
+    // Subtasks follow the task into its new project, trashed ones included
+    let movedSubtaskIds = [];
+    let movedSubtasks = [];
+    if (projectChanged) {
+      movedSubtaskIds = await getDescendantIds(db, id, { includeTrashed: true });
+      movedSubtasks = await db.task.findMany({
+        where: { id: { in: movedSubtaskIds } },
+        select: { id: true, title: true, workspaceId: true, projectId: true },
+      });
+      await db.task.updateMany({
+        where: { id: { in: movedSubtaskIds } },
+        data: { projectId: newProjectId, version: { increment: 1 } },
+      });
+    }
+
+    const changedSubtaskIds = [...new Set([...cascadedTaskIds, ...movedSubtaskIds])];
+    const changedSubtasks = changedSubtaskIds.length > 0
+      ? await db.task.findMany({
+        where: { id: { in: changedSubtaskIds } },
+        include: TASK_TAGS_INCLUDE,
+      })
+      : [];
+
+    return {
+      change: {
+        type: 'updated',
+        existingTask,
+        task,
+        openOccurrences,
+        seriesTasks,
+        nextTask,
+        nextSubtasks,
+        cascadedTasks,
+        cascadedTaskIds,
+        movedSubtasks,
+        movedSubtaskIds,
+        changedSubtasks,
+        projectChanged,
+        previousParentId: moved ? existingTask.parentId : null,
+      },
+    };
+  }
+
+  /**
+   * Move a task and its subtasks to the trash
+   * They can be restored until the trash is purged (see TrashController).
+   * Side effects are left to the caller (see finishChanges).
+   * Resolves to `{ change }`, or to `{ failure }` holding the error response
+   */
+  async trashTask(db, user, id) {
+    // Check if task exists and the user may change it
+    const existingTask = await db.task.findUnique({
+      where: {
+        id,
+      },
+      include: TASK_TAGS_INCLUDE,
+    });
+
+    if (!existingTask || existingTask.deletedAt) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Task not found' },
+      };
+    }
+
+    if (!can(user, 'task:delete', existingTask)) {
+      return {
+        failure: {
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'You do not have permission to delete this task',
+        },
+      };
+    }
+
+    // Subtasks are trashed with the task; collect them for cache invalidation and history
+    const descendantIds = await getDescendantIds(db, id);
+    const descendants = await db.task.findMany({
+      where: { id: { in: descendantIds } },
+      include: TASK_TAGS_INCLUDE,
+    });
+
+    // One timestamp for the whole subtree, so it is restored as a unit
+    await db.task.updateMany({
+      where: { id: { in: [id, ...descendantIds] } },
+      data: { deletedAt: new Date() },
+    });
+
+    return {
+      change: { type: 'trashed', existingTask, descendants, descendantIds },
+    };
+  }
+
+  /**
+   * Queue reminders and record the history of applied changes
+   * `changes` come from insertTask, applyTaskUpdate and trashTask.
+   */
+  async finishChanges(actor, changes) {
+    const events = [];
+
+    for (const change of changes) {
+      if (change.type === 'created') {
+        await this.fastify.reminders.schedule(change.task);
+        events.push(taskEvent(actor, null, change.task));
+      } else if (change.type === 'updated') {
+        const { existingTask, task, openOccurrences, seriesTasks, nextTask, nextSubtasks } = change;
+
+        await Promise.all(seriesTasks.map((seriesTask, index) => (
+          this.fastify.reminders.schedule(seriesTask, openOccurrences[index])
+        )));
+        await this.fastify.reminders.schedule(task, existingTask);
+        if (nextTask) {
+          await this.fastify.reminders.schedule(nextTask);
+        }
+        await Promise.all(nextSubtasks.map((nextSubtask) => this.fastify.reminders.schedule(nextSubtask)));
+
+        events.push(
+          taskEvent(actor, existingTask, task),
+          ...seriesTasks.map((seriesTask, index) => taskEvent(actor, openOccurrences[index], seriesTask)),
+          ...(nextTask ? [taskEvent(actor, null, nextTask)] : []),
+          ...nextSubtasks.map((nextSubtask) => taskEvent(actor, null, nextSubtask)),
+          ...change.cascadedTasks.map((subtask) => taskEvent(actor, subtask, { ...subtask, status: 'DONE' })),
+          ...change.movedSubtasks.map((subtask) => taskEvent(actor, subtask, { ...subtask, projectId: task.projectId }))
+        );
+      } else {
+        // Queued reminders of subtasks are dropped when they come due
+        await this.fastify.reminders.cancel(change.existingTask);
+        events.push(...[change.existingTask, ...change.descendants].map((deleted) => (
+          taskEvent(actor, deleted, null)
+        )));
+      }
+    }
+
+    await recordTaskEvents(this.fastify, events);
+  }
+
+  /**
+   * IDs of the tasks whose cached entries a change makes stale
+   * Parents are included, as they embed the progress of their subtasks.
+   */
+  changedTaskIds(change) {
+    if (change.type === 'created') {
+      return [change.task.parentId];
+    }
+
+    if (change.type === 'updated') {
+      return [
+        change.task.id,
+        change.task.parentId,
+        change.previousParentId,
+        ...change.cascadedTaskIds,
+        ...change.movedSubtaskIds,
+        ...change.seriesTasks.map((seriesTask) => seriesTask.id),
+      ];
+    }
+
+    return [change.existingTask.id, change.existingTask.parentId, ...change.descendantIds];
+  }
+
+  /**
+   * Create a new task
+   * Sends real-time WebSocket notification
+   */
+  async createTask(request, reply) {
+    try {
+      const { change, failure } = await this.insertTask(this.prisma, request.user, request.body);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+      const { task } = change;
+
+      await this.finishChanges(eventActor(request), [change]);
+
+      // Invalidate related caches (a new subtask changes its parent's progress)
+      await this.invalidateTaskCaches(task.workspaceId, this.changedTaskIds(change));
+
+      // Send real-time WebSocket notification
+      await this.notifyMembers(task.workspaceId, {
+        type: 'TASK_CREATED',
+        task,
+        projectId: task.projectId,
+        parent: await this.parentProgress(task.parentId),
+      });
+
+      return reply.code(201).send({
+        task,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error creating task: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error creating task',
+      });
+    }
+  }
+
+  /**
+   * Update an existing task (see applyTaskUpdate)
+   * Reminders are rescheduled to match the new due date. With an If-Match
+   * header the update only applies to the version it names; otherwise it
+   * fails with 412 and the current task.
+   * Sends real-time WebSocket notification
+   */
+  async updateTask(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const expectedVersions = ifMatchVersions(request.headers['if-match']);
+      const { change, failure } = await this.prisma.$transaction((tx) => (
+        this.applyTaskUpdate(tx, request.user, id, request.body, expectedVersions)
+      ));
+      if (failure && failure.task) {
+        const [currentTask] = await withProgress(this.prisma, [failure.task]);
+        return reply.code(failure.statusCode).header('ETag', taskEtag(currentTask)).send({
+          error: failure.error,
+          message: failure.message,
+          task: currentTask,
+        });
+      }
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+      const { existingTask, task, seriesTasks, nextTask, projectChanged } = change;
+
+      // Caches and notifications belong to the task's workspace
+      const { workspaceId } = existingTask;
+
+      await this.finishChanges(eventActor(request), [change]);
+
+      // Invalidate related caches
+      await this.invalidateTaskCaches(workspaceId, this.changedTaskIds(change));
+
+      const [taskWithProgress, ...seriesTasksWithProgress] = await withProgress(
+        this.prisma,
+        [task, ...seriesTasks]
+      );
+      const changedSubtasks = await withProgress(this.prisma, change.changedSubtasks);
+
+      // Send real-time WebSocket notification (clients drop messages older than their copy by version)
+      await this.notifyMembers(workspaceId, {
+        type: 'TASK_UPDATED',
+        task: taskWithProgress,
+        version: task.version,
+        projectId: task.projectId,
+        previousProjectId: projectChanged ? existingTask.projectId : null,
+        parent: await this.parentProgress(task.parentId),
+        previousParent: await this.parentProgress(change.previousParentId),
+        cascadedTaskIds: change.cascadedTaskIds,
+        subtasks: changedSubtasks,
+      });
+
+      for (const seriesTask of seriesTasksWithProgress) {
+        await this.notifyMembers(workspaceId, {
+          type: 'TASK_UPDATED',
+          task: seriesTask,
+          version: seriesTask.version,
+          projectId: seriesTask.projectId,
+          previousProjectId: null,
+          parent: await this.parentProgress(seriesTask.parentId),
+          previousParent: null,
+          cascadedTaskIds: [],
+          subtasks: [],
+        });
+      }
+
+      for (const createdTask of [...(nextTask ? [nextTask] : []), ...change.nextSubtasks]) {
+        await this.notifyMembers(workspaceId, {
+          type: 'TASK_CREATED',
+          task: createdTask,
+          projectId: createdTask.projectId,
+          parent: await this.parentProgress(createdTask.parentId),
+        });
+      }
+
+      return reply.code(200).header('ETag', taskEtag(task)).send({
+        task: taskWithProgress,
+        nextOccurrence: nextTask,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error updating task: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error updating task',
+      });
+    }
+  }
+
+  /**
+   * Move a task and its subtasks to the trash
+   * Sends real-time WebSocket notification
+   */
+  async deleteTask(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const { change, failure } = await this.prisma.$transaction((tx) => (
+        this.trashTask(tx, request.user, id)
+      ));
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+      const { existingTask, descendantIds } = change;
+
+      // Caches and notifications belong to the task's workspace
+      const { workspaceId } = existingTask;
+
+      await this.finishChanges(eventActor(request), [change]);
+
+      // Invalidate related caches
+      await this.invalidateTaskCaches(workspaceId, this.changedTaskIds(change));
+
+      // Send real-time WebSocket notification
+      await this.notifyMembers(workspaceId, {
+        type: 'TASK_DELETED',
+        taskId: id,
+        projectId: existingTask.projectId,
+        deletedSubtaskIds: descendantIds,
+        parent: await this.parentProgress(existingTask.parentId),
+      });
+
+      return reply.code(200).send({
+        message: 'Task moved to trash',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error deleting task: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error deleting task',
+      });
+    }
+  }
+
+  /**
+   * Invalidate caches and notify members after a batch of changes
+   * Each affected workspace's caches are invalidated once and its members
+   * get a single TASKS_CHANGED message. `tasksById` holds the changed tasks
+   * with their progress.
+   */
+  async publishChanges(changes, tasksById) {
+    const workspaceIds = [...new Set(changes.map((change) => (
+      change.type === 'created' ? change.task.workspaceId : change.existingTask.workspaceId
+    )))];
+
+    for (const workspaceId of workspaceIds) {
+      const workspaceChanges = changes.filter((change) => (
+        (change.type === 'created' ? change.task.workspaceId : change.existingTask.workspaceId) === workspaceId
+      ));
+
+      const taskIds = [...new Set(workspaceChanges.flatMap((change) => this.changedTaskIds(change)))];
+      await this.invalidateTaskCaches(workspaceId, taskIds);
+
+      const created = [];
+      const updated = new Map();
+      const deletedTaskIds = [];
+      const cascadedTaskIds = [];
+      const parentIds = new Set();
+      for (const change of workspaceChanges) {
+        if (change.type === 'created') {
+          created.push(tasksById.get(change.task.id));
+          parentIds.add(change.task.parentId);
+        } else if (change.type === 'updated') {
+          for (const task of [change.task, ...change.seriesTasks, ...change.changedSubtasks]) {
+            updated.set(task.id, tasksById.get(task.id));
+          }
+          for (const nextTask of [...(change.nextTask ? [change.nextTask] : []), ...change.nextSubtasks]) {
+            created.push(tasksById.get(nextTask.id));
+          }
+          cascadedTaskIds.push(...change.cascadedTaskIds);
+          parentIds.add(change.task.parentId);
+          parentIds.add(change.previousParentId);
+        } else {
+          deletedTaskIds.push(change.existingTask.id, ...change.descendantIds);
+          parentIds.add(change.existingTask.parentId);
+        }
+      }
+
+      const parents = [];
+      for (const parentId of parentIds) {
+        if (parentId) {
+          parents.push(await this.parentProgress(parentId));
+        }
+      }
+
+      await this.notifyMembers(workspaceId, {
+        type: 'TASKS_CHANGED',
+        workspaceId,
+        created,
+        updated: [...updated.values()],
+        deletedTaskIds,
+        cascadedTaskIds,
+        parents,
+      });
+    }
+  }
+
+  /**
+   * Apply one operation of a bulk request inside its transaction
+   * Resolves to `{ change }`, or to `{ failure }` holding the error response
+   */
+  async applyBulkOperation(tx, user, operation) {
+    const { op, id, data = {} } = operation;
+
+    if (op === 'create') {
+      if (!data.title) {
+        return { failure: { statusCode: 400, error: 'Bad Request', message: 'New tasks need a title' } };
+      }
+      return this.insertTask(tx, user, data);
+    }
+
+    if (!id) {
+      return { failure: { statusCode: 400, error: 'Bad Request', message: `${op} operations need a task id` } };
+    }
+
+    return op === 'update'
+      ? this.applyTaskUpdate(tx, user, id, data, operation.version !== undefined ? [operation.version] : null)
+      : this.trashTask(tx, user, id);
+  }
+
+  /**
+   * Apply a list of create, update and delete operations in one transaction
+   *
+   * With `atomic` (the default) the first failing operation rolls back the
+   * whole batch. Otherwise each operation runs in a savepoint, so a failure
+   * only undoes that operation. Each workspace's caches are invalidated once
+   * and its members get a single TASKS_CHANGED message.
+   */
+  async bulkTasks(request, reply) {
+    const { operations, atomic } = request.body;
+
+    try {
+      const outcome = await this.prisma.$transaction(async (tx) => {
+        const results = [];
+        const changes = [];
+
+        for (const [index, operation] of operations.entries()) {
+          if (!atomic) {
+            await tx.$executeRaw`SAVEPOINT bulk_operation`;
+          }
+
+          let applied;
+          try {
+            applied = await this.applyBulkOperation(tx, request.user, operation);
+          } catch (error) {
+            if (atomic) {
+              throw error;
+            }
+            this.fastify.log.error(`Error in bulk task operation ${index}: ${error.message}`);
+            applied = {
+              failure: { statusCode: 500, error: 'Internal Server Error', message: 'Error applying operation' },
+            };
+          }
+
+          if (applied.failure) {
+            // Returning from the callback would commit, so abort by throwing
+            if (atomic) {
+              throw new BulkOperationFailed(index, applied.failure);
+            }
+            await tx.$executeRaw`ROLLBACK TO SAVEPOINT bulk_operation`;
+            results.push({ index, op: operation.op, ok: false, ...applied.failure });
+          } else {
+            if (!atomic) {
+              await tx.$executeRaw`RELEASE SAVEPOINT bulk_operation`;
+            }
+            changes.push(applied.change);
+            results.push({ index, op: operation.op, ok: true });
+          }
+        }
+
+        return { results, changes };
+      }, { timeout: BULK_TRANSACTION_TIMEOUT }).catch((error) => {
+        if (error instanceof BulkOperationFailed) {
+          return { failed: error };
+        }
+        throw error;
+      });
+
+      if (outcome.failed) {
+        const { index, failure } = outcome.failed;
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: `Operation ${index} failed, no changes were applied: ${failure.message}`,
+          index,
+        });
+      }
+
+      const { results, changes } = outcome;
+      await this.finishChanges(eventActor(request), changes);
+
+      // Tasks as they are now, with the progress of their subtasks
+      const changedTasks = changes.flatMap((change) => {
+        if (change.type === 'created') return [change.task];
+        if (change.type === 'updated') {
+          return [
+            change.task,
+            ...change.seriesTasks,
+            ...change.changedSubtasks,
+            ...(change.nextTask ? [change.nextTask] : []),
+            ...change.nextSubtasks,
+          ];
+        }
+        return [];
+      });
+      const withProgressById = new Map(
+        (await withProgress(this.prisma, changedTasks)).map((task) => [task.id, task])
+      );
+
+      let changeIndex = 0;
+      for (const result of results) {
+        if (!result.ok) continue;
+        const change = changes[changeIndex];
+        changeIndex += 1;
+        if (change.type === 'trashed') {
+          result.taskId = change.existingTask.id;
+        } else {
+          result.task = withProgressById.get(change.task.id);
+          if (change.type === 'updated') {
+            result.nextOccurrence = change.nextTask;
+          }
+        }
+      }
+
+      await this.publishChanges(changes, withProgressById);
+
+      return reply.code(200).send({
+        results,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error applying bulk task operations: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error applying bulk task operations',
+      });
+    }
+  }
+
+  /**
+   * Load the tasks matching a Prisma `where` in batches, oldest first
+   */
+  async *exportBatches(where) {
+    let cursor = null;
+    do {
+      const tasks = await this.prisma.task.findMany({
+        where,
+        include: TASK_TAGS_INCLUDE,
+        orderBy: EXPORT_ORDER,
+        take: EXPORT_BATCH_SIZE,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+      if (tasks.length > 0) {
+        yield tasks;
+      }
+      cursor = tasks.length === EXPORT_BATCH_SIZE ? tasks[tasks.length - 1].id : null;
+    } while (cursor);
+  }
+
+  /**
+   * Export the user's tasks as CSV, JSON or iCalendar
+   * Takes the task list filters, with subtasks included by default. The
+   * file is streamed as tasks are loaded; iCalendar exports only hold the
+   * tasks that have a due date, as VTODO components.
+   */
+  async exportTasks(request, reply) {
+    const { format } = request.query;
+
+    try {
+      const { where } = buildTaskListQuery(request.user, request.query);
+
+      return reply
+        .code(200)
+        .header('Content-Type', CONTENT_TYPES[format])
+        .header('Content-Disposition', `attachment; filename="tasks.${format}"`)
+        .send(Readable.from(exportChunks(format, this.exportBatches(where))));
+    } catch (error) {
+      this.fastify.log.error(`Error exporting tasks: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error exporting tasks',
+      });
+    }
+  }
+
+  /**
+   * Import tasks from CSV, JSON or iCalendar
+   *
+   * Rows are validated against the task create schema and created in the
+   * target workspace, and project if one is given. Rows whose external ID
+   * is already in the workspace, or earlier in the file, are skipped; rows
+   * without one get an ID derived from their content. Each row runs in a
+   * savepoint, so a failing row is reported without undoing the others.
+   * A dry run checks every row the same way, then rolls everything back.
+   */
+  async importTasks(request, reply) {
+    const { dryRun, workspaceId, projectId } = request.query;
+    const format = request.query.format || formatOfContentType(request.headers['content-type']);
+
+    try {
+      if (!format) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Give the import format in the format parameter or the Content-Type',
+        });
+      }
+
+      const { rows, error } = parseImport(format, request.body);
+      if (error) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error,
+        });
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: `Imports are limited to ${MAX_IMPORT_ROWS} tasks`,
+        });
+      }
+
+      const targetWorkspaceId = workspaceId || personalWorkspaceId(request.user);
+      if (!can(request.user, 'task:create', { id: targetWorkspaceId })) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You do not have permission to add tasks to this workspace',
+        });
+      }
+
+      // Validation coerces the rows, e.g. CSV priorities to integers
+      const validate = request.compileValidationSchema(request.routeOptions.config.rowSchema);
+      const results = rows.map((row, index) => {
+        if (!validate(row)) {
+          return {
+            row: index + 1,
+            status: 'error',
+            externalId: (row && row.externalId) || null,
+            errors: validate.errors.map(validationMessage),
+          };
+        }
+
+        row.externalId = row.externalId || contentExternalId(row);
+        return { row: index + 1, status: 'pending', externalId: row.externalId };
+      });
+
+      // Exported tasks carry their own ID when they have no external one
+      const externalIds = results
+        .filter((result) => result.status === 'pending')
+        .map((result) => result.externalId);
+      const existing = await this.prisma.task.findMany({
+        where: {
+          workspaceId: targetWorkspaceId,
+          OR: [{ externalId: { in: externalIds } }, { id: { in: externalIds } }],
+        },
+        select: { id: true, externalId: true },
+      });
+      const seen = new Set(existing.flatMap((task) => [task.id, task.externalId]));
+
+      for (const result of results) {
+        if (result.status !== 'pending') continue;
+        if (seen.has(result.externalId)) {
+          result.status = 'skipped';
+        }
+        seen.add(result.externalId);
+      }
+
+      const changes = await this.prisma.$transaction(async (tx) => {
+        const applied = [];
+
+        for (const result of results) {
+          if (result.status !== 'pending') continue;
+          const row = rows[result.row - 1];
+
+          await tx.$executeRaw`SAVEPOINT import_row`;
+
+          let inserted;
+          try {
+            inserted = await this.insertTask(tx, request.user, {
+              ...row,
+              workspaceId: targetWorkspaceId,
+              projectId: projectId || row.projectId,
+            });
+          } catch (error) {
+            this.fastify.log.error(`Error importing task row ${result.row}: ${error.message}`);
+            inserted = { failure: { message: 'Error importing task' } };
+          }
+
+          if (inserted.failure) {
+            await tx.$executeRaw`ROLLBACK TO SAVEPOINT import_row`;
+            result.status = 'error';
+            result.errors = [inserted.failure.message];
+          } else {
+            await tx.$executeRaw`RELEASE SAVEPOINT import_row`;
+            applied.push(inserted.change);
+            result.status = 'created';
+            if (!dryRun) {
+              result.taskId = inserted.change.task.id;
+            }
+          }
+        }
+
+        // Returning from the callback would commit, so abort by throwing
+        if (dryRun) {
+          throw new ImportDryRun();
+        }
+        return applied;
+      }, { timeout: IMPORT_TRANSACTION_TIMEOUT }).catch((error) => {
+        if (error instanceof ImportDryRun) {
+          return [];
+        }
+        throw error;
+      });
+
+      if (changes.length > 0) {
+        await this.finishChanges(eventActor(request), changes);
+        await this.publishChanges(changes, new Map(changes.map((change) => [change.task.id, change.task])));
+      }
+
+      const count = (status) => results.filter((result) => result.status === status).length;
+
+      return reply.code(200).send({
+        dryRun,
+        created: count('created'),
+        skipped: count('skipped'),
+        failed: count('error'),
+        rows: results,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error importing tasks: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error importing tasks',
       });
     }
   }
 }
 
-module.exports = TaskController; 
\ No newline at end of file
+module.exports = TaskController;
@@ -0,0 +1,124 @@
+const { createPersonalAccessToken } = require('../services/personal-access-tokens');
+
+/**
+ * Token Controller
+ *
+ * Manages personal access tokens for scripts and integrations.
+ * The raw token is only returned once, when it is created.
+ */
+
+// Fields exposed for a token (never the hash)
+const TOKEN_SELECT = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdAt: true,
+};
+
+class TokenController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * List the authenticated user's tokens
+   */
+  async listTokens(request, reply) {
+    const userId = request.user.id;
+
+    try {
+      const tokens = await this.prisma.personalAccessToken.findMany({
+        where: { userId },
+        select: TOKEN_SELECT,
+        orderBy: { createdAt: 'desc' },
+      });
+
+      return reply.code(200).send({
+        tokens,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing access tokens: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing access tokens',
+      });
+    }
+  }
+
+  /**
+   * Create a token
+   */
+  async createToken(request, reply) {
+    const userId = request.user.id;
+    const { name, scopes, expiresAt } = request.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Expiry must be in the future',
+      });
+    }
+
+    try {
+      const { record, token } = await createPersonalAccessToken(this.prisma, {
+        userId,
+        name,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+      });
+
+      const created = Object.fromEntries(
+        Object.keys(TOKEN_SELECT).map((field) => [field, record[field]])
+      );
+
+      return reply.code(201).send({
+        token: created,
+        // Shown only once
+        secret: token,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error creating access token: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error creating access token',
+      });
+    }
+  }
+
+  /**
+   * Revoke a token
+   */
+  async revokeToken(request, reply) {
+    const { id } = request.params;
+    const userId = request.user.id;
+
+    try {
+      const { count } = await this.prisma.personalAccessToken.deleteMany({
+        where: { id, userId },
+      });
+
+      if (count === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Access token not found',
+        });
+      }
+
+      return reply.code(200).send({
+        message: 'Access token revoked successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error revoking access token: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error revoking access token',
+      });
+    }
+  }
+}
+
+module.exports = TokenController;
@@ -0,0 +1,253 @@
+const { can } = require('../policies');
+const { TASK_TAGS_INCLUDE } = require('../services/tags');
+const { getDescendantIds, getProgress, withProgress } = require('../services/subtasks');
+const {
+  memberWorkspaceIds,
+  notifyWorkspace,
+  invalidateWorkspaceTaskLists,
+} = require('../services/workspaces');
+const { eventActor, restoreEvent, recordTaskEvents } = require('../services/task-events');
+const { TRASH_ROOT_CONDITION, purgeDate, purgeTasks } = require('../services/trash');
+
+// Most recently deleted first, tie-broken by id so cursors are stable
+const TRASH_ORDER = [{ deletedAt: 'desc' }, { id: 'desc' }];
+
+/**
+ * Trash Controller
+ *
+ * Lists, restores and permanently deletes trashed tasks. The trash shows
+ * the tasks that were deleted themselves; their subtasks come back or go
+ * away with them. Anyone who may delete a task may restore or purge it.
+ */
+class TrashController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * Load a trashed task the user may restore or purge
+   * Resolves to `{ task }`, or to `{ failure }` holding the error response
+   */
+  async findTrashedTask(user, id) {
+    const task = await this.prisma.task.findUnique({
+      where: { id },
+      include: TASK_TAGS_INCLUDE,
+    });
+
+    if (!task || !task.deletedAt || !can(user, 'task:read', task)) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Task not found in trash' },
+      };
+    }
+
+    if (!can(user, 'task:delete', task)) {
+      return {
+        failure: {
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'You do not have permission to delete this task',
+        },
+      };
+    }
+
+    return { task };
+  }
+
+  /**
+   * List the trash of the user's workspaces, most recently deleted first
+   * Each task carries the `purgeAt` date after which it is gone for good.
+   */
+  async listTrash(request, reply) {
+    const { workspaceId, cursor, limit } = request.query;
+    const workspaceIds = memberWorkspaceIds(request.user);
+
+    try {
+      // Fetch one extra row to know whether another page exists
+      const rows = await this.prisma.task.findMany({
+        where: {
+          ...TRASH_ROOT_CONDITION,
+          workspaceId: {
+            in: workspaceId ? workspaceIds.filter((id) => id === workspaceId) : workspaceIds,
+          },
+        },
+        include: TASK_TAGS_INCLUDE,
+        orderBy: TRASH_ORDER,
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+
+      const hasMore = rows.length > limit;
+      const tasks = (hasMore ? rows.slice(0, limit) : rows).map((task) => ({
+        ...task,
+        purgeAt: purgeDate(task.deletedAt),
+      }));
+
+      return reply.code(200).send({
+        tasks,
+        nextCursor: hasMore ? tasks[tasks.length - 1].id : null,
+        hasMore,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error fetching trash: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error fetching trash',
+      });
+    }
+  }
+
+  /**
+   * Restore a trashed task with the subtasks that were trashed along with it
+   * Subtasks of a parent that is still in the trash can't be restored alone.
+   * Sends real-time WebSocket notification
+   */
+  async restoreTask(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const { task, failure } = await this.findTrashedTask(request.user, id);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      if (task.parentId) {
+        const parent = await this.prisma.task.findUnique({
+          where: { id: task.parentId },
+          select: { deletedAt: true },
+        });
+
+        if (parent.deletedAt) {
+          return reply.code(409).send({
+            error: 'Conflict',
+            message: 'Restore the parent task first',
+          });
+        }
+      }
+
+      // Subtasks deleted separately before stay in the trash
+      const descendantIds = await getDescendantIds(this.prisma, id, { includeTrashed: true });
+      const subtasks = await this.prisma.task.findMany({
+        where: { id: { in: descendantIds }, deletedAt: task.deletedAt },
+        include: TASK_TAGS_INCLUDE,
+      });
+      const restoredSubtaskIds = subtasks.map((subtask) => subtask.id);
+
+      await this.prisma.task.updateMany({
+        where: { id: { in: [id, ...restoredSubtaskIds] } },
+        data: { deletedAt: null },
+      });
+
+      const restored = [task, ...subtasks].map((trashed) => ({ ...trashed, deletedAt: null }));
+      await Promise.all(restored.map((restoredTask) => this.fastify.reminders.schedule(restoredTask)));
+
+      const actor = eventActor(request);
+      await recordTaskEvents(this.fastify, restored.map((restoredTask) => restoreEvent(actor, restoredTask)));
+
+      // Invalidate related caches (the parent's progress counts the task again)
+      await Promise.all([id, task.parentId, ...restoredSubtaskIds]
+        .filter(Boolean)
+        .map((taskId) => this.fastify.cacheDelete(`task:${taskId}`)));
+      await invalidateWorkspaceTaskLists(this.fastify, task.workspaceId);
+
+      const [taskWithProgress] = await withProgress(this.prisma, [restored[0]]);
+      const parentProgress = task.parentId
+        ? (await getProgress(this.prisma, [task.parentId])).get(task.parentId) || null
+        : null;
+
+      // Send real-time WebSocket notification
+      await notifyWorkspace(this.fastify, task.workspaceId, {
+        type: 'TASK_RESTORED',
+        task: taskWithProgress,
+        projectId: task.projectId,
+        restoredSubtaskIds,
+        parent: task.parentId ? { id: task.parentId, progress: parentProgress } : null,
+      });
+
+      return reply.code(200).send({
+        task: taskWithProgress,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error restoring task: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error restoring task',
+      });
+    }
+  }
+
+  /**
+   * Permanently delete a trashed task and its subtasks
+   */
+  async purgeTask(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const { failure } = await this.findTrashedTask(request.user, id);
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      // Subtasks of a trashed task are all in the trash too
+      const descendantIds = await getDescendantIds(this.prisma, id, { includeTrashed: true });
+      await purgeTasks(this.fastify, {
+        id: { in: [id, ...descendantIds] },
+      });
+
+      return reply.code(200).send({
+        message: 'Task deleted permanently',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error purging task: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error deleting task',
+      });
+    }
+  }
+
+  /**
+   * Permanently delete everything in the trash of the workspaces where the
+   * user may delete tasks, or of the one in `workspaceId`
+   */
+  async emptyTrash(request, reply) {
+    const { workspaceId } = request.query;
+
+    try {
+      const workspaceIds = memberWorkspaceIds(request.user)
+        .filter((id) => !workspaceId || id === workspaceId)
+        .filter((id) => can(request.user, 'task:delete', { workspaceId: id }));
+
+      if (workspaceId && workspaceIds.length === 0) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'You do not have permission to delete tasks in this workspace',
+        });
+      }
+
+      const purgedIds = await purgeTasks(this.fastify, {
+        workspaceId: { in: workspaceIds },
+        deletedAt: { not: null },
+      });
+
+      return reply.code(200).send({
+        message: 'Trash emptied',
+        count: purgedIds.length,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error emptying trash: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error emptying trash',
+      });
+    }
+  }
+}
+
+module.exports = TrashController;
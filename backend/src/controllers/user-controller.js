@@ -1,4 +1,11 @@
-const crypto = require('crypto');
+const { passwordHasher } = require('../services/password-hasher');
+const { createTokenService } = require('../services/token-service');
+const { sendVerificationEmail } = require('../services/account-emails');
+const { createMfaPendingToken } = require('../services/mfa');
+const { TAG_SELECT, TASK_TAGS_INCLUDE } = require('../services/tags');
+const { findStorageKeys, removeStoredFiles } = require('../services/attachments');
+const { WORKSPACE_ROLES } = require('../policies');
+const { invalidateWorkspaceTaskLists } = require('../services/workspaces');
 
 /**
  * User Controller
@@ -11,13 +18,8 @@ class UserController {
     this.fastify = fastify;
     this.prisma = fastify.prisma;
     this.redis = fastify.redis;
-  }
-
-  /**
-   * Simple password hashing - in production use bcrypt instead
-   */
-  hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+    this.passwordHasher = passwordHasher;
+    this.tokenService = createTokenService(fastify);
   }
 
   /**
@@ -41,12 +43,20 @@ class UserController {
         });
       }
 
-      // Create new user with hashed password
+      // Create new user with hashed password and their personal workspace
       const user = await this.prisma.user.create({
         data: {
           email,
           name,
-          password: this.hashPassword(password),
+          password: await this.passwordHasher.hash(password),
+          memberships: {
+            create: {
+              role: WORKSPACE_ROLES.OWNER,
+              workspace: {
+                create: { name: 'Personal', personal: true },
+              },
+            },
+          },
         },
         select: {
           id: true,
@@ -57,14 +67,17 @@ class UserController {
         },
       });
 
-      // Generate JWT token
-      const token = this.fastify.jwt.sign({ id: user.id });
+      // Ask the user to confirm their address; a mail failure shouldn't block sign-up
+      try {
+        await sendVerificationEmail(this.fastify, user);
+      } catch (mailError) {
+        this.fastify.log.error(`Verification email error: ${mailError.message}`);
+      }
 
-      // Return user data and token
-      return reply.code(201).send({
-        user,
-        token,
-      });
+      // Start a session and issue tokens
+      const payload = await this.tokenService.issueTokens(user, request);
+
+      return reply.code(201).send(payload);
     } catch (error) {
       this.fastify.log.error(`Registration error: ${error.message}`);
       return reply.code(500).send({
@@ -79,8 +92,16 @@ class UserController {
    */
   async login(request, reply) {
     const { email, password } = request.body;
+    // Lockouts are per client too, so others can't lock an account by failing on purpose
+    const lockoutKey = `login:${email.toLowerCase()}:${request.ip}`;
 
     try {
+      // Refuse attempts while the account is locked out after repeated failures
+      const lockedForMs = await this.fastify.rateLimiter.getLockout(lockoutKey);
+      if (lockedForMs > 0) {
+        return this.fastify.rateLimiter.sendTooManyRequests(reply, lockedForMs);
+      }
+
       // Find user by email
       const user = await this.prisma.user.findFirst({
         where: {
@@ -88,36 +109,43 @@ class UserController {
         },
       });
 
-      // Check if user exists and password matches
-      if (!user || user.password !== this.hashPassword(password)) {
+      // Check if user exists and password matches (unknown emails take as long to reject)
+      const passwordValid = user
+        ? await this.passwordHasher.verify(password, user.password)
+        : await this.passwordHasher.verifyDummy(password);
+
+      // Disabled accounts get the same answer, so it never depends on the password being right
+      if (!passwordValid || user.disabledAt) {
+        await this.fastify.rateLimiter.recordFailure(lockoutKey);
         return reply.code(401).send({
           error: 'Unauthorized',
           message: 'Invalid email or password',
         });
       }
 
-      // Generate JWT token
-      const token = this.fastify.jwt.sign({ id: user.id });
+      await this.fastify.rateLimiter.resetFailures(lockoutKey);
 
-      // Create a session record
-      const session = await this.prisma.session.create({
-        data: {
-          token,
-          userId: user.id,
-          expiresAt: new Date(Date.now() + 3600 * 1000), // 1 hour
-        },
-      });
+      // Transparently upgrade legacy or outdated password hashes
+      if (this.passwordHasher.needsRehash(user.password)) {
+        await this.prisma.user.update({
+          where: { id: user.id },
+          data: { password: await this.passwordHasher.hash(password) },
+        });
+      }
 
-      // Return user data and token (excluding password)
-      return reply.code(200).send({
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          createdAt: user.createdAt,
-        },
-        token,
-      });
+      // With two-factor enabled, the password step only yields a short-lived
+      // "mfa pending" token to exchange at /auth/login/mfa
+      if (user.totpEnabledAt) {
+        return reply.code(200).send({
+          mfaRequired: true,
+          mfaToken: createMfaPendingToken(this.fastify, user.id),
+        });
+      }
+
+      // Start a session and issue tokens (payload excludes the password)
+      const payload = await this.tokenService.issueTokens(user, request);
+
+      return reply.code(200).send(payload);
     } catch (error) {
       this.fastify.log.error(`Login error: ${error.message}`);
       return reply.code(500).send({
@@ -127,6 +155,33 @@ class UserController {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new access token
+   * Refresh tokens are single-use and rotated on every call
+   */
+  async refresh(request, reply) {
+    const { refreshToken } = request.body;
+
+    try {
+      const { status, payload } = await this.tokenService.refreshTokens(refreshToken, request);
+
+      if (status !== 'valid') {
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Invalid or expired refresh token',
+        });
+      }
+
+      return reply.code(200).send(payload);
+    } catch (error) {
+      this.fastify.log.error(`Token refresh error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error refreshing token',
+      });
+    }
+  }
+
   /**
    * Get user profile with Redis caching
    */
@@ -153,6 +208,8 @@ class UserController {
           id: true,
           email: true,
           name: true,
+          role: true,
+          emailVerifiedAt: true,
           createdAt: true,
           updatedAt: true,
           // Don't include password
@@ -199,6 +256,8 @@ class UserController {
           id: true,
           email: true,
           name: true,
+          role: true,
+          emailVerifiedAt: true,
           createdAt: true,
           updatedAt: true,
         },
@@ -219,6 +278,219 @@ class UserController {
     }
   }
 
+  /**
+   * Export the user's personal data (profile, workspaces, tasks, tags,
+   * comments and sessions) as a downloadable JSON document
+   */
+  async exportData(request, reply) {
+    const userId = request.user.id;
+
+    try {
+      const [profile, workspaces, projects, tasks, tags, comments, sessions] = await Promise.all([
+        this.prisma.user.findUnique({
+          where: { id: userId },
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            role: true,
+            emailVerifiedAt: true,
+            totpEnabledAt: true,
+            createdAt: true,
+            updatedAt: true,
+          },
+        }),
+        this.prisma.workspaceMember.findMany({
+          where: { userId },
+          select: {
+            role: true,
+            createdAt: true,
+            workspace: {
+              select: { id: true, name: true, personal: true },
+            },
+          },
+          orderBy: { createdAt: 'asc' },
+        }),
+        // Projects of the personal workspace; shared ones belong to their workspace
+        this.prisma.project.findMany({
+          where: {
+            workspace: {
+              personal: true,
+              members: { some: { userId } },
+            },
+          },
+          select: {
+            id: true,
+            name: true,
+            color: true,
+            archived: true,
+            position: true,
+            createdAt: true,
+          },
+          orderBy: { position: 'asc' },
+        }),
+        this.prisma.task.findMany({
+          where: { userId },
+          include: TASK_TAGS_INCLUDE,
+          orderBy: { createdAt: 'asc' },
+        }),
+        this.prisma.tag.findMany({
+          where: { userId },
+          select: TAG_SELECT,
+          orderBy: { name: 'asc' },
+        }),
+        this.prisma.comment.findMany({
+          where: { authorId: userId },
+          select: {
+            id: true,
+            taskId: true,
+            body: true,
+            editedAt: true,
+            deletedAt: true,
+            createdAt: true,
+          },
+          orderBy: { createdAt: 'asc' },
+        }),
+        this.prisma.session.findMany({
+          where: { userId },
+          select: {
+            id: true,
+            userAgent: true,
+            ipAddress: true,
+            createdAt: true,
+            lastSeenAt: true,
+            expiresAt: true,
+          },
+          orderBy: { createdAt: 'asc' },
+        }),
+      ]);
+
+      const exportedAt = new Date();
+      const filename = `account-export-${exportedAt.toISOString().slice(0, 10)}.json`;
+
+      return reply
+        .code(200)
+        .header('Content-Type', 'application/json; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="${filename}"`)
+        .send(JSON.stringify({
+          exportedAt: exportedAt.toISOString(),
+          profile,
+          workspaces,
+          projects,
+          tasks,
+          tags,
+          comments,
+          sessions,
+        }, null, 2));
+    } catch (error) {
+      this.fastify.log.error(`Data export error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error exporting account data',
+      });
+    }
+  }
+
+  /**
+   * Permanently delete the user's account after re-confirming the password
+   * Related rows are removed by the cascading relations. Workspaces nobody
+   * else belongs to are deleted too; in shared ones the user's tasks are
+   * handed over to another owner.
+   */
+  async deleteAccount(request, reply) {
+    const userId = request.user.id;
+    const { password } = request.body;
+
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { id: userId },
+        include: {
+          tasks: { select: { id: true } },
+        },
+      });
+
+      if (!user || !(await this.passwordHasher.verify(password, user.password))) {
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Invalid password',
+        });
+      }
+
+      const memberships = await this.prisma.workspaceMember.findMany({
+        where: { userId },
+        select: {
+          workspaceId: true,
+          workspace: {
+            select: {
+              members: {
+                where: { userId: { not: userId } },
+                select: { userId: true, role: true },
+              },
+            },
+          },
+        },
+      });
+
+      const soleWorkspaceIds = memberships
+        .filter((membership) => membership.workspace.members.length === 0)
+        .map((membership) => membership.workspaceId);
+      const handovers = memberships
+        .filter((membership) => membership.workspace.members.length > 0)
+        .map((membership) => ({
+          workspaceId: membership.workspaceId,
+          owner: membership.workspace.members.find((member) => member.role === WORKSPACE_ROLES.OWNER),
+        }));
+
+      if (handovers.some((handover) => !handover.owner)) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'Make someone else an owner of your shared workspaces before deleting your account',
+        });
+      }
+
+      // Attachments in the deleted workspaces, and those the user uploaded elsewhere, go with the account
+      const storageKeys = await findStorageKeys(this.prisma, {
+        OR: [{ task: { workspaceId: { in: soleWorkspaceIds } } }, { uploaderId: userId }],
+      });
+
+      await this.prisma.$transaction([
+        ...handovers.map((handover) => this.prisma.task.updateMany({
+          where: { workspaceId: handover.workspaceId, userId },
+          data: { userId: handover.owner.userId },
+        })),
+        this.prisma.workspace.deleteMany({
+          where: { id: { in: soleWorkspaceIds } },
+        }),
+        this.prisma.user.delete({
+          where: { id: userId },
+        }),
+      ]);
+
+      await removeStoredFiles(this.fastify, storageKeys);
+
+      // Purge cached data belonging to the user
+      await this.fastify.cacheDeletePattern(`user:${userId}:*`);
+      await Promise.all(user.tasks.map((task) => this.fastify.cacheDelete(`task:${task.id}`)));
+      await Promise.all(handovers.map((handover) => invalidateWorkspaceTaskLists(this.fastify, handover.workspaceId)));
+
+      this.fastify.ws.closeFiltered(
+        (connection) => connection.user && connection.user.id === userId,
+        1008,
+        'Account deleted'
+      );
+
+      return reply.code(200).send({
+        message: 'Account deleted successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Account deletion error: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error deleting account',
+      });
+    }
+  }
+
   /**
    * Logout user
    */
@@ -0,0 +1,693 @@
+const { can, WORKSPACE_ROLES } = require('../policies');
+const { findStorageKeys, removeStoredFiles } = require('../services/attachments');
+const {
+  getMemberIds,
+  notifyWorkspace,
+  invalidateWorkspaceTaskLists,
+  refreshConnectionMemberships,
+  sendInvitationEmail,
+  findInvitation,
+  consumeInvitation,
+} = require('../services/workspaces');
+const { eventActor, taskEvent, recordTaskEvents } = require('../services/task-events');
+
+/**
+ * Workspace Controller
+ *
+ * Workspaces share tasks and projects between their members. Owners manage
+ * the workspace, its members and invitations; editors change tasks and
+ * projects; viewers can only read them. Membership changes are pushed over
+ * WebSocket to the members.
+ */
+
+// Fields exposed for a workspace
+const WORKSPACE_SELECT = {
+  id: true,
+  name: true,
+  personal: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Fields exposed for a member
+const MEMBER_SELECT = {
+  role: true,
+  createdAt: true,
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+    },
+  },
+};
+
+// Fields exposed for an invitation (never the token hash)
+const INVITATION_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+class WorkspaceController {
+  constructor(fastify) {
+    this.fastify = fastify;
+    this.prisma = fastify.prisma;
+  }
+
+  /**
+   * Load a workspace the user may perform `action` on
+   * Non-members get a 404 so workspace IDs don't leak.
+   * Resolves to `{ workspace }`, or to `{ failure }` holding the error response
+   */
+  async findWorkspace(user, id, action) {
+    const workspace = await this.prisma.workspace.findUnique({
+      where: { id },
+      select: WORKSPACE_SELECT,
+    });
+
+    if (!workspace || !can(user, 'workspace:read', workspace)) {
+      return {
+        failure: { statusCode: 404, error: 'Not Found', message: 'Workspace not found' },
+      };
+    }
+
+    if (!can(user, action, workspace)) {
+      return {
+        failure: {
+          statusCode: 403,
+          error: 'Forbidden',
+          message: workspace.personal
+            ? 'Personal workspaces cannot be shared or deleted'
+            : 'You do not have permission to manage this workspace',
+        },
+      };
+    }
+
+    return { workspace };
+  }
+
+  /**
+   * Whether removing or demoting `userId` would leave the workspace without an owner
+   * Run it in the transaction (`db`) that makes the change: the owners' rows
+   * stay locked until it ends, so two owners can't demote or remove each
+   * other at the same time.
+   */
+  async isLastOwner(db, workspaceId, userId) {
+    const owners = await db.$queryRaw`
+      SELECT user_id AS "userId" FROM workspace_members
+      WHERE workspace_id = ${workspaceId} AND role::text = ${WORKSPACE_ROLES.OWNER}
+      ORDER BY id
+      FOR UPDATE
+    `;
+
+    return owners.length === 1 && owners[0].userId === userId;
+  }
+
+  /**
+   * Update everything that depends on a user's memberships after they changed
+   * Their task lists now cover other workspaces, and their open connections
+   * must see the new memberships.
+   */
+  async membershipChanged(userId) {
+    await this.fastify.cacheDeletePattern(`user:${userId}:tasks:*`);
+    await refreshConnectionMemberships(this.fastify, userId);
+  }
+
+  /**
+   * List the user's workspaces with their role in each
+   */
+  async listWorkspaces(request, reply) {
+    const userId = request.user.id;
+
+    try {
+      const memberships = await this.prisma.workspaceMember.findMany({
+        where: { userId },
+        select: {
+          role: true,
+          workspace: {
+            select: {
+              ...WORKSPACE_SELECT,
+              _count: {
+                select: { members: true },
+              },
+            },
+          },
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      return reply.code(200).send({
+        workspaces: memberships.map(({ role, workspace }) => ({ ...workspace, role })),
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing workspaces: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing workspaces',
+      });
+    }
+  }
+
+  /**
+   * Create a shared workspace owned by the user
+   */
+  async createWorkspace(request, reply) {
+    const userId = request.user.id;
+    const name = request.body.name.trim();
+
+    try {
+      const workspace = await this.prisma.workspace.create({
+        data: {
+          name,
+          members: {
+            create: { userId, role: WORKSPACE_ROLES.OWNER },
+          },
+        },
+        select: WORKSPACE_SELECT,
+      });
+
+      await this.membershipChanged(userId);
+
+      return reply.code(201).send({
+        workspace: { ...workspace, role: WORKSPACE_ROLES.OWNER },
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error creating workspace: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error creating workspace',
+      });
+    }
+  }
+
+  /**
+   * Get a workspace with its members
+   */
+  async getWorkspace(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const { workspace, failure } = await this.findWorkspace(request.user, id, 'workspace:read');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const members = await this.prisma.workspaceMember.findMany({
+        where: { workspaceId: id },
+        select: MEMBER_SELECT,
+        orderBy: { createdAt: 'asc' },
+      });
+
+      return reply.code(200).send({
+        workspace: { ...workspace, members },
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error fetching workspace: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error fetching workspace',
+      });
+    }
+  }
+
+  /**
+   * Rename a workspace
+   */
+  async updateWorkspace(request, reply) {
+    const { id } = request.params;
+    const name = request.body.name.trim();
+
+    try {
+      const { failure } = await this.findWorkspace(request.user, id, 'workspace:update');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const workspace = await this.prisma.workspace.update({
+        where: { id },
+        data: { name },
+        select: WORKSPACE_SELECT,
+      });
+
+      await notifyWorkspace(this.fastify, id, {
+        type: 'WORKSPACE_UPDATED',
+        workspace,
+      });
+
+      return reply.code(200).send({
+        workspace,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error updating workspace: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error updating workspace',
+      });
+    }
+  }
+
+  /**
+   * Delete a shared workspace with all of its tasks and projects
+   */
+  async deleteWorkspace(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const { failure } = await this.findWorkspace(request.user, id, 'workspace:delete');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const memberIds = await getMemberIds(this.prisma, id);
+      const tasks = await this.prisma.task.findMany({
+        where: { workspaceId: id },
+        select: { id: true, dueDate: true, status: true, reminderOffsets: true },
+      });
+
+      // Attachment rows cascade with the tasks; their files are removed afterwards
+      const storageKeys = await findStorageKeys(this.prisma, {
+        task: { workspaceId: id },
+      });
+
+      await this.prisma.workspace.delete({
+        where: { id },
+      });
+
+      await removeStoredFiles(this.fastify, storageKeys);
+      await Promise.all(tasks.map((task) => this.fastify.reminders.cancel(task)));
+      await Promise.all(tasks.map((task) => this.fastify.cacheDelete(`task:${task.id}`)));
+      await Promise.all(memberIds.map((userId) => this.membershipChanged(userId)));
+
+      const members = new Set(memberIds);
+      this.fastify.ws.broadcastFiltered(
+        { type: 'WORKSPACE_DELETED', workspaceId: id },
+        (connection) => Boolean(connection.user) && members.has(connection.user.id)
+      );
+
+      return reply.code(200).send({
+        message: 'Workspace deleted successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error deleting workspace: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error deleting workspace',
+      });
+    }
+  }
+
+  /**
+   * List a workspace's pending invitations
+   */
+  async listInvitations(request, reply) {
+    const { id } = request.params;
+
+    try {
+      const { failure } = await this.findWorkspace(request.user, id, 'workspace:members:manage');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const invitations = await this.prisma.workspaceInvitation.findMany({
+        where: {
+          workspaceId: id,
+          usedAt: null,
+          expiresAt: { gt: new Date() },
+        },
+        select: INVITATION_SELECT,
+        orderBy: { createdAt: 'asc' },
+      });
+
+      return reply.code(200).send({
+        invitations,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error listing invitations: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error listing invitations',
+      });
+    }
+  }
+
+  /**
+   * Invite someone to a workspace by email
+   * The link in the email can only be accepted by the account with that address.
+   */
+  async createInvitation(request, reply) {
+    const { id } = request.params;
+    const email = request.body.email.trim().toLowerCase();
+    const role = request.body.role || WORKSPACE_ROLES.EDITOR;
+
+    try {
+      const { workspace, failure } = await this.findWorkspace(request.user, id, 'workspace:members:manage');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const existingMember = await this.prisma.workspaceMember.findFirst({
+        where: {
+          workspaceId: id,
+          user: { email: { equals: email, mode: 'insensitive' } },
+        },
+        select: { id: true },
+      });
+
+      if (existingMember) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'This person is already a member of the workspace',
+        });
+      }
+
+      const invitation = await sendInvitationEmail(this.fastify, {
+        workspace,
+        email,
+        role,
+        invitedBy: request.user,
+      });
+
+      return reply.code(201).send({
+        invitation: {
+          id: invitation.id,
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+          createdAt: invitation.createdAt,
+        },
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error creating invitation: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error creating invitation',
+      });
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  async revokeInvitation(request, reply) {
+    const { id, invitationId } = request.params;
+
+    try {
+      const { failure } = await this.findWorkspace(request.user, id, 'workspace:members:manage');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const { count } = await this.prisma.workspaceInvitation.deleteMany({
+        where: { id: invitationId, workspaceId: id, usedAt: null },
+      });
+
+      if (count === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Invitation not found',
+        });
+      }
+
+      return reply.code(200).send({
+        message: 'Invitation revoked successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error revoking invitation: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error revoking invitation',
+      });
+    }
+  }
+
+  /**
+   * Accept an invitation and join its workspace
+   */
+  async acceptInvitation(request, reply) {
+    const { token } = request.body;
+    const userId = request.user.id;
+
+    try {
+      const invitation = await findInvitation(this.prisma, token);
+
+      if (!invitation) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid or expired invitation',
+        });
+      }
+
+      if (invitation.email.toLowerCase() !== request.user.email.toLowerCase()) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'This invitation was sent to another email address',
+        });
+      }
+
+      const existingMember = await this.prisma.workspaceMember.findUnique({
+        where: { workspaceId_userId: { workspaceId: invitation.workspaceId, userId } },
+        select: { id: true },
+      });
+
+      if (existingMember) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'You are already a member of this workspace',
+        });
+      }
+
+      if (!(await consumeInvitation(this.prisma, invitation))) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid or expired invitation',
+        });
+      }
+
+      const member = await this.prisma.workspaceMember.create({
+        data: {
+          workspaceId: invitation.workspaceId,
+          userId,
+          role: invitation.role,
+        },
+        select: MEMBER_SELECT,
+      });
+
+      await this.membershipChanged(userId);
+
+      await notifyWorkspace(this.fastify, invitation.workspaceId, {
+        type: 'WORKSPACE_MEMBER_ADDED',
+        workspaceId: invitation.workspaceId,
+        member,
+      });
+
+      return reply.code(200).send({
+        workspace: { ...invitation.workspace, role: member.role },
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error accepting invitation: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error accepting invitation',
+      });
+    }
+  }
+
+  /**
+   * Change a member's role
+   */
+  async updateMember(request, reply) {
+    const { id, userId } = request.params;
+    const { role } = request.body;
+
+    try {
+      const { failure } = await this.findWorkspace(request.user, id, 'workspace:members:manage');
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      const existingMember = await this.prisma.workspaceMember.findUnique({
+        where: { workspaceId_userId: { workspaceId: id, userId } },
+        select: { role: true },
+      });
+
+      if (!existingMember) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Member not found',
+        });
+      }
+
+      const member = await this.prisma.$transaction(async (tx) => {
+        if (role !== WORKSPACE_ROLES.OWNER && await this.isLastOwner(tx, id, userId)) {
+          return null;
+        }
+
+        return tx.workspaceMember.update({
+          where: { workspaceId_userId: { workspaceId: id, userId } },
+          data: { role },
+          select: MEMBER_SELECT,
+        });
+      });
+
+      if (!member) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'A workspace needs at least one owner',
+        });
+      }
+
+      await refreshConnectionMemberships(this.fastify, userId);
+
+      await notifyWorkspace(this.fastify, id, {
+        type: 'WORKSPACE_MEMBER_UPDATED',
+        workspaceId: id,
+        member,
+      });
+
+      return reply.code(200).send({
+        member,
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error updating member: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error updating member',
+      });
+    }
+  }
+
+  /**
+   * Remove a member from a workspace
+   * Owners can remove anyone; every member can remove themselves to leave.
+   * Tasks assigned to the member become unassigned.
+   */
+  async removeMember(request, reply) {
+    const { id, userId } = request.params;
+    const leaving = userId === request.user.id;
+
+    try {
+      const { workspace, failure } = await this.findWorkspace(
+        request.user,
+        id,
+        leaving ? 'workspace:read' : 'workspace:members:manage'
+      );
+      if (failure) {
+        return reply.code(failure.statusCode).send({
+          error: failure.error,
+          message: failure.message,
+        });
+      }
+
+      if (workspace.personal) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: 'Personal workspaces cannot be shared or deleted',
+        });
+      }
+
+      const existingMember = await this.prisma.workspaceMember.findUnique({
+        where: { workspaceId_userId: { workspaceId: id, userId } },
+        select: { id: true },
+      });
+
+      if (!existingMember) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Member not found',
+        });
+      }
+
+      const unassigned = await this.prisma.$transaction(async (tx) => {
+        if (await this.isLastOwner(tx, id, userId)) {
+          return null;
+        }
+
+        const assignedTasks = await tx.task.findMany({
+          where: { workspaceId: id, assigneeId: userId },
+          select: { id: true, title: true, workspaceId: true, assigneeId: true },
+        });
+        await tx.task.updateMany({
+          where: { workspaceId: id, assigneeId: userId },
+          data: { assigneeId: null, version: { increment: 1 } },
+        });
+        await tx.workspaceMember.delete({
+          where: { workspaceId_userId: { workspaceId: id, userId } },
+        });
+
+        return assignedTasks;
+      });
+
+      if (!unassigned) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'A workspace needs at least one owner',
+        });
+      }
+
+      const actor = eventActor(request);
+      await recordTaskEvents(this.fastify, unassigned.map((task) => (
+        taskEvent(actor, task, { ...task, assigneeId: null })
+      )));
+
+      await Promise.all(unassigned.map((task) => this.fastify.cacheDelete(`task:${task.id}`)));
+      await invalidateWorkspaceTaskLists(this.fastify, id);
+      await this.membershipChanged(userId);
+
+      const message = {
+        type: 'WORKSPACE_MEMBER_REMOVED',
+        workspaceId: id,
+        userId,
+        unassignedTaskIds: unassigned.map((task) => task.id),
+      };
+      await notifyWorkspace(this.fastify, id, message);
+
+      // The removed member is no longer reached through the workspace
+      this.fastify.ws.broadcastFiltered(
+        message,
+        (connection) => Boolean(connection.user) && connection.user.id === userId
+      );
+
+      return reply.code(200).send({
+        message: leaving ? 'Left workspace successfully' : 'Member removed successfully',
+      });
+    } catch (error) {
+      this.fastify.log.error(`Error removing member: ${error.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Error removing member',
+      });
+    }
+  }
+}
+
+module.exports = WorkspaceController;
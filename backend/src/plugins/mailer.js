@@ -0,0 +1,19 @@
+const fastifyPlugin = require('fastify-plugin');
+const { createMailer } = require('../services/mailer');
+
+/**
+ * Mailer plugin for Fastify
+ *
+ * Exposes a shared mailer as `fastify.mailer`. The transport is chosen with
+ * MAIL_TRANSPORT (console, file or smtp) unless one is passed in options.
+ */
+async function mailerPlugin(fastify, options) {
+  const mailer = createMailer({
+    logger: fastify.log,
+    ...options,
+  });
+
+  fastify.decorate('mailer', mailer);
+}
+
+module.exports = fastifyPlugin(mailerPlugin);
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fastifyPlugin = require('fastify-plugin');
+
+/**
+ * Rate limiting plugin for Fastify
+ *
+ * Redis-backed sliding-window rate limiting and progressive lockout, shared
+ * across server instances through the existing `fastify.redis` client.
+ *
+ * Routes opt in through their `config.rateLimit` route option:
+ *
+ *   config: {
+ *     rateLimit: {
+ *       ip: { max: 20, windowMs: 60000 },
+ *       account: { max: 5, windowMs: 60000, key: (request) => request.body.email.toLowerCase() },
+ *     },
+ *   }
+ *
+ * The check runs as a preValidation hook, so account keys can use the parsed
+ * body but run before `authenticate`; they are used as given, so normalize
+ * them in `key`. Responses carry X-RateLimit-* headers, and rejected
+ * requests get a 429 with Retry-After.
+ */
+async function rateLimitPlugin(fastify, options) {
+  const redis = fastify.redis;
+
+  // Progressive lockout settings
+  const lockoutThreshold = options.lockoutThreshold
+    || parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5;
+  const lockoutBaseSeconds = options.lockoutBaseSeconds
+    || parseInt(process.env.LOCKOUT_BASE_SECONDS, 10) || 30;
+  const lockoutMaxSeconds = options.lockoutMaxSeconds
+    || parseInt(process.env.LOCKOUT_MAX_SECONDS, 10) || 3600;
+  const failureMemorySeconds = 24 * 3600; // Failures are forgotten after a quiet day
+
+  const limiter = {
+    /**
+     * Count a hit against a sliding window
+     * Rejected hits are not counted, so a blocked client recovers once
+     * its oldest accepted hit leaves the window.
+     */
+    consume: async (key, { max, windowMs }) => {
+      const redisKey = `ratelimit:${key}`;
+      const now = Date.now();
+      const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+
+      try {
+        const results = await redis
+          .multi()
+          .zremrangebyscore(redisKey, 0, now - windowMs)
+          .zadd(redisKey, now, member)
+          .zcard(redisKey)
+          .zrange(redisKey, 0, 0, 'WITHSCORES')
+          .pexpire(redisKey, windowMs)
+          .exec();
+
+        const count = results[2][1];
+        const oldest = Number(results[3][1][1] || now);
+        const allowed = count <= max;
+
+        if (!allowed) {
+          await redis.zrem(redisKey, member);
+        }
+
+        return {
+          allowed,
+          limit: max,
+          remaining: Math.max(max - count, 0),
+          resetMs: Math.max(oldest + windowMs - now, 0),
+        };
+      } catch (err) {
+        // Fail open - an unavailable cache shouldn't take the API down
+        fastify.log.warn(`Rate limit check failed for ${key}: ${err.message}`);
+        return { allowed: true, limit: max, remaining: max, resetMs: 0 };
+      }
+    },
+
+    /**
+     * Milliseconds left on an active lockout (0 when not locked)
+     */
+    getLockout: async (key) => {
+      try {
+        const ttl = await redis.pttl(`lockout:${key}`);
+        return ttl > 0 ? ttl : 0;
+      } catch (err) {
+        // Fail open, like consume
+        fastify.log.warn(`Lockout check failed for ${key}: ${err.message}`);
+        return 0;
+      }
+    },
+
+    /**
+     * Record a failed attempt; locks the key once the threshold is reached,
+     * doubling the lockout with every further failure.
+     * Returns the lockout length in milliseconds (0 when not locked).
+     */
+    recordFailure: async (key) => {
+      const failuresKey = `lockout:${key}:failures`;
+
+      try {
+        const failures = await redis.incr(failuresKey);
+        await redis.expire(failuresKey, failureMemorySeconds);
+
+        if (failures < lockoutThreshold) {
+          return 0;
+        }
+
+        const seconds = Math.min(lockoutBaseSeconds * 2 ** (failures - lockoutThreshold), lockoutMaxSeconds);
+        await redis.set(`lockout:${key}`, '1', 'EX', seconds);
+        return seconds * 1000;
+      } catch (err) {
+        fastify.log.warn(`Recording a failed attempt failed for ${key}: ${err.message}`);
+        return 0;
+      }
+    },
+
+    /**
+     * Clear failures and any lockout after a successful attempt
+     */
+    resetFailures: async (key) => {
+      try {
+        await redis.del(`lockout:${key}`, `lockout:${key}:failures`);
+      } catch (err) {
+        fastify.log.warn(`Clearing failed attempts failed for ${key}: ${err.message}`);
+      }
+    },
+
+    /**
+     * Reply with 429 Too Many Requests
+     */
+    sendTooManyRequests: (reply, retryAfterMs) => {
+      const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+
+      return reply
+        .code(429)
+        .header('Retry-After', retryAfter)
+        .send({
+          error: 'Too Many Requests',
+          message: `Too many requests, retry in ${retryAfter} seconds`,
+        });
+    },
+  };
+
+  fastify.decorate('rateLimiter', limiter);
+
+  // Build the preValidation hook for a route's rateLimit config
+  const createRouteHook = (routeKey, limits) => async (request, reply) => {
+    const checks = [];
+
+    if (limits.ip) {
+      checks.push(limiter.consume(`${routeKey}:ip:${request.ip}`, limits.ip));
+    }
+
+    if (limits.account) {
+      const account = limits.account.key(request);
+      if (account) {
+        checks.push(limiter.consume(`${routeKey}:account:${account}`, limits.account));
+      }
+    }
+
+    const results = await Promise.all(checks);
+    if (results.length === 0) {
+      return;
+    }
+
+    // Report the most restrictive window
+    const tightest = results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    reply.header('X-RateLimit-Limit', tightest.limit);
+    reply.header('X-RateLimit-Remaining', tightest.remaining);
+    reply.header('X-RateLimit-Reset', Math.ceil(tightest.resetMs / 1000));
+
+    const blocked = results.filter((result) => !result.allowed);
+    if (blocked.length > 0) {
+      const retryAfterMs = Math.max(...blocked.map((result) => result.resetMs));
+      return limiter.sendTooManyRequests(reply, retryAfterMs);
+    }
+  };
+
+  // Attach the limiter to every route that declares config.rateLimit
+  fastify.addHook('onRoute', (routeOptions) => {
+    const limits = routeOptions.config && routeOptions.config.rateLimit;
+    if (!limits) {
+      return;
+    }
+
+    const routeKey = `${routeOptions.method}:${routeOptions.url}`;
+    const existing = routeOptions.preValidation ? [].concat(routeOptions.preValidation) : [];
+    routeOptions.preValidation = [createRouteHook(routeKey, limits), ...existing];
+  });
+}
+
+module.exports = fastifyPlugin(rateLimitPlugin);
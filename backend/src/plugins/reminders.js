@@ -0,0 +1,155 @@
+const fastifyPlugin = require('fastify-plugin');
+const { createNotifier } = require('../services/notifier');
+const {
+  REMINDER_CHANNEL,
+  isCurrent,
+  scheduleReminders,
+  cancelReminders,
+  claimDueReminders,
+  markDelivered,
+} = require('../services/reminders');
+
+// How often to look for due reminders, in milliseconds
+const POLL_INTERVAL = parseInt(process.env.REMINDER_POLL_INTERVAL_MS, 10) || 10000;
+
+/**
+ * Reminder scheduler plugin for Fastify
+ *
+ * Exposes `fastify.reminders` to (re)schedule a task's reminders and polls
+ * the Redis queue for due ones. Every instance polls; each reminder is
+ * claimed by exactly one of them, which sends it through the notifier and
+ * publishes it so every instance can push TASK_REMINDER to its own sockets.
+ */
+async function remindersPlugin(fastify, options) {
+  const notifier = options.notifier || createNotifier({
+    mailer: fastify.mailer,
+    logger: fastify.log,
+    ...options,
+  });
+
+  // Subscribed connections can't run other commands, so use a second one
+  const subscriber = fastify.redis.duplicate();
+  subscriber.on('error', (err) => {
+    fastify.log.error(`Redis subscriber error: ${err.message}`);
+  });
+  subscriber.on('message', (channel, payload) => {
+    const { userId, message } = JSON.parse(payload);
+    fastify.ws.broadcastFiltered(
+      message,
+      (connection) => connection.user && connection.user.id === userId
+    );
+  });
+  await subscriber.subscribe(REMINDER_CHANNEL);
+
+  // Deliver one claimed reminder, unless it is stale or already sent
+  async function deliver(entry) {
+    const task = await fastify.prisma.task.findUnique({
+      where: { id: entry.taskId },
+      include: {
+        user: { select: { id: true, email: true, name: true } },
+        assignee: { select: { id: true, email: true, name: true } },
+      },
+    });
+
+    if (!isCurrent(task, entry) || !(await markDelivered(fastify.redis, entry))) {
+      return;
+    }
+
+    // Reminders go to the assignee, or to the creator of unassigned tasks
+    const recipient = task.assignee || task.user;
+
+    const reminder = {
+      task: {
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        dueDate: task.dueDate,
+      },
+      minutesBefore: entry.offset,
+    };
+
+    await fastify.redis.publish(REMINDER_CHANNEL, JSON.stringify({
+      userId: recipient.id,
+      message: { type: 'TASK_REMINDER', projectId: task.projectId, ...reminder },
+    }));
+
+    const results = await notifier.notify({ ...reminder, user: recipient });
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        fastify.log.error(`Reminder notifier failed for task ${task.id}: ${result.reason.message}`);
+      }
+    }
+  }
+
+  let polling = false;
+  async function poll() {
+    // Skip a tick while the previous batch is still being delivered
+    if (polling) return;
+    polling = true;
+
+    try {
+      const entries = await claimDueReminders(fastify.redis);
+      for (const entry of entries) {
+        try {
+          await deliver(entry);
+        } catch (err) {
+          fastify.log.error(`Error delivering reminder for task ${entry.taskId}: ${err.message}`);
+        }
+      }
+    } catch (err) {
+      fastify.log.error(`Error polling reminders: ${err.message}`);
+    } finally {
+      polling = false;
+    }
+  }
+
+  // Queue every upcoming reminder from the database, in case Redis lost its data
+  async function requeueUpcoming() {
+    const tasks = await fastify.prisma.task.findMany({
+      where: {
+        dueDate: { gt: new Date() },
+        status: { not: 'DONE' },
+        deletedAt: null,
+        reminderOffsets: { isEmpty: false },
+      },
+      select: { id: true, dueDate: true, status: true, reminderOffsets: true },
+    });
+
+    for (const task of tasks) {
+      await scheduleReminders(fastify.redis, task);
+    }
+  }
+
+  fastify.decorate('reminders', {
+    // Queue a task's reminders, replacing those of its previous state
+    schedule: (task, previousTask = null) => scheduleReminders(fastify.redis, task, previousTask),
+
+    // Drop a task's queued reminders
+    cancel: (task) => cancelReminders(fastify.redis, task),
+
+    // Deliver due reminders now (the timer calls this periodically)
+    poll,
+  });
+
+  let timer = null;
+
+  fastify.addHook('onReady', async () => {
+    if (options.autoStart === false) return;
+
+    try {
+      await requeueUpcoming();
+    } catch (err) {
+      fastify.log.error(`Error requeueing reminders: ${err.message}`);
+    }
+
+    timer = setInterval(poll, POLL_INTERVAL);
+    timer.unref();
+  });
+
+  fastify.addHook('onClose', async () => {
+    clearInterval(timer);
+    await subscriber.quit();
+  });
+}
+
+module.exports = fastifyPlugin(remindersPlugin);
@@ -0,0 +1,16 @@
+const fastifyPlugin = require('fastify-plugin');
+const { createStorage } = require('../services/storage');
+
+/**
+ * Storage plugin for Fastify
+ *
+ * Exposes the file storage driver as `fastify.storage`. The driver is chosen
+ * with STORAGE_DRIVER unless one is passed in options.
+ */
+async function storagePlugin(fastify, options) {
+  const storage = options.driver || createStorage(options.name, options);
+
+  fastify.decorate('storage', storage);
+}
+
+module.exports = fastifyPlugin(storagePlugin);
@@ -0,0 +1,46 @@
+const fastifyPlugin = require('fastify-plugin');
+const { purgeExpired } = require('../services/trash');
+
+// How often to purge expired trash, in milliseconds (hourly)
+const PURGE_INTERVAL = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 3600 * 1000;
+
+// Redis key held by the instance running a purge
+const PURGE_LOCK_KEY = 'trash:purge:lock';
+
+/**
+ * Trash purge plugin for Fastify
+ *
+ * Periodically deletes tasks that have been in the trash longer than the
+ * retention period. Every instance runs the timer; a Redis lock lets only
+ * one of them purge per interval.
+ */
+async function trashPlugin(fastify, options) {
+  async function purge() {
+    try {
+      const locked = await fastify.redis.set(PURGE_LOCK_KEY, '1', 'PX', PURGE_INTERVAL, 'NX');
+      if (!locked) return;
+
+      const purgedIds = await purgeExpired(fastify);
+      if (purgedIds.length > 0) {
+        fastify.log.info(`Purged ${purgedIds.length} tasks from the trash`);
+      }
+    } catch (err) {
+      fastify.log.error(`Error purging trash: ${err.message}`);
+    }
+  }
+
+  let timer = null;
+
+  fastify.addHook('onReady', async () => {
+    if (options.autoStart === false) return;
+
+    timer = setInterval(purge, PURGE_INTERVAL);
+    timer.unref();
+  });
+
+  fastify.addHook('onClose', async () => {
+    clearInterval(timer);
+  });
+}
+
+module.exports = fastifyPlugin(trashPlugin);
@@ -100,6 +100,32 @@ async function websocketPlugin(fastify, options) {
       });
       
       return sentCount;
+    },
+
+    // Close and remove connections matching a filter function
+    closeFiltered: (filterFn, code = 1000, reason = '') => {
+      let closedCount = 0;
+      
+      activeConnections.forEach((connection, id) => {
+        if (!filterFn(connection, id)) {
+          return;
+        }
+        
+        try {
+          connection.socket.close(code, reason);
+        } catch (err) {
+          // Socket may already be closing
+        }
+        
+        activeConnections.delete(id);
+        closedCount++;
+      });
+      
+      if (closedCount > 0) {
+        fastify.log.info(`Closed ${closedCount} WebSocket connection(s): ${reason}`);
+      }
+      
+      return closedCount;
     }
   });
 
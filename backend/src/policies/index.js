@@ -0,0 +1,118 @@
+/**
+ * Access Policies
+ *
+ * Declarative permission checks shared by routes and controllers.
+ * Each action maps to a rule receiving the acting user and, for
+ * resource-level checks, the resource being accessed.
+ *
+ * Tasks and projects are shared through workspaces: the user's
+ * `memberships` (loaded by `authenticate`) decide what they may see and
+ * change, by their role in the resource's workspace.
+ */
+
+const ROLES = {
+  USER: 'USER',
+  ADMIN: 'ADMIN',
+};
+
+const WORKSPACE_ROLES = {
+  OWNER: 'OWNER',
+  EDITOR: 'EDITOR',
+  VIEWER: 'VIEWER',
+};
+
+const isAdmin = (user) => user.role === ROLES.ADMIN;
+
+const isAuthor = (user, comment) => Boolean(comment) && comment.authorId === user.id;
+
+// The user's role in a workspace, or null when they aren't a member
+const workspaceRole = (user, workspaceId) => {
+  const membership = (user.memberships || []).find((member) => member.workspaceId === workspaceId);
+  return membership ? membership.role : null;
+};
+
+const isMember = (user, workspaceId) => workspaceRole(user, workspaceId) !== null;
+
+const isEditor = (user, workspaceId) => [WORKSPACE_ROLES.OWNER, WORKSPACE_ROLES.EDITOR]
+  .includes(workspaceRole(user, workspaceId));
+
+const isWorkspaceOwner = (user, workspaceId) => workspaceRole(user, workspaceId) === WORKSPACE_ROLES.OWNER;
+
+const canReadTask = (user, task) => Boolean(task) && (isMember(user, task.workspaceId) || isAdmin(user));
+
+const canEditTask = (user, task) => Boolean(task) && isEditor(user, task.workspaceId);
+
+// Personal workspaces can't be shared or deleted
+const canManageWorkspace = (user, workspace) => Boolean(workspace)
+  && !workspace.personal
+  && isWorkspaceOwner(user, workspace.id);
+
+// Action rules
+const policies = {
+  // Tasks: viewers can read, editors and owners can change
+  'task:read': canReadTask,
+  'task:create': (user, workspace) => Boolean(workspace) && isEditor(user, workspace.id),
+  'task:update': canEditTask,
+  'task:delete': canEditTask,
+
+  // Projects: editors and owners organize the workspace's projects
+  'project:manage': (user, workspace) => Boolean(workspace) && isEditor(user, workspace.id),
+
+  // Workspaces
+  'workspace:read': (user, workspace) => Boolean(workspace) && isMember(user, workspace.id),
+  'workspace:update': (user, workspace) => Boolean(workspace) && isWorkspaceOwner(user, workspace.id),
+  'workspace:delete': canManageWorkspace,
+  'workspace:members:manage': canManageWorkspace,
+
+  // Comments: anyone who can see a task can discuss it
+  'comment:create': canReadTask,
+  'comment:update': (user, comment) => isAuthor(user, comment),
+  'comment:delete': (user, comment) => isAuthor(user, comment) || isAdmin(user),
+
+  // Administration
+  'admin:users:read': (user) => isAdmin(user),
+  'admin:users:update': (user) => isAdmin(user),
+  'admin:tasks:read': (user) => isAdmin(user),
+};
+
+/**
+ * Check whether a user may perform an action
+ *
+ * @param {Object} user - Authenticated user (must include `role` and `memberships`)
+ * @param {string} action - Action name, e.g. 'task:update'
+ * @param {Object} [resource] - Resource the action applies to
+ */
+function can(user, action, resource) {
+  const rule = policies[action];
+  if (!rule) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+  return Boolean(user) && rule(user, resource);
+}
+
+/**
+ * Create a preHandler that rejects requests lacking a permission
+ * Use after `authenticate`, e.g. `preHandler: [authenticate, requirePermission('admin:users:read')]`
+ */
+function requirePermission(action) {
+  // Fail fast on typos when routes are registered
+  if (!policies[action]) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+
+  return async function checkPermission(request, reply) {
+    if (!can(request.user, action)) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'You do not have permission to perform this action',
+      });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  WORKSPACE_ROLES,
+  can,
+  requirePermission,
+};
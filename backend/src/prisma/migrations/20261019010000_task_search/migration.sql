@@ -0,0 +1,13 @@
+-- Full-text search over task titles and descriptions.
+-- Prisma can't express generated columns, so this migration is hand-written;
+-- the column is declared as Unsupported("tsvector") in schema.prisma.
+
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "search_vector" tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+        setweight(to_tsvector('english', coalesce("description", '')), 'B')
+    ) STORED;
+
+-- CreateIndex
+CREATE INDEX "tasks_search_vector_idx" ON "tasks" USING GIN ("search_vector");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "parent_id" TEXT,
+ADD COLUMN     "position" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "tasks_parent_id_position_idx" ON "tasks"("parent_id", "position");
+
+-- AddForeignKey
+ALTER TABLE "tasks" ADD CONSTRAINT "tasks_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
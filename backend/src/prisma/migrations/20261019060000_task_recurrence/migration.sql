@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "recurrence_rule" TEXT,
+ADD COLUMN     "recurrence_start" TIMESTAMP(3),
+ADD COLUMN     "series_id" TEXT,
+ADD COLUMN     "time_zone" TEXT;
+
+-- CreateIndex
+CREATE INDEX "tasks_series_id_due_date_idx" ON "tasks"("series_id", "due_date");
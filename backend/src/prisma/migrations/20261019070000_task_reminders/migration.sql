@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "reminder_offsets" INTEGER[] DEFAULT ARRAY[]::INTEGER[];
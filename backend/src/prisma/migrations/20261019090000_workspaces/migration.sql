@@ -0,0 +1,111 @@
+-- CreateEnum
+CREATE TYPE "WorkspaceRole" AS ENUM ('OWNER', 'EDITOR', 'VIEWER');
+
+-- CreateTable
+CREATE TABLE "workspaces" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "personal" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workspaces_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "workspace_members" (
+    "id" TEXT NOT NULL,
+    "workspace_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "role" "WorkspaceRole" NOT NULL DEFAULT 'EDITOR',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "workspace_members_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "workspace_invitations" (
+    "id" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "workspace_id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "WorkspaceRole" NOT NULL DEFAULT 'EDITOR',
+    "invited_by_id" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "workspace_invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- Give every existing user a personal workspace (sharing the user's ID)
+INSERT INTO "workspaces" ("id", "name", "personal", "updated_at")
+SELECT "id", 'Personal', true, CURRENT_TIMESTAMP FROM "users";
+
+INSERT INTO "workspace_members" ("id", "workspace_id", "user_id", "role")
+SELECT gen_random_uuid()::text, "id", "id", 'OWNER' FROM "users";
+
+-- AlterTable: existing tasks and projects move to their owner's personal workspace
+ALTER TABLE "tasks" ADD COLUMN     "assignee_id" TEXT,
+ADD COLUMN     "workspace_id" TEXT;
+
+UPDATE "tasks" SET "workspace_id" = "user_id";
+
+ALTER TABLE "tasks" ALTER COLUMN "workspace_id" SET NOT NULL;
+
+ALTER TABLE "projects" ADD COLUMN     "workspace_id" TEXT;
+
+UPDATE "projects" SET "workspace_id" = "user_id";
+
+ALTER TABLE "projects" ALTER COLUMN "workspace_id" SET NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "projects" DROP CONSTRAINT "projects_user_id_fkey";
+
+-- DropIndex
+DROP INDEX "projects_user_id_position_idx";
+
+-- AlterTable
+ALTER TABLE "projects" DROP COLUMN "user_id";
+
+-- CreateIndex
+CREATE INDEX "tasks_workspace_id_idx" ON "tasks"("workspace_id");
+
+-- CreateIndex
+CREATE INDEX "tasks_assignee_id_idx" ON "tasks"("assignee_id");
+
+-- CreateIndex
+CREATE INDEX "projects_workspace_id_position_idx" ON "projects"("workspace_id", "position");
+
+-- CreateIndex
+CREATE INDEX "workspace_members_user_id_idx" ON "workspace_members"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspace_members_workspace_id_user_id_key" ON "workspace_members"("workspace_id", "user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspace_invitations_token_hash_key" ON "workspace_invitations"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "workspace_invitations_workspace_id_idx" ON "workspace_invitations"("workspace_id");
+
+-- AddForeignKey
+ALTER TABLE "tasks" ADD CONSTRAINT "tasks_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "tasks" ADD CONSTRAINT "tasks_assignee_id_fkey" FOREIGN KEY ("assignee_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "projects" ADD CONSTRAINT "projects_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workspace_members" ADD CONSTRAINT "workspace_members_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workspace_members" ADD CONSTRAINT "workspace_members_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workspace_invitations" ADD CONSTRAINT "workspace_invitations_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workspace_invitations" ADD CONSTRAINT "workspace_invitations_invited_by_id_fkey" FOREIGN KEY ("invited_by_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
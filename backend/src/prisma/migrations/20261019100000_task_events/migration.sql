@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "TaskEventAction" AS ENUM ('CREATED', 'UPDATED', 'DELETED');
+
+-- CreateEnum
+CREATE TYPE "TaskEventSource" AS ENUM ('REST', 'WEBSOCKET', 'API_TOKEN');
+
+-- CreateTable
+CREATE TABLE "task_events" (
+    "id" TEXT NOT NULL,
+    "task_id" TEXT NOT NULL,
+    "workspace_id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "action" "TaskEventAction" NOT NULL,
+    "source" "TaskEventSource" NOT NULL,
+    "changes" JSONB NOT NULL,
+    "actor_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "task_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "task_events_task_id_created_at_idx" ON "task_events"("task_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "task_events_workspace_id_created_at_idx" ON "task_events"("workspace_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "task_events" ADD CONSTRAINT "task_events_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "task_events" ADD CONSTRAINT "task_events_actor_id_fkey" FOREIGN KEY ("actor_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "TaskEventAction" ADD VALUE 'RESTORED';
+
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "deleted_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "tasks_deleted_at_idx" ON "tasks"("deleted_at");
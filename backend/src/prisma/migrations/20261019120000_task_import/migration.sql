@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "external_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tasks_workspace_id_external_id_key" ON "tasks"("workspace_id", "external_id");
@@ -2,13 +2,7 @@
 
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
-const crypto = require('crypto');
-
-// Simple password hashing for demo purposes
-// In production, use a proper hashing library like bcrypt
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
-}
+const { passwordHasher } = require('../services/password-hasher');
 
 async function main() {
   console.log('Starting database seed...');
@@ -16,25 +10,43 @@ async function main() {
   // Cleanup existing data in reverse order of dependencies
   await prisma.session.deleteMany({});
   await prisma.task.deleteMany({});
+  await prisma.workspace.deleteMany({});
   await prisma.user.deleteMany({});
 
   console.log('Database cleaned. Creating sample users...');
 
+  // Every user gets a personal workspace for their tasks
+  const personalWorkspace = {
+    memberships: {
+      create: {
+        role: 'OWNER',
+        workspace: {
+          create: { name: 'Personal', personal: true },
+        },
+      },
+    },
+  };
+
   // Create sample users
   const users = await Promise.all([
     prisma.user.create({
       data: {
         email: 'admin@example.com',
         name: 'Admin User',
-        password: hashPassword('admin123'), // In a real app, use proper password hashing
+        password: await passwordHasher.hash('admin123'),
+        role: 'ADMIN',
+        ...personalWorkspace,
       },
+      include: { memberships: true },
     }),
     prisma.user.create({
       data: {
         email: 'user@example.com',
         name: 'Regular User',
-        password: hashPassword('user123'),
+        password: await passwordHasher.hash('user123'),
+        ...personalWorkspace,
       },
+      include: { memberships: true },
     }),
   ]);
 
@@ -51,6 +63,7 @@ async function main() {
         priority: 2,
         dueDate: new Date(Date.now() + 86400000), // Tomorrow
         userId: users[0].id,
+        workspaceId: users[0].memberships[0].workspaceId,
       },
     }),
     prisma.task.create({
@@ -61,6 +74,7 @@ async function main() {
         priority: 1,
         dueDate: new Date(Date.now() + 2 * 86400000), // Day after tomorrow
         userId: users[0].id,
+        workspaceId: users[0].memberships[0].workspaceId,
       },
     }),
     
@@ -73,6 +87,7 @@ async function main() {
         priority: 3,
         dueDate: new Date(Date.now() + 3 * 86400000),
         userId: users[1].id,
+        workspaceId: users[1].memberships[0].workspaceId,
       },
     }),
     prisma.task.create({
@@ -83,6 +98,7 @@ async function main() {
         priority: 2,
         dueDate: new Date(Date.now() - 86400000), // Yesterday
         userId: users[1].id,
+        workspaceId: users[1].memberships[0].workspaceId,
       },
     }),
   ]);
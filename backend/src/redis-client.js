@@ -52,12 +52,18 @@ async function redisPlugin(fastify, options) {
   });
 
   // Clear cache by pattern (useful for invalidating related cache entries)
+  // Uses SCAN rather than KEYS so large keyspaces don't block Redis
   fastify.decorate('cacheDeletePattern', async (pattern) => {
-    const keys = await redis.keys(pattern);
-    if (keys.length > 0) {
-      return await redis.del(keys);
-    }
-    return 0;
+    let cursor = '0';
+    let deleted = 0;
+    do {
+      const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = nextCursor;
+      if (keys.length > 0) {
+        deleted += await redis.del(keys);
+      }
+    } while (cursor !== '0');
+    return deleted;
   });
 
   // Add close hook to properly disconnect Redis on fastify close
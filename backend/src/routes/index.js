@@ -1,6 +1,147 @@
 const UserController = require('../controllers/user-controller');
 const TaskController = require('../controllers/task-controller');
+const SessionController = require('../controllers/session-controller');
+const AccountController = require('../controllers/account-controller');
+const MfaController = require('../controllers/mfa-controller');
+const AdminController = require('../controllers/admin-controller');
+const TokenController = require('../controllers/token-controller');
+const TagController = require('../controllers/tag-controller');
+const ProjectController = require('../controllers/project-controller');
+const WorkspaceController = require('../controllers/workspace-controller');
+const CommentController = require('../controllers/comment-controller');
+const AttachmentController = require('../controllers/attachment-controller');
+const ActivityController = require('../controllers/activity-controller');
+const TrashController = require('../controllers/trash-controller');
 const { authenticate } = require('../controllers/auth-middleware');
+const { requirePermission } = require('../policies');
+const { SCOPES } = require('../services/personal-access-tokens');
+const { MAX_UPCOMING_OCCURRENCES } = require('../services/recurrence');
+const { REMINDER_MAX_OFFSET, REMINDER_MAX_COUNT } = require('../services/reminders');
+const { TRANSFER_FORMATS } = require('../services/task-transfer');
+
+// Response returned by every flow that issues tokens
+const tokenPayloadSchema = {
+  type: 'object',
+  properties: {
+    user: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        email: { type: 'string' },
+        name: { type: 'string' },
+        role: { type: 'string' },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    },
+    token: { type: 'string' },
+    refreshToken: { type: 'string' },
+    expiresAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+// Rate limits for unauthenticated auth endpoints, keyed by client IP and by
+// the account (email) being targeted; emails match whatever their case
+const authRateLimit = {
+  ip: { max: 20, windowMs: 60 * 1000 },
+  account: {
+    max: 10,
+    windowMs: 15 * 60 * 1000,
+    key: (request) => request.body && request.body.email && String(request.body.email).toLowerCase(),
+  },
+};
+
+// Login responds with either a token payload or an MFA challenge
+const loginResponseSchema = {
+  type: 'object',
+  properties: {
+    ...tokenPayloadSchema.properties,
+    mfaRequired: { type: 'boolean' },
+    mfaToken: { type: 'string' },
+  },
+};
+
+// Tag fields
+const tagNameSchema = { type: 'string', minLength: 1, maxLength: 50 };
+const tagColorSchema = { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' };
+
+// Project fields
+const projectNameSchema = { type: 'string', minLength: 1, maxLength: 100 };
+const projectColorSchema = { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' };
+
+// Workspace fields
+const workspaceNameSchema = { type: 'string', minLength: 1, maxLength: 100 };
+const workspaceRoleSchema = { type: 'string', enum: ['OWNER', 'EDITOR', 'VIEWER'] };
+
+// Tags in task bodies: tag IDs or names (unknown names create new tags)
+const taskTagsSchema = {
+  type: 'array',
+  maxItems: 20,
+  items: tagNameSchema,
+};
+
+// Reminders, in minutes before the due date
+const reminderOffsetsSchema = {
+  type: 'array',
+  maxItems: REMINDER_MAX_COUNT,
+  uniqueItems: true,
+  items: { type: 'integer', minimum: 0, maximum: REMINDER_MAX_OFFSET },
+};
+
+// Body of a new task; also the schema imported rows are validated against
+const taskBodySchema = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    status: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'] },
+    priority: { type: 'integer', minimum: 0 },
+    dueDate: { type: 'string', format: 'date-time' },
+    tags: taskTagsSchema,
+    parentId: { type: 'string' },
+    projectId: { type: 'string' },
+    workspaceId: { type: 'string' },
+    assigneeId: { type: 'string' },
+    recurrenceRule: { type: 'string', maxLength: 500 },
+    timeZone: { type: 'string', maxLength: 64 },
+    reminderOffsets: reminderOffsetsSchema,
+    // ID of the task in the tool it comes from, unique in each workspace
+    externalId: { type: 'string', minLength: 1, maxLength: 200 },
+  },
+};
+
+// One operation of a bulk task request: `data` holds the fields of a
+// create or update body; update and delete name the task by `id`, and
+// updates with a `version` only apply to that version (like If-Match)
+const bulkOperationSchema = {
+  type: 'object',
+  required: ['op'],
+  properties: {
+    op: { type: 'string', enum: ['create', 'update', 'delete'] },
+    id: { type: 'string' },
+    version: { type: 'integer', minimum: 1 },
+    data: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        status: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'] },
+        priority: { type: 'integer', minimum: 0 },
+        dueDate: { type: 'string', format: 'date-time' },
+        tags: taskTagsSchema,
+        parentId: { type: ['string', 'null'] },
+        projectId: { type: ['string', 'null'] },
+        workspaceId: { type: 'string' },
+        assigneeId: { type: ['string', 'null'] },
+        cascade: { type: 'boolean' },
+        recurrenceRule: { type: ['string', 'null'], maxLength: 500 },
+        timeZone: { type: 'string', maxLength: 64 },
+        reminderOffsets: reminderOffsetsSchema,
+        scope: { type: 'string', enum: ['occurrence', 'series'] },
+      },
+    },
+  },
+};
 
 /**
  * API Routes
@@ -12,11 +153,31 @@ async function routes(fastify, options) {
   // Initialize controllers
   const userController = new UserController(fastify);
   const taskController = new TaskController(fastify);
+  const sessionController = new SessionController(fastify);
+  const accountController = new AccountController(fastify);
+  const mfaController = new MfaController(fastify);
+  const adminController = new AdminController(fastify);
+  const tokenController = new TokenController(fastify);
+  const tagController = new TagController(fastify);
+  const projectController = new ProjectController(fastify);
+  const workspaceController = new WorkspaceController(fastify);
+  const commentController = new CommentController(fastify);
+  const attachmentController = new AttachmentController(fastify);
+  const activityController = new ActivityController(fastify);
+  const trashController = new TrashController(fastify);
+
+  // CSV and iCalendar task imports are read as text
+  fastify.addContentTypeParser(['text/csv', 'text/calendar'], { parseAs: 'string' }, (request, body, done) => {
+    done(null, body);
+  });
 
   // Authentication routes
   fastify.route({
     method: 'POST',
     url: '/auth/register',
+    config: {
+      rateLimit: authRateLimit,
+    },
     schema: {
       body: {
         type: 'object',
@@ -28,21 +189,7 @@ async function routes(fastify, options) {
         },
       },
       response: {
-        201: {
-          type: 'object',
-          properties: {
-            user: {
-              type: 'object',
-              properties: {
-                id: { type: 'string' },
-                email: { type: 'string' },
-                name: { type: 'string' },
-                createdAt: { type: 'string', format: 'date-time' },
-              },
-            },
-            token: { type: 'string' },
-          },
-        },
+        201: tokenPayloadSchema,
       },
     },
     handler: userController.register.bind(userController),
@@ -51,6 +198,9 @@ async function routes(fastify, options) {
   fastify.route({
     method: 'POST',
     url: '/auth/login',
+    config: {
+      rateLimit: authRateLimit,
+    },
     schema: {
       body: {
         type: 'object',
@@ -61,26 +211,35 @@ async function routes(fastify, options) {
         },
       },
       response: {
-        200: {
-          type: 'object',
-          properties: {
-            user: {
-              type: 'object',
-              properties: {
-                id: { type: 'string' },
-                email: { type: 'string' },
-                name: { type: 'string' },
-                createdAt: { type: 'string', format: 'date-time' },
-              },
-            },
-            token: { type: 'string' },
-          },
-        },
+        200: loginResponseSchema,
       },
     },
     handler: userController.login.bind(userController),
   });
 
+  fastify.route({
+    method: 'POST',
+    url: '/auth/refresh',
+    config: {
+      rateLimit: {
+        ip: { max: 20, windowMs: 60 * 1000 },
+      },
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: { type: 'string' },
+        },
+      },
+      response: {
+        200: tokenPayloadSchema,
+      },
+    },
+    handler: userController.refresh.bind(userController),
+  });
+
   fastify.route({
     method: 'POST',
     url: '/auth/logout',
@@ -88,11 +247,148 @@ async function routes(fastify, options) {
     handler: userController.logout.bind(userController),
   });
 
+  // Two-factor authentication routes
+  fastify.route({
+    method: 'POST',
+    url: '/auth/login/mfa',
+    config: {
+      rateLimit: {
+        ip: { max: 20, windowMs: 60 * 1000 },
+      },
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['mfaToken'],
+        properties: {
+          mfaToken: { type: 'string' },
+          code: { type: 'string' },
+          recoveryCode: { type: 'string' },
+        },
+      },
+      response: {
+        200: tokenPayloadSchema,
+      },
+    },
+    handler: mfaController.verifyLogin.bind(mfaController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/auth/mfa/setup',
+    preHandler: authenticate,
+    handler: mfaController.setup.bind(mfaController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/auth/mfa/enable',
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: { type: 'string' },
+        },
+      },
+    },
+    handler: mfaController.enable.bind(mfaController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/auth/mfa/disable',
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['password'],
+        properties: {
+          password: { type: 'string' },
+          code: { type: 'string' },
+          recoveryCode: { type: 'string' },
+        },
+      },
+    },
+    handler: mfaController.disable.bind(mfaController),
+  });
+
+  // Account recovery and verification routes
+  fastify.route({
+    method: 'POST',
+    url: '/auth/forgot-password',
+    config: {
+      rateLimit: authRateLimit,
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+        },
+      },
+    },
+    handler: accountController.forgotPassword.bind(accountController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/auth/reset-password',
+    config: {
+      rateLimit: {
+        ip: { max: 20, windowMs: 60 * 1000 },
+      },
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+          token: { type: 'string' },
+          password: { type: 'string', minLength: 6 },
+        },
+      },
+    },
+    handler: accountController.resetPassword.bind(accountController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/auth/verify-email',
+    config: {
+      rateLimit: {
+        ip: { max: 20, windowMs: 60 * 1000 },
+      },
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: { type: 'string' },
+        },
+      },
+    },
+    handler: accountController.verifyEmail.bind(accountController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/auth/verify-email/resend',
+    preHandler: authenticate,
+    handler: accountController.resendVerification.bind(accountController),
+  });
+
   // User profile routes
   fastify.route({
     method: 'GET',
     url: '/profile',
     preHandler: authenticate,
+    config: {
+      scopes: ['profile:read'],
+    },
     handler: userController.getProfile.bind(userController),
   });
 
@@ -111,17 +407,40 @@ async function routes(fastify, options) {
     handler: userController.updateProfile.bind(userController),
   });
 
-  // Task routes
   fastify.route({
     method: 'GET',
-    url: '/tasks',
+    url: '/profile/export',
     preHandler: authenticate,
-    handler: taskController.getTasks.bind(taskController),
+    handler: userController.exportData.bind(userController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/profile',
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['password'],
+        properties: {
+          password: { type: 'string' },
+        },
+      },
+    },
+    handler: userController.deleteAccount.bind(userController),
   });
 
+  // Session management routes
   fastify.route({
     method: 'GET',
-    url: '/tasks/:id',
+    url: '/sessions',
+    preHandler: authenticate,
+    handler: sessionController.listSessions.bind(sessionController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/sessions/:id',
     preHandler: authenticate,
     schema: {
       params: {
@@ -132,33 +451,125 @@ async function routes(fastify, options) {
         },
       },
     },
-    handler: taskController.getTask.bind(taskController),
+    handler: sessionController.getSession.bind(sessionController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/sessions/:id',
+    preHandler: authenticate,
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: sessionController.revokeSession.bind(sessionController),
+  });
+
+  // Log out everywhere
+  fastify.route({
+    method: 'DELETE',
+    url: '/sessions',
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          exceptCurrent: { type: 'boolean', default: false },
+        },
+      },
+    },
+    handler: sessionController.revokeAllSessions.bind(sessionController),
+  });
+
+  // Personal access token routes (interactive sessions only)
+  fastify.route({
+    method: 'GET',
+    url: '/tokens',
+    preHandler: authenticate,
+    handler: tokenController.listTokens.bind(tokenController),
   });
 
   fastify.route({
     method: 'POST',
-    url: '/tasks',
+    url: '/tokens',
     preHandler: authenticate,
     schema: {
       body: {
         type: 'object',
-        required: ['title'],
+        required: ['name', 'scopes'],
         properties: {
-          title: { type: 'string' },
-          description: { type: 'string' },
-          status: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'] },
-          priority: { type: 'integer', minimum: 0 },
-          dueDate: { type: 'string', format: 'date-time' },
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          scopes: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: SCOPES },
+          },
+          expiresAt: { type: 'string', format: 'date-time' },
         },
       },
     },
-    handler: taskController.createTask.bind(taskController),
+    handler: tokenController.createToken.bind(tokenController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/tokens/:id',
+    preHandler: authenticate,
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: tokenController.revokeToken.bind(tokenController),
+  });
+
+  // Tag routes
+  fastify.route({
+    method: 'GET',
+    url: '/tags',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    handler: tagController.listTags.bind(tagController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/tags',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: tagNameSchema,
+          color: tagColorSchema,
+        },
+      },
+    },
+    handler: tagController.createTag.bind(tagController),
   });
 
   fastify.route({
     method: 'PUT',
-    url: '/tasks/:id',
+    url: '/tags/:id',
     preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
     schema: {
       params: {
         type: 'object',
@@ -169,22 +580,23 @@ async function routes(fastify, options) {
       },
       body: {
         type: 'object',
+        minProperties: 1,
         properties: {
-          title: { type: 'string' },
-          description: { type: 'string' },
-          status: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'] },
-          priority: { type: 'integer', minimum: 0 },
-          dueDate: { type: 'string', format: 'date-time' },
+          name: tagNameSchema,
+          color: tagColorSchema,
         },
       },
     },
-    handler: taskController.updateTask.bind(taskController),
+    handler: tagController.updateTag.bind(tagController),
   });
 
   fastify.route({
     method: 'DELETE',
-    url: '/tasks/:id',
+    url: '/tags/:id',
     preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
     schema: {
       params: {
         type: 'object',
@@ -194,8 +606,995 @@ async function routes(fastify, options) {
         },
       },
     },
-    handler: taskController.deleteTask.bind(taskController),
+    handler: tagController.deleteTag.bind(tagController),
+  });
+
+  // Workspace routes
+  fastify.route({
+    method: 'GET',
+    url: '/workspaces',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    handler: workspaceController.listWorkspaces.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/workspaces',
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: workspaceNameSchema,
+        },
+      },
+    },
+    handler: workspaceController.createWorkspace.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/workspaces/:id',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: workspaceController.getWorkspace.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'PUT',
+    url: '/workspaces/:id',
+    preHandler: authenticate,
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: workspaceNameSchema,
+        },
+      },
+    },
+    handler: workspaceController.updateWorkspace.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/workspaces/:id',
+    preHandler: authenticate,
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: workspaceController.deleteWorkspace.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/workspaces/:id/invitations',
+    preHandler: authenticate,
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: workspaceController.listInvitations.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/workspaces/:id/invitations',
+    preHandler: authenticate,
+    config: {
+      // Invitations send email, so limit them per workspace
+      rateLimit: {
+        account: { max: 20, windowMs: 60 * 60 * 1000, key: (request) => request.params.id },
+      },
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+          role: workspaceRoleSchema,
+        },
+      },
+    },
+    handler: workspaceController.createInvitation.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/workspaces/:id/invitations/:invitationId',
+    preHandler: authenticate,
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id', 'invitationId'],
+        properties: {
+          id: { type: 'string' },
+          invitationId: { type: 'string' },
+        },
+      },
+    },
+    handler: workspaceController.revokeInvitation.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/invitations/accept',
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: { type: 'string' },
+        },
+      },
+    },
+    handler: workspaceController.acceptInvitation.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'PUT',
+    url: '/workspaces/:id/members/:userId',
+    preHandler: authenticate,
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id', 'userId'],
+        properties: {
+          id: { type: 'string' },
+          userId: { type: 'string' },
+        },
+      },
+      body: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+          role: workspaceRoleSchema,
+        },
+      },
+    },
+    handler: workspaceController.updateMember.bind(workspaceController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/workspaces/:id/members/:userId',
+    preHandler: authenticate,
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id', 'userId'],
+        properties: {
+          id: { type: 'string' },
+          userId: { type: 'string' },
+        },
+      },
+    },
+    handler: workspaceController.removeMember.bind(workspaceController),
+  });
+
+  // Project routes
+  fastify.route({
+    method: 'GET',
+    url: '/projects',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          includeArchived: { type: 'boolean', default: false },
+          workspaceId: { type: 'string' },
+        },
+      },
+    },
+    handler: projectController.listProjects.bind(projectController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/projects',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: projectNameSchema,
+          color: projectColorSchema,
+          workspaceId: { type: 'string' },
+        },
+      },
+    },
+    handler: projectController.createProject.bind(projectController),
+  });
+
+  fastify.route({
+    method: 'PUT',
+    url: '/projects/order',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['projectIds'],
+        properties: {
+          workspaceId: { type: 'string' },
+          projectIds: {
+            type: 'array',
+            maxItems: 500,
+            items: { type: 'string' },
+          },
+        },
+      },
+    },
+    handler: projectController.reorderProjects.bind(projectController),
+  });
+
+  fastify.route({
+    method: 'PUT',
+    url: '/projects/:id',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          name: projectNameSchema,
+          color: projectColorSchema,
+          archived: { type: 'boolean' },
+        },
+      },
+    },
+    handler: projectController.updateProject.bind(projectController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/projects/:id',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          tasks: { type: 'string', enum: ['move', 'delete'], default: 'move' },
+          moveTo: { type: 'string' },
+        },
+      },
+    },
+    handler: projectController.deleteProject.bind(projectController),
+  });
+
+  // Task routes
+  fastify.route({
+    method: 'GET',
+    url: '/tasks',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          cursor: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          status: {
+            type: 'array',
+            items: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'] },
+          },
+          priorityMin: { type: 'integer', minimum: 0 },
+          priorityMax: { type: 'integer', minimum: 0 },
+          dueFrom: { type: 'string', format: 'date-time' },
+          dueTo: { type: 'string', format: 'date-time' },
+          overdue: { type: 'boolean' },
+          tags: {
+            type: 'array',
+            items: { type: 'string' },
+          },
+          tagMode: { type: 'string', enum: ['any', 'all'], default: 'any' },
+          // A project ID, or "none" for tasks outside any project
+          projectId: { type: 'string' },
+          workspaceId: { type: 'string' },
+          // A user ID, "me", or "none" for unassigned tasks
+          assigneeId: { type: 'string' },
+          includeSubtasks: { type: 'boolean', default: false },
+          sort: { type: 'string', enum: ['priority', 'createdAt', 'updatedAt', 'dueDate', 'title'], default: 'priority' },
+          order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+        },
+      },
+    },
+    handler: taskController.getTasks.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/search',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['q'],
+        properties: {
+          q: { type: 'string', minLength: 1, maxLength: 200 },
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 },
+        },
+      },
+    },
+    handler: taskController.searchTasks.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/export',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['format'],
+        properties: {
+          format: { type: 'string', enum: TRANSFER_FORMATS },
+          status: {
+            type: 'array',
+            items: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'] },
+          },
+          // A project ID, or "none" for tasks outside any project
+          projectId: { type: 'string' },
+          workspaceId: { type: 'string' },
+          includeSubtasks: { type: 'boolean', default: true },
+        },
+      },
+    },
+    handler: taskController.exportTasks.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/:id',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: taskController.getTask.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/:id/subtasks',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: taskController.getSubtasks.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/:id/occurrences',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', minimum: 1, maximum: MAX_UPCOMING_OCCURRENCES, default: 10 },
+        },
+      },
+    },
+    handler: taskController.getOccurrences.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'PUT',
+    url: '/tasks/:id/subtasks/order',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      body: {
+        type: 'object',
+        required: ['taskIds'],
+        properties: {
+          taskIds: {
+            type: 'array',
+            items: { type: 'string' },
+          },
+        },
+      },
+    },
+    handler: taskController.reorderSubtasks.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/tasks',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      body: taskBodySchema,
+    },
+    handler: taskController.createTask.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/tasks/import',
+    preHandler: authenticate,
+    // Room for a full import of CSV or iCalendar text
+    bodyLimit: 5242880,
+    config: {
+      scopes: ['tasks:write'],
+      // Each imported row is validated as a task create body
+      rowSchema: taskBodySchema,
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          // Defaults to the format of the Content-Type
+          format: { type: 'string', enum: TRANSFER_FORMATS },
+          dryRun: { type: 'boolean', default: false },
+          workspaceId: { type: 'string' },
+          projectId: { type: 'string' },
+        },
+      },
+    },
+    handler: taskController.importTasks.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/tasks/bulk',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['operations'],
+        properties: {
+          operations: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: bulkOperationSchema,
+          },
+          atomic: { type: 'boolean', default: true },
+        },
+      },
+    },
+    handler: taskController.bulkTasks.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'PUT',
+    url: '/tasks/:id',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      body: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          description: { type: 'string' },
+          status: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'] },
+          priority: { type: 'integer', minimum: 0 },
+          dueDate: { type: 'string', format: 'date-time' },
+          tags: taskTagsSchema,
+          parentId: { type: ['string', 'null'] },
+          projectId: { type: ['string', 'null'] },
+          assigneeId: { type: ['string', 'null'] },
+          cascade: { type: 'boolean' },
+          recurrenceRule: { type: ['string', 'null'], maxLength: 500 },
+          timeZone: { type: 'string', maxLength: 64 },
+          reminderOffsets: reminderOffsetsSchema,
+          scope: { type: 'string', enum: ['occurrence', 'series'] },
+        },
+      },
+    },
+    handler: taskController.updateTask.bind(taskController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/tasks/:id',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: taskController.deleteTask.bind(taskController),
+  });
+
+  // Trash routes (deleted tasks can be restored until they are purged)
+  fastify.route({
+    method: 'GET',
+    url: '/trash',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          cursor: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          workspaceId: { type: 'string' },
+        },
+      },
+    },
+    handler: trashController.listTrash.bind(trashController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/tasks/:id/restore',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: trashController.restoreTask.bind(trashController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/trash/:id',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: trashController.purgeTask.bind(trashController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/trash',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          workspaceId: { type: 'string' },
+        },
+      },
+    },
+    handler: trashController.emptyTrash.bind(trashController),
+  });
+
+  // Task history and activity feed routes
+  const activityPageSchema = {
+    cursor: { type: 'string' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+  };
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/:id/history',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      querystring: {
+        type: 'object',
+        properties: activityPageSchema,
+      },
+    },
+    handler: activityController.getTaskHistory.bind(activityController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/activity',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          ...activityPageSchema,
+          workspaceId: { type: 'string' },
+          // A user ID, or "me" for the user's own changes
+          actorId: { type: 'string' },
+        },
+      },
+    },
+    handler: activityController.getActivity.bind(activityController),
+  });
+
+  // Task comment routes
+  const commentParamsSchema = {
+    type: 'object',
+    required: ['id', 'commentId'],
+    properties: {
+      id: { type: 'string' },
+      commentId: { type: 'string' },
+    },
+  };
+
+  const commentBodySchema = {
+    type: 'object',
+    required: ['body'],
+    properties: {
+      body: { type: 'string', minLength: 1, maxLength: 10000 },
+    },
+  };
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/:id/comments',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: commentController.listComments.bind(commentController),
+  });
+
+  fastify.route({
+    method: 'POST',
+    url: '/tasks/:id/comments',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      body: commentBodySchema,
+    },
+    handler: commentController.createComment.bind(commentController),
+  });
+
+  fastify.route({
+    method: 'PUT',
+    url: '/tasks/:id/comments/:commentId',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: commentParamsSchema,
+      body: commentBodySchema,
+    },
+    handler: commentController.updateComment.bind(commentController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/tasks/:id/comments/:commentId',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: commentParamsSchema,
+    },
+    handler: commentController.deleteComment.bind(commentController),
+  });
+
+  // Attachment routes
+  const attachmentParamsSchema = {
+    type: 'object',
+    required: ['id', 'attachmentId'],
+    properties: {
+      id: { type: 'string' },
+      attachmentId: { type: 'string' },
+    },
+  };
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/:id/attachments',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: attachmentController.listAttachments.bind(attachmentController),
+  });
+
+  // Multipart body; size and type limits are enforced while streaming
+  fastify.route({
+    method: 'POST',
+    url: '/tasks/:id/attachments',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: attachmentController.uploadAttachment.bind(attachmentController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/tasks/:id/attachments/:attachmentId',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:read'],
+    },
+    schema: {
+      params: attachmentParamsSchema,
+    },
+    handler: attachmentController.downloadAttachment.bind(attachmentController),
+  });
+
+  fastify.route({
+    method: 'DELETE',
+    url: '/tasks/:id/attachments/:attachmentId',
+    preHandler: authenticate,
+    config: {
+      scopes: ['tasks:write'],
+    },
+    schema: {
+      params: attachmentParamsSchema,
+    },
+    handler: attachmentController.deleteAttachment.bind(attachmentController),
+  });
+
+  // Admin routes
+  fastify.route({
+    method: 'GET',
+    url: '/admin/users',
+    preHandler: [authenticate, requirePermission('admin:users:read')],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          q: { type: 'string' },
+          role: { type: 'string', enum: ['USER', 'ADMIN'] },
+          disabled: { type: 'boolean' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          offset: { type: 'integer', minimum: 0, default: 0 },
+        },
+      },
+    },
+    handler: adminController.listUsers.bind(adminController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/admin/users/:id',
+    preHandler: [authenticate, requirePermission('admin:users:read')],
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: adminController.getUser.bind(adminController),
+  });
+
+  fastify.route({
+    method: 'PUT',
+    url: '/admin/users/:id/status',
+    preHandler: [authenticate, requirePermission('admin:users:update')],
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+      body: {
+        type: 'object',
+        required: ['disabled'],
+        properties: {
+          disabled: { type: 'boolean' },
+        },
+      },
+    },
+    handler: adminController.setUserDisabled.bind(adminController),
+  });
+
+  fastify.route({
+    method: 'GET',
+    url: '/admin/users/:id/tasks',
+    preHandler: [authenticate, requirePermission('admin:tasks:read')],
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+        },
+      },
+    },
+    handler: adminController.getUserTasks.bind(adminController),
   });
 }
 
-module.exports = routes; 
\ No newline at end of file
+module.exports = routes;
@@ -1,5 +1,11 @@
 const { authenticateWebSocket } = require('../../controllers/auth-middleware');
 
+// Inbound message rate limit per user, across all of their connections
+const MESSAGE_RATE_LIMIT = {
+  max: parseInt(process.env.WS_MESSAGE_RATE_LIMIT, 10) || 60,
+  windowMs: 60 * 1000,
+};
+
 /**
  * WebSocket Routes
  * 
@@ -31,6 +37,18 @@ async function websocketRoutes(fastify, options) {
     // Handle incoming messages
     connection.socket.on('message', async (message) => {
       try {
+        // Drop messages beyond the allowed rate
+        const rateLimit = await fastify.rateLimiter.consume(`ws:${userId}`, MESSAGE_RATE_LIMIT);
+        if (!rateLimit.allowed) {
+          connection.socket.send(JSON.stringify({
+            type: 'ERROR',
+            error: 'Rate limit exceeded',
+            retryAfter: Math.ceil(rateLimit.resetMs / 1000),
+            timestamp: new Date().toISOString(),
+          }));
+          return;
+        }
+
         const data = JSON.parse(message.toString());
         fastify.log.info(`Received WebSocket message from ${userId}: ${data.type}`);
         
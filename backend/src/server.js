@@ -1,6 +1,7 @@
 const fastify = require('fastify');
 const path = require('path');
 const { PrismaClient } = require('@prisma/client');
+const { ATTACHMENT_MAX_BYTES } = require('./services/attachments');
 
 // Environment variables should be loaded from .env in production
 const PORT = process.env.PORT || 8080;
@@ -14,7 +15,11 @@ const HOST = process.env.HOST || '0.0.0.0';
  * - JWT authentication
  * - WebSockets
  * - Redis caching
+ * - Rate limiting
  * - Prisma database access
+ * - Outgoing mail
+ * - Multipart file uploads and file storage
+ * - Due-date reminders
  */
 async function buildServer() {
   // Create Fastify instance with performance optimizations
@@ -30,7 +35,7 @@ async function buildServer() {
       },
     },
     // Performance optimizations
-    bodyLimit: 1048576, // 1MB
+    bodyLimit: 1048576, // 1MB (JSON bodies; multipart uploads are streamed with their own limit)
     connectionTimeout: 60000, // 1 minute
     keepAliveTimeout: 30000, // 30 seconds
     pluginTimeout: 10000, // 10 seconds
@@ -43,6 +48,8 @@ async function buildServer() {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     credentials: true,
+    // Lets browser clients read task versions for If-Match
+    exposedHeaders: ['ETag'],
   });
 
   await server.register(require('@fastify/jwt'), {
@@ -69,6 +76,29 @@ async function buildServer() {
   // Register Redis cache plugin
   await server.register(require('./redis-client'));
 
+  // Register rate limiting plugin (uses Redis, must come before routes)
+  await server.register(require('./plugins/rate-limit'));
+
+  // Register mailer plugin
+  await server.register(require('./plugins/mailer'));
+
+  // Register multipart plugin (one file per request, capped per file)
+  await server.register(require('@fastify/multipart'), {
+    limits: {
+      fileSize: ATTACHMENT_MAX_BYTES,
+      files: 1,
+    },
+  });
+
+  // Register file storage plugin
+  await server.register(require('./plugins/storage'));
+
+  // Register reminder scheduler (uses Redis, Prisma, mail and WebSockets)
+  await server.register(require('./plugins/reminders'));
+
+  // Register trash purge job (uses Redis, Prisma and storage)
+  await server.register(require('./plugins/trash'));
+
   // Register API routes
   await server.register(require('./routes'), { prefix: '/api' });
 
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const {
+  createPasswordHasher,
+  createScryptAlgorithm,
+  createLegacySha256Algorithm,
+} = require('../password-hasher');
+
+// Cheap parameters keep the suite fast; the format is the same as the defaults
+const FAST_PARAMS = { N: 1024, r: 8, p: 1 };
+
+const sha256 = (password) => crypto.createHash('sha256').update(password).digest('hex');
+
+describe('password hasher', () => {
+  const hasher = createPasswordHasher({ algorithm: createScryptAlgorithm(FAST_PARAMS) });
+
+  describe('scrypt', () => {
+    it('round-trips with the default parameters', async () => {
+      const defaultHasher = createPasswordHasher();
+      const stored = await defaultHasher.hash('correct horse');
+
+      expect(stored.startsWith('scrypt$N=16384,r=8,p=1$')).toBe(true);
+      await expect(defaultHasher.verify('correct horse', stored)).resolves.toBe(true);
+      expect(defaultHasher.needsRehash(stored)).toBe(false);
+    });
+
+    it('stores the algorithm, parameters and salt with the hash', async () => {
+      const stored = await hasher.hash('correct horse');
+
+      expect(stored).toMatch(/^scrypt\$N=1024,r=8,p=1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    });
+
+    it('verifies the password it hashed and rejects others', async () => {
+      const stored = await hasher.hash('correct horse');
+
+      await expect(hasher.verify('correct horse', stored)).resolves.toBe(true);
+      await expect(hasher.verify('correct horse!', stored)).resolves.toBe(false);
+      await expect(hasher.verify('', stored)).resolves.toBe(false);
+    });
+
+    it('salts every hash', async () => {
+      const [first, second] = await Promise.all([hasher.hash('same'), hasher.hash('same')]);
+
+      expect(first).not.toBe(second);
+      await expect(hasher.verify('same', first)).resolves.toBe(true);
+      await expect(hasher.verify('same', second)).resolves.toBe(true);
+    });
+
+    it('verifies hashes made with other parameters', async () => {
+      const older = createPasswordHasher({ algorithm: createScryptAlgorithm({ N: 2048, r: 8, p: 1 }) });
+      const stored = await older.hash('correct horse');
+
+      await expect(hasher.verify('correct horse', stored)).resolves.toBe(true);
+    });
+  });
+
+  describe('legacy SHA-256', () => {
+    it('verifies unsalted hex digests', async () => {
+      await expect(hasher.verify('password123', sha256('password123'))).resolves.toBe(true);
+      await expect(hasher.verify('password123', sha256('password123').toUpperCase())).resolves.toBe(true);
+      await expect(hasher.verify('password124', sha256('password123'))).resolves.toBe(false);
+    });
+
+    it('is never used for new hashes', async () => {
+      await expect(createLegacySha256Algorithm().hash('password123')).rejects.toThrow();
+    });
+  });
+
+  describe('needsRehash', () => {
+    it('is false for hashes with the current algorithm and parameters', async () => {
+      expect(hasher.needsRehash(await hasher.hash('correct horse'))).toBe(false);
+    });
+
+    it('is true for legacy SHA-256 digests', () => {
+      expect(hasher.needsRehash(sha256('password123'))).toBe(true);
+    });
+
+    it('is true for scrypt hashes with outdated parameters', async () => {
+      const older = createPasswordHasher({ algorithm: createScryptAlgorithm({ N: 2048, r: 8, p: 1 }) });
+
+      expect(hasher.needsRehash(await older.hash('correct horse'))).toBe(true);
+    });
+  });
+
+  describe('malformed hashes', () => {
+    it.each([
+      ['a missing hash', null],
+      ['an empty hash', ''],
+      ['an unknown algorithm', 'bcrypt$2b$10$abcdefghijklmnopqrstuv'],
+      ['a truncated scrypt hash', 'scrypt$N=1024,r=8,p=1'],
+      ['a short hex digest', 'abc123'],
+    ])('rejects %s', async (label, stored) => {
+      await expect(hasher.verify('password123', stored)).resolves.toBe(false);
+    });
+  });
+
+  describe('verifyDummy', () => {
+    it('runs a real verification that never succeeds', async () => {
+      const algorithm = createScryptAlgorithm(FAST_PARAMS);
+      const verify = jest.spyOn(algorithm, 'verify');
+      const hash = jest.spyOn(algorithm, 'hash');
+      const dummyHasher = createPasswordHasher({ algorithm });
+
+      await expect(dummyHasher.verifyDummy('password123')).resolves.toBe(false);
+      await expect(dummyHasher.verifyDummy('password123')).resolves.toBe(false);
+
+      expect(verify).toHaveBeenCalledTimes(2);
+      // The dummy hash is created once and reused
+      expect(hash).toHaveBeenCalledTimes(1);
+    });
+
+    it('creates the dummy hash again after a failed attempt', async () => {
+      const algorithm = createScryptAlgorithm(FAST_PARAMS);
+      const hash = jest.spyOn(algorithm, 'hash').mockRejectedValueOnce(new Error('out of memory'));
+      const dummyHasher = createPasswordHasher({ algorithm });
+
+      await expect(dummyHasher.verifyDummy('password123')).rejects.toThrow('out of memory');
+      await expect(dummyHasher.verifyDummy('password123')).resolves.toBe(false);
+
+      expect(hash).toHaveBeenCalledTimes(2);
+    });
+  });
+});
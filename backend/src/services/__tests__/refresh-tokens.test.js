@@ -0,0 +1,234 @@
+const { hashToken } = require('../secure-token');
+const {
+  REFRESH_TOKEN_TTL,
+  createRefreshToken,
+  consumeRefreshToken,
+  revokeTokenFamily,
+} = require('../refresh-tokens');
+const { createTokenService } = require('../token-service');
+
+/**
+ * In-memory stand-in for the Prisma models the refresh flow uses
+ * Deleting a session cascades to its refresh tokens, as in the schema.
+ */
+function createFakePrisma() {
+  const users = new Map();
+  const sessions = new Map();
+  let refreshTokens = [];
+  let nextId = 1;
+
+  const removeSession = (id) => {
+    const existed = sessions.delete(id);
+    refreshTokens = refreshTokens.filter((token) => token.sessionId !== id);
+    return existed;
+  };
+
+  return {
+    users,
+    sessions,
+    get refreshTokens() {
+      return refreshTokens;
+    },
+
+    session: {
+      create: async ({ data }) => {
+        const session = { id: `session-${nextId++}`, ...data };
+        sessions.set(session.id, session);
+        return { ...session };
+      },
+      update: async ({ where, data, include }) => {
+        const session = sessions.get(where.id);
+        if (!session) {
+          throw Object.assign(new Error('Record to update not found'), { code: 'P2025' });
+        }
+        Object.assign(session, data);
+        return include ? { ...session, user: users.get(session.userId) } : { ...session };
+      },
+      delete: async ({ where }) => {
+        removeSession(where.id);
+      },
+      deleteMany: async ({ where }) => ({ count: removeSession(where.id) ? 1 : 0 }),
+    },
+
+    refreshToken: {
+      create: async ({ data }) => {
+        const token = { id: `refresh-${nextId++}`, usedAt: null, ...data };
+        refreshTokens.push(token);
+        return { ...token };
+      },
+      findUnique: async ({ where }) => {
+        const token = refreshTokens.find((candidate) => candidate.tokenHash === where.tokenHash);
+        return token ? { ...token } : null;
+      },
+      // Matches on id and a null usedAt, like the conditional update in the service
+      updateMany: async ({ where, data }) => {
+        const matches = refreshTokens.filter((token) => token.id === where.id && token.usedAt === null);
+        matches.forEach((token) => Object.assign(token, data));
+        return { count: matches.length };
+      },
+    },
+  };
+}
+
+async function startSession(prisma, userId = 'user-1') {
+  const session = await prisma.session.create({ data: { userId, token: 'access' } });
+  const token = await createRefreshToken(prisma, { userId, sessionId: session.id });
+  return { session, token };
+}
+
+describe('refresh tokens', () => {
+  let prisma;
+
+  beforeEach(() => {
+    prisma = createFakePrisma();
+  });
+
+  it('stores only a hash of the token, expiring after the TTL', async () => {
+    const before = Date.now();
+    const { session, token } = await startSession(prisma);
+
+    expect(prisma.refreshTokens).toHaveLength(1);
+    const [stored] = prisma.refreshTokens;
+    expect(stored.tokenHash).toBe(hashToken(token));
+    expect(JSON.stringify(stored)).not.toContain(token);
+    expect(stored.sessionId).toBe(session.id);
+    expect(stored.expiresAt.getTime()).toBeGreaterThanOrEqual(before + REFRESH_TOKEN_TTL * 1000);
+  });
+
+  it('accepts a token once and marks it used', async () => {
+    const { token } = await startSession(prisma);
+
+    const result = await consumeRefreshToken(prisma, token);
+
+    expect(result.status).toBe('valid');
+    expect(result.record.userId).toBe('user-1');
+    expect(prisma.refreshTokens[0].usedAt).toBeInstanceOf(Date);
+  });
+
+  it('rejects unknown tokens', async () => {
+    await startSession(prisma);
+
+    await expect(consumeRefreshToken(prisma, 'not-a-token')).resolves.toEqual({ status: 'invalid' });
+  });
+
+  it('rejects expired tokens', async () => {
+    const { token } = await startSession(prisma);
+    prisma.refreshTokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    const result = await consumeRefreshToken(prisma, token);
+
+    expect(result.status).toBe('expired');
+  });
+
+  it('revokes the whole family when a used token comes back', async () => {
+    const { session, token } = await startSession(prisma);
+    await consumeRefreshToken(prisma, token);
+    // The rotated successor belongs to the same family
+    const successor = await createRefreshToken(prisma, { userId: 'user-1', sessionId: session.id });
+
+    const result = await consumeRefreshToken(prisma, token);
+
+    expect(result.status).toBe('reused');
+    expect(prisma.sessions.has(session.id)).toBe(false);
+    expect(prisma.refreshTokens).toHaveLength(0);
+    await expect(consumeRefreshToken(prisma, successor)).resolves.toEqual({ status: 'invalid' });
+  });
+
+  it('lets only one of two concurrent refreshes win', async () => {
+    const { token } = await startSession(prisma);
+
+    const results = await Promise.all([
+      consumeRefreshToken(prisma, token),
+      consumeRefreshToken(prisma, token),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['reused', 'valid']);
+  });
+
+  it('leaves the families of other sessions alone', async () => {
+    const first = await startSession(prisma);
+    const second = await startSession(prisma);
+
+    await revokeTokenFamily(prisma, first.session.id);
+
+    expect(prisma.sessions.has(first.session.id)).toBe(false);
+    await expect(consumeRefreshToken(prisma, second.token)).resolves.toMatchObject({ status: 'valid' });
+  });
+});
+
+describe('token rotation', () => {
+  let prisma;
+  let tokenService;
+  const request = { headers: { 'user-agent': 'jest' }, ip: '127.0.0.1' };
+
+  beforeEach(() => {
+    prisma = createFakePrisma();
+    prisma.users.set('user-1', {
+      id: 'user-1',
+      email: 'ada@example.com',
+      name: 'Ada',
+      role: 'USER',
+      createdAt: new Date(),
+      disabledAt: null,
+    });
+
+    let signed = 0;
+    const fastify = {
+      prisma,
+      log: { warn: jest.fn() },
+      jwt: {
+        sign: ({ id }) => `access-${id}-${(signed += 1)}`,
+        decode: () => ({ exp: Math.floor(Date.now() / 1000) + 900 }),
+      },
+    };
+    tokenService = createTokenService(fastify);
+  });
+
+  it('issues a new refresh token for the same session on every refresh', async () => {
+    const issued = await tokenService.issueTokens(prisma.users.get('user-1'), request);
+    const [sessionId] = prisma.sessions.keys();
+
+    const refreshed = await tokenService.refreshTokens(issued.refreshToken, request);
+
+    expect(refreshed.status).toBe('valid');
+    expect(refreshed.payload.refreshToken).not.toBe(issued.refreshToken);
+    expect(refreshed.payload.token).not.toBe(issued.token);
+    expect(prisma.sessions.get(sessionId).token).toBe(refreshed.payload.token);
+    expect(prisma.refreshTokens.every((token) => token.sessionId === sessionId)).toBe(true);
+  });
+
+  it('ends the session when a rotated-out token is replayed', async () => {
+    const issued = await tokenService.issueTokens(prisma.users.get('user-1'), request);
+    const refreshed = await tokenService.refreshTokens(issued.refreshToken, request);
+
+    await expect(tokenService.refreshTokens(issued.refreshToken, request)).resolves.toEqual({ status: 'reused' });
+
+    // The legitimate holder's newer token died with the family
+    expect(prisma.sessions.size).toBe(0);
+    await expect(tokenService.refreshTokens(refreshed.payload.refreshToken, request))
+      .resolves.toEqual({ status: 'invalid' });
+  });
+
+  it('treats a session that ends during the refresh as invalid', async () => {
+    const issued = await tokenService.issueTokens(prisma.users.get('user-1'), request);
+    const [sessionId] = prisma.sessions.keys();
+
+    // Logging out elsewhere lands between consuming the token and moving the session
+    const { update } = prisma.session;
+    prisma.session.update = async (args) => {
+      await prisma.session.delete({ where: { id: sessionId } });
+      return update(args);
+    };
+
+    await expect(tokenService.refreshTokens(issued.refreshToken, request)).resolves.toEqual({ status: 'invalid' });
+    expect(prisma.refreshTokens).toHaveLength(0);
+  });
+
+  it('refuses to refresh sessions of disabled accounts', async () => {
+    const issued = await tokenService.issueTokens(prisma.users.get('user-1'), request);
+    prisma.users.get('user-1').disabledAt = new Date();
+
+    await expect(tokenService.refreshTokens(issued.refreshToken, request)).resolves.toEqual({ status: 'invalid' });
+    expect(prisma.sessions.size).toBe(0);
+  });
+});
@@ -0,0 +1,311 @@
+const {
+  CONTENT_TYPES,
+  contentExternalId,
+  exportChunks,
+  parseImport,
+  formatOfContentType,
+} = require('../task-transfer');
+
+const task = (fields = {}) => ({
+  id: 'task-1',
+  externalId: null,
+  title: 'Write report',
+  description: null,
+  status: 'TODO',
+  priority: 2,
+  dueDate: new Date('2026-11-02T09:30:00.000Z'),
+  tags: [],
+  recurrenceRule: null,
+  timeZone: null,
+  reminderOffsets: [],
+  createdAt: new Date('2026-10-01T08:00:00.000Z'),
+  updatedAt: new Date('2026-10-02T08:00:00.000Z'),
+  ...fields,
+});
+
+// Tasks with everything that needs quoting or escaping in some format
+const tricky = task({
+  id: 'task-2',
+  externalId: 'ext-2',
+  title: 'Call "Acme", then; file',
+  description: 'First line\nsecond, with a \\ backslash',
+  status: 'IN_PROGRESS',
+  priority: 3,
+  tags: [{ name: 'work' }, { name: 'client a' }],
+  recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO,WE',
+  timeZone: 'Europe/Berlin',
+  reminderOffsets: [15, 1440],
+});
+
+async function exportText(format, batches) {
+  async function* iterate() {
+    yield* batches;
+  }
+
+  let text = '';
+  for await (const chunk of exportChunks(format, iterate())) {
+    text += chunk;
+  }
+  return text;
+}
+
+const ics = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR', ''].join('\r\n');
+
+describe('task-transfer', () => {
+  describe('csv', () => {
+    it('round-trips tasks across batches', async () => {
+      const text = await exportText('csv', [[task()], [tricky]]);
+      const { rows } = parseImport('csv', text);
+
+      expect(rows).toEqual([
+        {
+          externalId: 'task-1',
+          title: 'Write report',
+          status: 'TODO',
+          priority: '2',
+          dueDate: '2026-11-02T09:30:00.000Z',
+        },
+        {
+          externalId: 'ext-2',
+          title: 'Call "Acme", then; file',
+          description: 'First line\nsecond, with a \\ backslash',
+          status: 'IN_PROGRESS',
+          priority: '3',
+          dueDate: '2026-11-02T09:30:00.000Z',
+          tags: ['work', 'client a'],
+          recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO,WE',
+          timeZone: 'Europe/Berlin',
+          reminderOffsets: ['15', '1440'],
+        },
+      ]);
+    });
+
+    it('quotes cells with commas, quotes, line breaks or outer spaces', async () => {
+      const text = await exportText('csv', [[task({ title: ' padded ', description: 'a,"b"' })]]);
+      const [header, line] = text.split('\r\n');
+
+      expect(header).toBe('externalId,title,description,status,priority,dueDate,tags,recurrenceRule,timeZone,reminderOffsets');
+      expect(line).toBe('task-1," padded ","a,""b""",TODO,2,2026-11-02T09:30:00.000Z,,,,');
+      expect(parseImport('csv', text).rows[0].title).toBe(' padded ');
+    });
+
+    it('keeps spreadsheets from running cells as formulas', async () => {
+      const titles = ['=HYPERLINK("http://evil")', '+1', '-2', '@SUM(A1)', "'=quoted", 'a=b'];
+      const text = await exportText('csv', [titles.map((title, index) => task({
+        id: `task-${index}`,
+        title,
+        tags: [{ name: '=cmd' }],
+      }))]);
+      const lines = text.split('\r\n').slice(1, -1);
+
+      expect(lines.map((line) => line.split(',')[1])).toEqual([
+        `"'=HYPERLINK(""http://evil"")"`,
+        "'+1",
+        "'-2",
+        "'@SUM(A1)",
+        "''=quoted",
+        'a=b',
+      ]);
+      expect(lines[0]).toContain(",'=cmd,");
+      // The added quote is dropped again on import
+      const { rows } = parseImport('csv', text);
+      expect(rows.map((row) => row.title)).toEqual(titles);
+      expect(rows[0].tags).toEqual(['=cmd']);
+    });
+
+    it('escapes separators inside list items', async () => {
+      const tags = [{ name: 'a;b' }, { name: 'back\\slash' }, { name: 'end\\' }, { name: 'plain' }];
+      const text = await exportText('csv', [[task({ tags })]]);
+
+      expect(text).toContain(',a\\;b;back\\\\slash;end\\\\;plain,');
+      expect(parseImport('csv', text).rows[0].tags).toEqual(['a;b', 'back\\slash', 'end\\', 'plain']);
+    });
+
+    it('reads files from other tools', () => {
+      const text = '\uFEFFTitle Ignored,title,tags,notes\n\nx,Buy milk, home ; errands ;,ignored\r\ny,"Multi\r\nline"';
+
+      expect(parseImport('csv', text).rows).toEqual([
+        { title: 'Buy milk', tags: ['home', 'errands'] },
+        { title: 'Multi\r\nline' },
+      ]);
+    });
+
+    it('reads an empty file as no rows', () => {
+      expect(parseImport('csv', '')).toEqual({ rows: [] });
+    });
+
+    it('rejects unterminated quotes and a missing title column', () => {
+      expect(parseImport('csv', 'title\n"never closed')).toEqual({ error: 'CSV ends inside a quoted field' });
+      expect(parseImport('csv', 'name,due\nx,y')).toEqual({ error: 'CSV header must include a title column' });
+      expect(parseImport('csv', { title: 'x' })).toEqual({ error: 'Expected CSV text' });
+    });
+  });
+
+  describe('json', () => {
+    it('round-trips tasks, keeping value types', async () => {
+      const text = await exportText('json', [[task()], [], [tricky]]);
+      const { rows } = parseImport('json', JSON.parse(text));
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toEqual({
+        externalId: 'task-1',
+        title: 'Write report',
+        status: 'TODO',
+        priority: 2,
+        dueDate: '2026-11-02T09:30:00.000Z',
+      });
+      expect(rows[1]).toMatchObject({
+        description: tricky.description,
+        tags: ['work', 'client a'],
+        recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO,WE',
+        reminderOffsets: [15, 1440],
+      });
+    });
+
+    it('exports an empty array when there are no tasks', async () => {
+      expect(JSON.parse(await exportText('json', []))).toEqual([]);
+    });
+
+    it('accepts an array or an object with a tasks array', () => {
+      expect(parseImport('json', [{ title: 'a' }])).toEqual({ rows: [{ title: 'a' }] });
+      expect(parseImport('json', { tasks: [{ title: 'b' }] })).toEqual({ rows: [{ title: 'b' }] });
+      expect(parseImport('json', { title: 'c' }).error).toMatch(/array of tasks/);
+      expect(parseImport('json', null).error).toMatch(/array of tasks/);
+    });
+  });
+
+  describe('ics', () => {
+    it('round-trips tasks with a due date', async () => {
+      const text = await exportText('ics', [[task(), tricky]]);
+      const { rows } = parseImport('ics', text);
+
+      expect(rows).toEqual([
+        {
+          externalId: 'task-1',
+          title: 'Write report',
+          status: 'TODO',
+          priority: '2',
+          dueDate: '2026-11-02T09:30:00.000Z',
+        },
+        {
+          externalId: 'ext-2',
+          title: 'Call "Acme", then; file',
+          description: 'First line\nsecond, with a \\ backslash',
+          status: 'IN_PROGRESS',
+          priority: '3',
+          dueDate: '2026-11-02T09:30:00.000Z',
+          tags: ['work', 'client a'],
+          recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO,WE',
+          timeZone: 'Europe/Berlin',
+          reminderOffsets: [15, 1440],
+        },
+      ]);
+    });
+
+    it('leaves out tasks without a due date', async () => {
+      const text = await exportText('ics', [[task({ dueDate: null })]]);
+
+      expect(text).not.toContain('BEGIN:VTODO');
+      expect(parseImport('ics', text)).toEqual({ rows: [] });
+    });
+
+    it('folds long lines at 75 octets without splitting characters', async () => {
+      const title = `${'Ünïcödé '.repeat(30)}end`;
+      const text = await exportText('ics', [[task({ title })]]);
+      const lines = text.split('\r\n').filter(Boolean);
+
+      expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines.filter((line) => line.startsWith(' ')).length).toBeGreaterThan(2);
+      lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(parseImport('ics', text).rows[0].title).toBe(title);
+    });
+
+    it('reads due dates in UTC, a TZID, floating time or as a date', () => {
+      const dueDates = [
+        'DUE:20261102T093000Z',
+        'DUE;TZID=America/New_York:20261102T093000',
+        'DUE;TZID="Not/AZone":20261102T093000',
+        'DUE:20261102T093000',
+        'DUE;VALUE=DATE:20261102',
+      ].map((due) => parseImport('ics', ics('BEGIN:VTODO', 'SUMMARY:x', due, 'END:VTODO')).rows[0].dueDate);
+
+      expect(dueDates).toEqual([
+        '2026-11-02T09:30:00.000Z',
+        '2026-11-02T14:30:00.000Z',
+        '2026-11-02T09:30:00.000Z',
+        '2026-11-02T09:30:00.000Z',
+        '2026-11-02T00:00:00.000Z',
+      ]);
+    });
+
+    it('keeps only reminders before the due date', () => {
+      const alarm = (trigger) => ['BEGIN:VALARM', 'ACTION:DISPLAY', trigger, 'END:VALARM'];
+      const { rows } = parseImport('ics', ics(
+        'BEGIN:VTODO',
+        'SUMMARY:x',
+        ...alarm('TRIGGER:-PT15M'),
+        ...alarm('TRIGGER:-P1DT2H'),
+        ...alarm('TRIGGER;RELATED=END:-P1W'),
+        ...alarm('TRIGGER:PT0S'),
+        ...alarm('TRIGGER:PT10M'),
+        ...alarm('TRIGGER;RELATED=START:-PT5M'),
+        ...alarm('TRIGGER;VALUE=DATE-TIME:20261102T090000Z'),
+        'END:VTODO'
+      ));
+
+      expect(rows[0].reminderOffsets).toEqual([15, 1560, 10080, 0]);
+      // The alarm's DESCRIPTION doesn't replace the task's
+      expect(rows[0].description).toBeUndefined();
+    });
+
+    it('maps standard PRIORITY unless the export priority is present', () => {
+      const priority = (...lines) => parseImport('ics', ics('BEGIN:VTODO', 'SUMMARY:x', ...lines, 'END:VTODO')).rows[0].priority;
+
+      expect(priority('PRIORITY:1')).toBe('9');
+      expect(priority('PRIORITY:9')).toBe('1');
+      expect(priority('PRIORITY:0')).toBeUndefined();
+      expect(priority('PRIORITY:1', 'X-TASKS-PRIORITY:4')).toBe('4');
+    });
+
+    it('reads components from other tools', () => {
+      const { rows } = parseImport('ics', ics(
+        'BEGIN:VEVENT',
+        'SUMMARY:Not a task',
+        'END:VEVENT',
+        'begin:vtodo',
+        'summary:Lower case',
+        'STATUS:CANCELLED',
+        'CATEGORIES:a\\,b,c',
+        'CATEGORIES:d',
+        'END:VTODO'
+      ));
+
+      expect(rows).toEqual([{ title: 'Lower case', status: 'CANCELLED', tags: ['a,b', 'c', 'd'] }]);
+    });
+
+    it('rejects text without a VCALENDAR', () => {
+      expect(parseImport('ics', 'BEGIN:VTODO\r\nEND:VTODO')).toEqual({ error: 'iCalendar data must contain a VCALENDAR' });
+      expect(parseImport('ics', {})).toEqual({ error: 'Expected iCalendar text' });
+    });
+  });
+
+  describe('contentExternalId', () => {
+    it('depends only on title, description and due date', () => {
+      const row = { title: 'a', description: 'b', dueDate: '2026-11-02T09:30:00.000Z' };
+
+      expect(contentExternalId({ ...row, tags: ['x'] })).toBe(contentExternalId(row));
+      expect(contentExternalId({ ...row, title: 'c' })).not.toBe(contentExternalId(row));
+      expect(contentExternalId({ title: 'a' })).toMatch(/^[0-9a-f]{40}$/);
+    });
+  });
+
+  describe('formatOfContentType', () => {
+    it('matches the mime type, ignoring case and parameters', () => {
+      expect(formatOfContentType('text/CSV')).toBe('csv');
+      expect(formatOfContentType('application/json; charset=utf-8')).toBe('json');
+      expect(formatOfContentType(CONTENT_TYPES.ics)).toBe('ics');
+      expect(formatOfContentType('text/plain')).toBeUndefined();
+      expect(formatOfContentType()).toBeUndefined();
+    });
+  });
+});
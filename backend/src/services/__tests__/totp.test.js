@@ -0,0 +1,153 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+} = require('../totp');
+const { verifyUserTotp } = require('../mfa');
+
+// RFC 6238 appendix B seed ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const PERIOD_MS = 30 * 1000;
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('round-trips random bytes', () => {
+      const bytes = Buffer.from('d2f1a0c4e3b59687', 'hex');
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('ignores case, padding and spaces', () => {
+      expect(base32Decode('gezd gnbv gy3t qojq====')).toEqual(base32Decode('GEZDGNBVGY3TQOJQ'));
+    });
+
+    it('rejects characters outside the alphabet', () => {
+      expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+    });
+
+    it('generates 160-bit secrets', () => {
+      expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+  });
+
+  describe('codes', () => {
+    // Last six digits of the RFC 6238 SHA-1 test vectors
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+    ])('matches the RFC 6238 vector at %i s', (seconds, code) => {
+      expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+    });
+
+    it('matches the RFC 4226 HOTP vectors', () => {
+      expect([0, 1, 2].map((counter) => generateHotp(RFC_SECRET, counter)))
+        .toEqual(['755224', '287082', '359152']);
+    });
+  });
+
+  describe('verifyTotp window', () => {
+    const now = 1700000000 * 1000;
+    const step = Math.floor(now / PERIOD_MS);
+    const codeAt = (offset) => generateTotp(RFC_SECRET, now + offset * PERIOD_MS);
+
+    it('returns the time step of the matching code', () => {
+      expect(verifyTotp(RFC_SECRET, codeAt(0), { timestamp: now })).toBe(step);
+    });
+
+    it('accepts codes one step either side by default', () => {
+      expect(verifyTotp(RFC_SECRET, codeAt(-1), { timestamp: now })).toBe(step - 1);
+      expect(verifyTotp(RFC_SECRET, codeAt(1), { timestamp: now })).toBe(step + 1);
+    });
+
+    it('rejects codes outside the window', () => {
+      expect(verifyTotp(RFC_SECRET, codeAt(-2), { timestamp: now })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, codeAt(2), { timestamp: now })).toBeNull();
+    });
+
+    it('honors a custom window', () => {
+      expect(verifyTotp(RFC_SECRET, codeAt(-1), { timestamp: now, window: 0 })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, codeAt(-2), { timestamp: now, window: 2 })).toBe(step - 2);
+    });
+
+    it('allows spaces but rejects malformed codes', () => {
+      const code = codeAt(0);
+
+      expect(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { timestamp: now })).toBe(step);
+      expect(verifyTotp(RFC_SECRET, code.slice(1), { timestamp: now })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, `${code}0`, { timestamp: now })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, 'abcdef', { timestamp: now })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, '', { timestamp: now })).toBeNull();
+    });
+  });
+
+  describe('replay protection', () => {
+    const now = 1700000000 * 1000;
+    let prisma;
+    let user;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now });
+      user = { id: 'user-1', totpSecret: RFC_SECRET, totpLastUsedStep: null };
+
+      // Applies the conditional update of the last used step like the database would
+      prisma = {
+        user: {
+          updateMany: jest.fn(async ({ where, data }) => {
+            const [unused, earlier] = where.OR;
+            const matches = where.id === user.id && (
+              user.totpLastUsedStep === unused.totpLastUsedStep
+              || user.totpLastUsedStep < earlier.totpLastUsedStep.lt
+            );
+            if (matches) {
+              Object.assign(user, data);
+            }
+            return { count: matches ? 1 : 0 };
+          }),
+        },
+      };
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('accepts a code once', async () => {
+      const code = generateTotp(RFC_SECRET, now);
+
+      await expect(verifyUserTotp(prisma, user, code)).resolves.toBe(true);
+      expect(user.totpLastUsedStep).toBe(Math.floor(now / PERIOD_MS));
+      await expect(verifyUserTotp(prisma, user, code)).resolves.toBe(false);
+    });
+
+    it('rejects codes from steps before the last used one', async () => {
+      await expect(verifyUserTotp(prisma, user, generateTotp(RFC_SECRET, now))).resolves.toBe(true);
+
+      // Still inside the drift window, but older than the accepted code
+      await expect(verifyUserTotp(prisma, user, generateTotp(RFC_SECRET, now - PERIOD_MS))).resolves.toBe(false);
+    });
+
+    it('accepts the code of a later step', async () => {
+      await expect(verifyUserTotp(prisma, user, generateTotp(RFC_SECRET, now))).resolves.toBe(true);
+
+      jest.setSystemTime(now + PERIOD_MS);
+      await expect(verifyUserTotp(prisma, user, generateTotp(RFC_SECRET, now + PERIOD_MS))).resolves.toBe(true);
+    });
+
+    it('rejects wrong codes without recording a step', async () => {
+      const wrong = generateTotp(RFC_SECRET, now + 10 * PERIOD_MS);
+
+      await expect(verifyUserTotp(prisma, user, wrong)).resolves.toBe(false);
+      expect(prisma.user.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('fails for users without two-factor set up', async () => {
+      await expect(verifyUserTotp(prisma, { id: 'user-2', totpSecret: null }, '123456')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { generateToken, hashToken } = require('./secure-token');
+
+/**
+ * Account Email Service
+ *
+ * Issues and consumes the single-use tokens behind password reset and
+ * email verification, and sends the corresponding emails.
+ */
+
+// Token lifetimes in seconds
+const PASSWORD_RESET_TTL = parseInt(process.env.PASSWORD_RESET_TTL, 10) || 3600; // 1 hour
+const EMAIL_VERIFICATION_TTL = parseInt(process.env.EMAIL_VERIFICATION_TTL, 10) || 48 * 3600; // 2 days
+
+// Frontend base URL used for links in emails
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Create a password reset token and email the reset link
+ */
+async function sendPasswordResetEmail(fastify, user) {
+  const token = generateToken();
+
+  await fastify.prisma.passwordResetToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL * 1000),
+    },
+  });
+
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await fastify.mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      'We received a request to reset your password.',
+      `Use the link below within ${Math.round(PASSWORD_RESET_TTL / 60)} minutes to choose a new one:`,
+      '',
+      link,
+      '',
+      'If you did not request a password reset, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Create an email verification token and email the verification link
+ */
+async function sendVerificationEmail(fastify, user) {
+  const token = generateToken();
+
+  await fastify.prisma.emailVerification.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      email: user.email,
+      expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL * 1000),
+    },
+  });
+
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await fastify.mailer.send({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      'Please confirm this email address by opening the link below:',
+      '',
+      link,
+    ].join('\n'),
+  });
+}
+
+// Atomically mark an unused, unexpired token as used and return its record
+async function consumeToken(model, token) {
+  const tokenHash = hashToken(token);
+
+  const { count } = await model.updateMany({
+    where: {
+      tokenHash,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return model.findUnique({ where: { tokenHash } });
+}
+
+/**
+ * Consume a password reset token, resolving to its record or null
+ */
+function consumePasswordResetToken(prisma, token) {
+  return consumeToken(prisma.passwordResetToken, token);
+}
+
+/**
+ * Consume an email verification token, resolving to its record or null
+ */
+function consumeEmailVerification(prisma, token) {
+  return consumeToken(prisma.emailVerification, token);
+}
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  consumePasswordResetToken,
+  consumeEmailVerification,
+};
@@ -0,0 +1,74 @@
+/**
+ * Attachment Service
+ *
+ * Upload limits and clean-up of stored files for task attachments.
+ * Attachment rows are removed by database cascades, so callers collect
+ * the storage keys first and remove the files once the rows are gone.
+ */
+
+// Largest accepted upload in bytes (10 MB)
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// MIME types accepted for upload
+const ATTACHMENT_ALLOWED_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map((type) => type.trim()).filter(Boolean)
+  : [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ];
+
+// Fields exposed for an attachment (never the storage key)
+const ATTACHMENT_SELECT = {
+  id: true,
+  filename: true,
+  mimeType: true,
+  size: true,
+  taskId: true,
+  uploaderId: true,
+  createdAt: true,
+};
+
+const isAllowedType = (mimeType) => ATTACHMENT_ALLOWED_TYPES.includes(mimeType);
+
+/**
+ * Storage keys of every attachment matching a Prisma `where`
+ */
+async function findStorageKeys(prisma, where) {
+  const attachments = await prisma.attachment.findMany({
+    where,
+    select: { storageKey: true },
+  });
+
+  return attachments.map((attachment) => attachment.storageKey);
+}
+
+/**
+ * Remove stored files, logging (not throwing) failures
+ * The database rows are already gone, so a leftover file is only wasted space.
+ */
+async function removeStoredFiles(fastify, storageKeys) {
+  await Promise.all(storageKeys.map(async (storageKey) => {
+    try {
+      await fastify.storage.delete(storageKey);
+    } catch (err) {
+      fastify.log.warn(`Failed to remove stored file ${storageKey}: ${err.message}`);
+    }
+  }));
+}
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_ALLOWED_TYPES,
+  ATTACHMENT_SELECT,
+  isAllowedType,
+  findStorageKeys,
+  removeStoredFiles,
+};
@@ -0,0 +1,17 @@
+/**
+ * Console mail transport
+ *
+ * Logs outgoing messages instead of delivering them.
+ */
+function createConsoleTransport(options = {}) {
+  const logger = options.logger || console;
+
+  return {
+    async send(message) {
+      logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { delivered: false };
+    },
+  };
+}
+
+module.exports = createConsoleTransport;
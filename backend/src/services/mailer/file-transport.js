@@ -0,0 +1,27 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File mail transport
+ *
+ * Writes each outgoing message to a JSON file so tests and local
+ * development can inspect mail without a mail server.
+ */
+function createFileTransport(options = {}) {
+  const directory = options.directory || process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+  return {
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const filePath = path.join(directory, filename);
+
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { delivered: false, path: filePath };
+    },
+  };
+}
+
+module.exports = createFileTransport;
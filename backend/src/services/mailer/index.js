@@ -0,0 +1,54 @@
+/**
+ * Mailer
+ *
+ * Small mail-sending interface with pluggable transports. A transport is any
+ * object with an async `send(message)` method, where `message` has
+ * `from`, `to`, `subject`, `text` and optional `html` fields.
+ *
+ * Built-in transports:
+ * - console: logs messages (default, handy for local development)
+ * - file: writes each message as a JSON file to a directory
+ * - smtp: delivers through an SMTP server
+ */
+
+const transportFactories = {
+  console: require('./console-transport'),
+  file: require('./file-transport'),
+  smtp: require('./smtp-transport'),
+};
+
+/**
+ * Create a mailer
+ *
+ * @param {Object} options
+ * @param {string|Object} [options.transport] - Transport name or transport instance
+ * @param {string} [options.from] - Default sender address
+ * @param {Object} [options.logger] - Logger used by the console transport
+ */
+function createMailer(options = {}) {
+  const from = options.from || process.env.MAIL_FROM || 'no-reply@localhost';
+  const transport = typeof options.transport === 'object'
+    ? options.transport
+    : createTransport(options.transport || process.env.MAIL_TRANSPORT || 'console', options);
+
+  return {
+    transport,
+
+    // Send a message, filling in the default sender
+    send: (message) => transport.send({ from, ...message }),
+  };
+}
+
+// Instantiate a built-in transport by name
+function createTransport(name, options = {}) {
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createMailer,
+  createTransport,
+};
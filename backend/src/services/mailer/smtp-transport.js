@@ -0,0 +1,29 @@
+/**
+ * SMTP mail transport
+ *
+ * Delivers messages through an SMTP server using nodemailer.
+ */
+function createSmtpTransport(options = {}) {
+  // Loaded lazily so other transports work without the SMTP dependency
+  const nodemailer = require('nodemailer');
+
+  const smtpConfig = options.smtp || {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  };
+
+  const transporter = nodemailer.createTransport(smtpConfig);
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { delivered: true, messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { hashToken } = require('./secure-token');
+const { verifyTotp } = require('./totp');
+
+/**
+ * Multi-Factor Authentication Service
+ *
+ * Helpers for the two-step login flow, one-time recovery codes and
+ * verification of a user's second factor.
+ */
+
+// Lifetime of the "mfa pending" token handed out after the password step
+const MFA_PENDING_TTL = '5m';
+const MFA_PENDING_PURPOSE = 'mfa';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Sign a short-lived token proving the password step succeeded
+ * (it has no session, so `authenticate` never accepts it as an access token)
+ */
+function createMfaPendingToken(fastify, userId) {
+  return fastify.jwt.sign({ id: userId, purpose: MFA_PENDING_PURPOSE }, { expiresIn: MFA_PENDING_TTL });
+}
+
+/**
+ * Verify an "mfa pending" token and return its user ID, or null
+ */
+function verifyMfaPendingToken(fastify, token) {
+  try {
+    const decoded = fastify.jwt.verify(token);
+    return decoded.purpose === MFA_PENDING_PURPOSE ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Recovery codes look like "a1b2c-3d4e5"
+function formatRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code).trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Replace a user's recovery codes and return the new raw codes
+ * (they are only ever shown once)
+ */
+async function regenerateRecoveryCodes(prisma, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, formatRecoveryCode);
+
+  await prisma.$transaction([
+    prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.mfaRecoveryCode.createMany({
+      data: codes.map((code) => ({
+        userId,
+        codeHash: hashToken(normalizeRecoveryCode(code)),
+      })),
+    }),
+  ]);
+
+  return codes;
+}
+
+/**
+ * Verify a TOTP code for a user, rejecting codes from already-used time steps
+ */
+async function verifyUserTotp(prisma, user, code) {
+  if (!user.totpSecret) {
+    return false;
+  }
+
+  const step = verifyTotp(user.totpSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  // Record the step atomically so the same code can't be used twice
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { totpLastUsedStep: null },
+        { totpLastUsedStep: { lt: step } },
+      ],
+    },
+    data: { totpLastUsedStep: step },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Consume a one-time recovery code
+ */
+async function consumeRecoveryCode(prisma, userId, code) {
+  const { count } = await prisma.mfaRecoveryCode.updateMany({
+    where: {
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Verify a second factor: either a TOTP `code` or a `recoveryCode`
+ */
+async function verifySecondFactor(prisma, user, { code, recoveryCode }) {
+  if (code) {
+    return verifyUserTotp(prisma, user, code);
+  }
+
+  if (recoveryCode) {
+    return consumeRecoveryCode(prisma, user.id, recoveryCode);
+  }
+
+  return false;
+}
+
+module.exports = {
+  createMfaPendingToken,
+  verifyMfaPendingToken,
+  regenerateRecoveryCodes,
+  verifyUserTotp,
+  verifySecondFactor,
+};
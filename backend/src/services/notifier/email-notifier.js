@@ -0,0 +1,39 @@
+/**
+ * Email reminder notifier
+ *
+ * Emails the task owner through the shared mailer.
+ */
+
+// Frontend base URL used for links in emails
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Human-readable lead time, e.g. "1 day" or "90 minutes"
+function describeOffset(minutes) {
+  if (minutes === 0) return 'now';
+  if (minutes % 1440 === 0) return `in ${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  if (minutes % 60 === 0) return `in ${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function createEmailNotifier(options = {}) {
+  const { mailer } = options;
+  if (!mailer) {
+    throw new Error('The email notifier needs a mailer');
+  }
+
+  return {
+    async notify({ task, user, minutesBefore }) {
+      await mailer.send({
+        to: user.email,
+        subject: `Reminder: ${task.title}`,
+        text: [
+          `"${task.title}" is due ${describeOffset(minutesBefore)} (${new Date(task.dueDate).toISOString()}).`,
+          '',
+          `${APP_URL}/tasks/${encodeURIComponent(task.id)}`,
+        ].join('\n'),
+      });
+    },
+  };
+}
+
+module.exports = createEmailNotifier;
@@ -0,0 +1,57 @@
+/**
+ * Notifier
+ *
+ * Delivers task reminders outside the app, alongside the TASK_REMINDER
+ * WebSocket event. A notifier is any object with an async `notify(reminder)`
+ * method, where `reminder` has `task`, `user` and `minutesBefore` fields.
+ *
+ * Built-in notifiers:
+ * - email: emails the task owner through the mailer (default)
+ * - log: logs reminders (handy for local development)
+ */
+
+const notifierFactories = {
+  email: require('./email-notifier'),
+  log: require('./log-notifier'),
+};
+
+/**
+ * Create a notifier that fans out to several others
+ *
+ * @param {Object} options
+ * @param {Array<string|Object>} [options.notifiers] - Notifier names or instances
+ *   (defaults to the comma-separated REMINDER_NOTIFIERS)
+ * @param {Object} [options.mailer] - Mailer used by the email notifier
+ * @param {Object} [options.logger] - Logger used by the log notifier
+ */
+function createNotifier(options = {}) {
+  const names = options.notifiers || (process.env.REMINDER_NOTIFIERS || 'email')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const notifiers = names.map((name) => (
+    typeof name === 'object' ? name : createNamedNotifier(name, options)
+  ));
+
+  return {
+    notifiers,
+
+    // Notify through every notifier; one failing doesn't stop the others
+    notify: (reminder) => Promise.allSettled(notifiers.map((notifier) => notifier.notify(reminder))),
+  };
+}
+
+// Instantiate a built-in notifier by name
+function createNamedNotifier(name, options = {}) {
+  const factory = notifierFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown reminder notifier: ${name}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createNotifier,
+  createNamedNotifier,
+};
@@ -0,0 +1,16 @@
+/**
+ * Log reminder notifier
+ *
+ * Logs reminders instead of delivering them.
+ */
+function createLogNotifier(options = {}) {
+  const logger = options.logger || console;
+
+  return {
+    async notify({ task, user, minutesBefore }) {
+      logger.info(`Reminder for ${user.email}: "${task.title}" is due in ${minutesBefore} minutes`);
+    },
+  };
+}
+
+module.exports = createLogNotifier;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+/**
+ * Password Hasher
+ *
+ * Pluggable password hashing built on Node's crypto module.
+ * Hashes are stored in a self-describing format so the algorithm,
+ * parameters and salt travel with every stored password:
+ *
+ *   scrypt$N=16384,r=8,p=1$<salt>$<hash>
+ *
+ * Legacy unsalted SHA-256 hex digests are still accepted for verification
+ * so they can be upgraded transparently on the next successful login.
+ */
+
+// Default scrypt cost parameters (can be tuned through the environment)
+const DEFAULT_SCRYPT_PARAMS = {
+  N: parseInt(process.env.SCRYPT_COST, 10) || 16384,
+  r: parseInt(process.env.SCRYPT_BLOCK_SIZE, 10) || 8,
+  p: parseInt(process.env.SCRYPT_PARALLELIZATION, 10) || 1,
+};
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Encode/decode the "k=v,k=v" parameter segment of a stored hash
+function encodeParams(params) {
+  return Object.entries(params)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(',');
+}
+
+function decodeParams(segment) {
+  return segment.split(',').reduce((params, pair) => {
+    const [key, value] = pair.split('=');
+    params[key] = parseInt(value, 10);
+    return params;
+  }, {});
+}
+
+/**
+ * scrypt algorithm - the default for all new hashes
+ */
+function createScryptAlgorithm(params = DEFAULT_SCRYPT_PARAMS) {
+  // Leave headroom above the 128 * N * r bytes scrypt needs
+  const maxmem = 256 * params.N * params.r;
+
+  return {
+    id: 'scrypt',
+
+    async hash(password) {
+      const salt = crypto.randomBytes(SALT_BYTES);
+      const key = await scryptAsync(password, salt, KEY_LENGTH, { ...params, maxmem });
+      return `scrypt$${encodeParams(params)}$${salt.toString('base64')}$${key.toString('base64')}`;
+    },
+
+    async verify(password, storedHash) {
+      const [, paramSegment, saltSegment, keySegment] = storedHash.split('$');
+      if (!paramSegment || !saltSegment || !keySegment) {
+        return false;
+      }
+
+      const storedParams = decodeParams(paramSegment);
+      const salt = Buffer.from(saltSegment, 'base64');
+      const expected = Buffer.from(keySegment, 'base64');
+      const key = await scryptAsync(password, salt, expected.length, {
+        ...storedParams,
+        maxmem: 256 * storedParams.N * storedParams.r,
+      });
+
+      return crypto.timingSafeEqual(key, expected);
+    },
+
+    needsRehash(storedHash) {
+      const [, paramSegment] = storedHash.split('$');
+      return paramSegment !== encodeParams(params);
+    },
+  };
+}
+
+/**
+ * Legacy SHA-256 algorithm - verification only, never used for new hashes
+ */
+function createLegacySha256Algorithm() {
+  return {
+    id: 'sha256',
+
+    async hash() {
+      throw new Error('SHA-256 password hashing is no longer supported');
+    },
+
+    async verify(password, storedHash) {
+      const digest = crypto.createHash('sha256').update(password).digest();
+      const expected = Buffer.from(storedHash, 'hex');
+      return expected.length === digest.length && crypto.timingSafeEqual(digest, expected);
+    },
+
+    needsRehash() {
+      return true;
+    },
+  };
+}
+
+// Legacy hashes are bare 64-character hex digests without an algorithm prefix
+function detectAlgorithmId(storedHash) {
+  if (/^[0-9a-f]{64}$/i.test(storedHash)) {
+    return 'sha256';
+  }
+  return storedHash.split('$')[0];
+}
+
+/**
+ * Create a password hasher
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.algorithm] - Algorithm used for new hashes
+ * @param {Object[]} [options.legacyAlgorithms] - Algorithms accepted for verification only
+ */
+function createPasswordHasher(options = {}) {
+  const current = options.algorithm || createScryptAlgorithm();
+  const algorithms = new Map();
+
+  for (const algorithm of [current, ...(options.legacyAlgorithms || [createLegacySha256Algorithm()])]) {
+    algorithms.set(algorithm.id, algorithm);
+  }
+
+  // Hash of a random password, created on first use with the current parameters
+  let dummyHash = null;
+
+  return {
+    // Hash a password with the current algorithm
+    hash: (password) => current.hash(password),
+
+    // Verify a password against any supported stored hash
+    verify: async (password, storedHash) => {
+      if (!storedHash) {
+        return false;
+      }
+
+      const algorithm = algorithms.get(detectAlgorithmId(storedHash));
+      if (!algorithm) {
+        return false;
+      }
+
+      try {
+        return await algorithm.verify(password, storedHash);
+      } catch (err) {
+        // Malformed hashes are treated as a failed match
+        return false;
+      }
+    },
+
+    // Do the work of a verification when there is no stored hash (unknown
+    // accounts), so response times don't reveal which accounts exist.
+    // Always resolves to false.
+    verifyDummy: async (password) => {
+      if (!dummyHash) {
+        // Forget a failed attempt, so the next login tries again
+        dummyHash = current.hash(crypto.randomBytes(SALT_BYTES).toString('hex')).catch((error) => {
+          dummyHash = null;
+          throw error;
+        });
+      }
+
+      await current.verify(password, await dummyHash);
+      return false;
+    },
+
+    // Whether a stored hash should be replaced with a fresh one
+    needsRehash: (storedHash) => {
+      const algorithmId = detectAlgorithmId(storedHash);
+      if (algorithmId !== current.id) {
+        return true;
+      }
+      return current.needsRehash(storedHash);
+    },
+  };
+}
+
+// Shared default instance used by the API and the seed script
+const passwordHasher = createPasswordHasher();
+
+module.exports = {
+  createPasswordHasher,
+  createScryptAlgorithm,
+  createLegacySha256Algorithm,
+  passwordHasher,
+};
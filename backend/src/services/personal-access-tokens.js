@@ -0,0 +1,81 @@
+const { generateToken, hashToken } = require('./secure-token');
+const { MEMBERSHIPS_SELECT } = require('./workspaces');
+
+/**
+ * Personal Access Token Service
+ *
+ * Named, scoped, long-lived tokens for scripts and integrations.
+ * Tokens are shown once on creation and stored hashed; the short prefix
+ * kept alongside the hash lets users tell their tokens apart.
+ */
+
+// Every token starts with this marker so `authenticate` can tell it from a JWT
+const TOKEN_PREFIX = 'pat_';
+
+// Scopes a personal access token can be granted
+const SCOPES = ['tasks:read', 'tasks:write', 'profile:read'];
+
+const isPersonalAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token and return its record together with the raw value
+ */
+async function createPersonalAccessToken(prisma, { userId, name, scopes, expiresAt }) {
+  const secret = generateToken();
+  const token = `${TOKEN_PREFIX}${secret}`;
+
+  const record = await prisma.personalAccessToken.create({
+    data: {
+      name,
+      scopes,
+      expiresAt,
+      userId,
+      tokenHash: hashToken(token),
+      tokenPrefix: `${TOKEN_PREFIX}${secret.slice(0, 6)}`,
+    },
+  });
+
+  return { record, token };
+}
+
+/**
+ * Look up an unexpired token by its raw value
+ */
+function findPersonalAccessToken(prisma, token) {
+  return prisma.personalAccessToken.findFirst({
+    where: {
+      tokenHash: hashToken(token),
+      OR: [
+        { expiresAt: null },
+        { expiresAt: { gt: new Date() } },
+      ],
+    },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          disabledAt: true,
+          memberships: MEMBERSHIPS_SELECT,
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Whether granted scopes cover every required scope
+ */
+function hasScopes(granted, required) {
+  return required.every((scope) => granted.includes(scope));
+}
+
+module.exports = {
+  SCOPES,
+  isPersonalAccessToken,
+  createPersonalAccessToken,
+  findPersonalAccessToken,
+  hasScopes,
+};
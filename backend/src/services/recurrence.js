@@ -0,0 +1,173 @@
+const { RRule } = require('rrule');
+
+/**
+ * Recurrence Service
+ *
+ * Expands RFC 5545 RRULEs for recurring tasks. Rules are evaluated on the
+ * wall clock of the task's time zone, so "every Monday at 09:00" stays at
+ * 09:00 local time across daylight-saving changes.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Most upcoming occurrences returned at once
+const MAX_UPCOMING_OCCURRENCES = 50;
+
+// Sub-hourly rules would flood a task list
+const DISALLOWED_FREQUENCIES = [RRule.SECONDLY, RRule.MINUTELY];
+
+/**
+ * Whether `timeZone` is an IANA zone name this runtime knows
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validate and normalize an RRULE
+ * Accepts the rule with or without its "RRULE:" prefix. DTSTART is not
+ * allowed in the rule: occurrences start from the task's due date.
+ * Returns `{ rule }` with the normalized rule, or `{ error }`.
+ */
+function normalizeRule(text) {
+  const value = text.trim().toUpperCase().replace(/^RRULE:/, '');
+
+  if (/[\r\n]/.test(value) || value.includes('DTSTART')) {
+    return { error: 'Recurrence rule must be a single RRULE without DTSTART' };
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(value);
+  } catch (err) {
+    return { error: `Invalid recurrence rule: ${err.message}` };
+  }
+
+  if (options.freq === undefined) {
+    return { error: 'Recurrence rule must include FREQ' };
+  }
+
+  if (DISALLOWED_FREQUENCIES.includes(options.freq)) {
+    return { error: 'Recurrence rule may repeat at most hourly' };
+  }
+
+  return { rule: RRule.optionsToString(options).replace(/^RRULE:/, '') };
+}
+
+// Read the wall-clock time of an instant in a time zone
+const formatters = new Map();
+function wallClockParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Express an instant as a "floating" date: its UTC fields hold the wall
+ * clock in `timeZone`. This is the form RRule expands without a tzid.
+ */
+function toWallClock(date, timeZone) {
+  const parts = wallClockParts(date, timeZone);
+  return new Date(Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    date.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Turn a floating date back into the instant it names in `timeZone`
+ * Wall times skipped by a DST change resolve to the later offset.
+ */
+function fromWallClock(wallClock, timeZone) {
+  const guess = wallClock.getTime();
+  const offset = toWallClock(new Date(guess), timeZone).getTime() - guess;
+  const instant = guess - offset;
+
+  // The offset at the result can differ from the guess's near a DST change
+  const correctedOffset = toWallClock(new Date(instant), timeZone).getTime() - instant;
+  return new Date(guess - correctedOffset);
+}
+
+/**
+ * Build the RRule for a recurring task, anchored at its recurrenceStart
+ */
+function buildRule(task) {
+  const timeZone = task.timeZone || DEFAULT_TIME_ZONE;
+  const options = RRule.parseString(task.recurrenceRule);
+
+  // UNTIL is an instant; compare it on the same wall clock as the occurrences
+  if (options.until) {
+    options.until = toWallClock(options.until, timeZone);
+  }
+
+  return new RRule({
+    ...options,
+    dtstart: toWallClock(task.recurrenceStart, timeZone),
+  });
+}
+
+/**
+ * Due dates of the occurrences after a recurring task, soonest first
+ * Stops early when the rule runs out (COUNT or UNTIL).
+ */
+function upcomingOccurrences(task, count = 1) {
+  if (!task.recurrenceRule || !task.recurrenceStart || !task.dueDate) {
+    return [];
+  }
+
+  const timeZone = task.timeZone || DEFAULT_TIME_ZONE;
+  const rule = buildRule(task);
+  const occurrences = [];
+
+  let cursor = toWallClock(task.dueDate, timeZone);
+  while (occurrences.length < Math.min(count, MAX_UPCOMING_OCCURRENCES)) {
+    cursor = rule.after(cursor, false);
+    if (!cursor) break;
+    occurrences.push(fromWallClock(cursor, timeZone));
+  }
+
+  return occurrences;
+}
+
+/**
+ * Due date of the occurrence following a recurring task, or null when the series has ended
+ */
+function nextOccurrence(task) {
+  const [dueDate] = upcomingOccurrences(task, 1);
+  return dueDate || null;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  MAX_UPCOMING_OCCURRENCES,
+  isValidTimeZone,
+  normalizeRule,
+  fromWallClock,
+  upcomingOccurrences,
+  nextOccurrence,
+};
@@ -0,0 +1,82 @@
+const { generateToken, hashToken } = require('./secure-token');
+
+/**
+ * Refresh Token Service
+ *
+ * Issues long-lived, single-use refresh tokens. Only a SHA-256 hash of each
+ * token is stored. Every token belongs to a session; the tokens of one
+ * session form a rotation family, and presenting an already-used token
+ * revokes the session together with the whole family.
+ */
+
+// Refresh token lifetime in seconds (defaults to 30 days)
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 30 * 24 * 3600;
+
+/**
+ * Create a new refresh token for a session and return the raw value
+ */
+async function createRefreshToken(prisma, { userId, sessionId }) {
+  const token = generateToken();
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId,
+      sessionId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+    },
+  });
+
+  return token;
+}
+
+/**
+ * Consume a refresh token
+ *
+ * Marks the token as used and returns its record. Resolves to an object with
+ * a `status` of 'valid', 'invalid', 'expired' or 'reused'.
+ */
+async function consumeRefreshToken(prisma, token) {
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!record) {
+    return { status: 'invalid' };
+  }
+
+  // Atomically mark the token as used so concurrent refreshes can't both win
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    // Token was already spent - assume it was stolen and revoke the family
+    await revokeTokenFamily(prisma, record.sessionId);
+    return { status: 'reused', record };
+  }
+
+  if (record.expiresAt <= new Date()) {
+    return { status: 'expired', record };
+  }
+
+  return { status: 'valid', record };
+}
+
+/**
+ * Revoke a refresh token family by deleting its session
+ * (refresh tokens are removed through the cascading relation)
+ */
+async function revokeTokenFamily(prisma, sessionId) {
+  await prisma.session.deleteMany({
+    where: { id: sessionId },
+  });
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL,
+  createRefreshToken,
+  consumeRefreshToken,
+  revokeTokenFamily,
+};
@@ -0,0 +1,128 @@
+/**
+ * Reminder Service
+ *
+ * Due-date reminders are kept in a Redis sorted set scored by the time they
+ * fire, so the schedule survives restarts and is shared by every server
+ * instance. Each entry names one reminder as `<taskId>:<offset>:<fireAt>`.
+ *
+ * Entries are never trusted on their own: when one comes due it is checked
+ * against the task as it is now, so a stale entry (task deleted or trashed,
+ * completed or rescheduled) is simply dropped.
+ */
+
+// Sorted set of pending reminders
+const REMINDER_QUEUE_KEY = 'reminders:queue';
+
+// Channel announcing fired reminders to every instance
+const REMINDER_CHANNEL = 'reminders:fired';
+
+// How long a delivered reminder is remembered, to suppress duplicates (7 days)
+const DELIVERED_TTL = 7 * 24 * 3600;
+
+// Longest reminder offset in minutes (4 weeks)
+const REMINDER_MAX_OFFSET = 4 * 7 * 24 * 60;
+
+// Most reminders per task
+const REMINDER_MAX_COUNT = 5;
+
+// Queue entries for a task's reminders that are still in the future
+function queueEntries(task, now = Date.now()) {
+  if (!task || !task.dueDate || task.status === 'DONE' || task.deletedAt || !task.reminderOffsets) {
+    return [];
+  }
+
+  const dueAt = new Date(task.dueDate).getTime();
+  return task.reminderOffsets
+    .map((offset) => {
+      const fireAt = dueAt - offset * 60 * 1000;
+      return { member: `${task.id}:${offset}:${fireAt}`, fireAt };
+    })
+    .filter((entry) => entry.fireAt > now);
+}
+
+/**
+ * Split a queue entry back into its parts
+ */
+function parseEntry(member) {
+  const [taskId, offset, fireAt] = member.split(':');
+  return { taskId, offset: Number(offset), fireAt: Number(fireAt) };
+}
+
+/**
+ * Whether a queue entry still matches the task it points at
+ */
+function isCurrent(task, entry) {
+  if (!task || !task.dueDate || task.status === 'DONE' || task.deletedAt) {
+    return false;
+  }
+
+  return task.reminderOffsets.includes(entry.offset)
+    && new Date(task.dueDate).getTime() - entry.offset * 60 * 1000 === entry.fireAt;
+}
+
+/**
+ * Replace the queued reminders of a task
+ * `previousTask` is the task before the change, whose entries are removed.
+ */
+async function scheduleReminders(redis, task, previousTask = null) {
+  const stale = queueEntries(previousTask, 0).map((entry) => entry.member);
+  const entries = queueEntries(task);
+
+  const pipeline = redis.pipeline();
+  if (stale.length > 0) {
+    pipeline.zrem(REMINDER_QUEUE_KEY, ...stale);
+  }
+  for (const entry of entries) {
+    pipeline.zadd(REMINDER_QUEUE_KEY, entry.fireAt, entry.member);
+  }
+  await pipeline.exec();
+}
+
+/**
+ * Remove the queued reminders of a task
+ */
+async function cancelReminders(redis, task) {
+  const stale = queueEntries(task, 0).map((entry) => entry.member);
+  if (stale.length > 0) {
+    await redis.zrem(REMINDER_QUEUE_KEY, ...stale);
+  }
+}
+
+/**
+ * Claim reminders that are due
+ * Removing an entry from the queue is atomic, so of several instances
+ * polling at once only one gets each entry.
+ */
+async function claimDueReminders(redis, now = Date.now(), limit = 100) {
+  const members = await redis.zrangebyscore(REMINDER_QUEUE_KEY, 0, now, 'LIMIT', 0, limit);
+
+  const claimed = [];
+  for (const member of members) {
+    if (await redis.zrem(REMINDER_QUEUE_KEY, member) === 1) {
+      claimed.push(parseEntry(member));
+    }
+  }
+  return claimed;
+}
+
+/**
+ * Record a reminder as delivered, resolving to false if it already was
+ * Guards against sending twice when the same entry is queued again.
+ */
+async function markDelivered(redis, entry) {
+  const key = `reminders:delivered:${entry.taskId}:${entry.offset}:${entry.fireAt}`;
+  const result = await redis.set(key, '1', 'EX', DELIVERED_TTL, 'NX');
+  return result === 'OK';
+}
+
+module.exports = {
+  REMINDER_QUEUE_KEY,
+  REMINDER_CHANNEL,
+  REMINDER_MAX_OFFSET,
+  REMINDER_MAX_COUNT,
+  isCurrent,
+  scheduleReminders,
+  cancelReminders,
+  claimDueReminders,
+  markDelivered,
+};
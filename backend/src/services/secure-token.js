@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+
+/**
+ * Secure Token Helpers
+ *
+ * Random bearer tokens (refresh, password reset, email verification) are
+ * handed to the client once and only their hash is persisted.
+ */
+
+// Generate a URL-safe random token
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Tokens are high-entropy random values, so a plain hash is sufficient
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,37 @@
+/**
+ * File Storage
+ *
+ * Stores uploaded files behind a small driver interface so the backing
+ * store can change without touching controllers. A driver is any object
+ * with these async methods, addressing files by an opaque string key:
+ *
+ * - put(key, stream): store the stream's contents, resolves to `{ size }`
+ * - get(key): resolve to a readable stream of the contents
+ * - delete(key): remove the file (missing files are not an error)
+ *
+ * Built-in drivers:
+ * - local: files on the local filesystem (default)
+ */
+
+const driverFactories = {
+  local: require('./local-driver'),
+};
+
+/**
+ * Create a storage driver by name
+ *
+ * @param {string} [name] - Driver name, defaults to STORAGE_DRIVER or 'local'
+ * @param {Object} [options] - Driver-specific options
+ */
+function createStorage(name, options = {}) {
+  const driverName = name || process.env.STORAGE_DRIVER || 'local';
+  const factory = driverFactories[driverName];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createStorage,
+};
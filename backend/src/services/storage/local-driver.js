@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local filesystem storage driver
+ *
+ * Keeps each file at `<directory>/<key>`. Keys may contain "/" to group
+ * files into subdirectories, but can never point outside the directory.
+ */
+function createLocalDriver(options = {}) {
+  const directory = path.resolve(
+    options.directory || process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads')
+  );
+
+  // Map a key to its file path, rejecting keys that escape the directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, stream) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      try {
+        await pipeline(stream, fs.createWriteStream(filePath));
+      } catch (err) {
+        // Don't leave partial files behind (e.g. when the client disconnects)
+        await fs.promises.rm(filePath, { force: true });
+        throw err;
+      }
+
+      const { size } = await fs.promises.stat(filePath);
+      return { size };
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      // Fail early with ENOENT rather than on the first read
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+module.exports = createLocalDriver;
@@ -0,0 +1,151 @@
+/**
+ * Subtask Service
+ *
+ * Helpers for task hierarchies: placement checks (no cycles, bounded
+ * nesting), descendant lookup for cascades and completion progress.
+ */
+
+// How many levels of subtasks a top-level task may have
+const SUBTASK_MAX_DEPTH = parseInt(process.env.SUBTASK_MAX_DEPTH, 10) || 3;
+
+/**
+ * IDs of a task's ancestors, nearest first
+ */
+async function getAncestorIds(prisma, taskId) {
+  const ancestors = [];
+  let current = await prisma.task.findUnique({
+    where: { id: taskId },
+    select: { parentId: true },
+  });
+
+  // Depth is bounded, so walking up one query per level stays cheap
+  while (current && current.parentId && !ancestors.includes(current.parentId)) {
+    ancestors.push(current.parentId);
+    current = await prisma.task.findUnique({
+      where: { id: current.parentId },
+      select: { parentId: true },
+    });
+  }
+
+  return ancestors;
+}
+
+/**
+ * IDs of a task's descendants, grouped by level (children first)
+ * Subtasks in the trash are left out unless `includeTrashed` is set.
+ */
+async function getDescendantLevels(prisma, taskId, { includeTrashed = false } = {}) {
+  const levels = [];
+  let frontier = [taskId];
+
+  while (frontier.length > 0) {
+    const children = await prisma.task.findMany({
+      where: {
+        parentId: { in: frontier },
+        deletedAt: includeTrashed ? undefined : null,
+      },
+      select: { id: true },
+    });
+
+    frontier = children.map((child) => child.id);
+    if (frontier.length > 0) {
+      levels.push(frontier);
+    }
+  }
+
+  return levels;
+}
+
+/**
+ * IDs of all of a task's descendants
+ */
+async function getDescendantIds(prisma, taskId, options) {
+  return (await getDescendantLevels(prisma, taskId, options)).flat();
+}
+
+/**
+ * Check whether a task (or a new task, when `taskId` is null) may be
+ * placed under `parentId`
+ *
+ * Resolves to 'valid', 'cycle' (the parent is the task or one of its
+ * descendants) or 'too-deep' (the move would exceed SUBTASK_MAX_DEPTH).
+ */
+async function checkPlacement(prisma, taskId, parentId) {
+  const parentAncestors = await getAncestorIds(prisma, parentId);
+
+  if (taskId && (taskId === parentId || parentAncestors.includes(taskId))) {
+    return 'cycle';
+  }
+
+  // The moved task lands one level below its parent, its subtree below that
+  const subtreeHeight = taskId ? (await getDescendantLevels(prisma, taskId)).length : 0;
+  const depth = parentAncestors.length + 1 + subtreeHeight;
+
+  return depth > SUBTASK_MAX_DEPTH ? 'too-deep' : 'valid';
+}
+
+/**
+ * Position for a new last child of a parent (or top-level task)
+ */
+async function nextPosition(prisma, parentId) {
+  const { _max: max } = await prisma.task.aggregate({
+    where: { parentId },
+    _max: { position: true },
+  });
+
+  return max.position === null ? 0 : max.position + 1;
+}
+
+/**
+ * Completion progress of the direct subtasks of each task
+ *
+ * Returns a Map of task ID to `{ total, done, percent }`; tasks without
+ * subtasks are left out.
+ */
+async function getProgress(prisma, taskIds) {
+  const groups = taskIds.length > 0
+    ? await prisma.task.groupBy({
+      by: ['parentId', 'status'],
+      where: { parentId: { in: taskIds }, deletedAt: null },
+      _count: { _all: true },
+    })
+    : [];
+
+  const progress = new Map();
+  for (const group of groups) {
+    const entry = progress.get(group.parentId) || { total: 0, done: 0 };
+    entry.total += group._count._all;
+    if (group.status === 'DONE') {
+      entry.done += group._count._all;
+    }
+    progress.set(group.parentId, entry);
+  }
+
+  for (const entry of progress.values()) {
+    entry.percent = Math.round((entry.done / entry.total) * 100);
+  }
+
+  return progress;
+}
+
+/**
+ * Add a `progress` field to each task (null when it has no subtasks)
+ */
+async function withProgress(prisma, tasks) {
+  const progress = await getProgress(prisma, tasks.map((task) => task.id));
+
+  return tasks.map((task) => ({
+    ...task,
+    progress: progress.get(task.id) || null,
+  }));
+}
+
+module.exports = {
+  SUBTASK_MAX_DEPTH,
+  getAncestorIds,
+  getDescendantIds,
+  checkPlacement,
+  nextPosition,
+  getProgress,
+  withProgress,
+};
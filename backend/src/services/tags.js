@@ -0,0 +1,89 @@
+/**
+ * Tag Service
+ *
+ * Helpers shared by the tag and task controllers. Task bodies and filters
+ * refer to tags either by ID or by name.
+ */
+
+// Fields exposed for a tag
+const TAG_SELECT = {
+  id: true,
+  name: true,
+  color: true,
+};
+
+// Include tags whenever tasks are returned to clients
+const TASK_TAGS_INCLUDE = {
+  tags: {
+    select: TAG_SELECT,
+    orderBy: { name: 'asc' },
+  },
+};
+
+const DEFAULT_TAG_COLOR = '#6b7280';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Resolve tag references (IDs or names) to tag IDs owned by the user
+ *
+ * Unknown names create new tags; unknown IDs are returned in `missing`
+ * so the caller can reject the request.
+ */
+async function resolveTagIds(prisma, userId, refs) {
+  const ids = [...new Set(refs.filter((ref) => UUID_PATTERN.test(ref)))];
+  const names = [...new Set(
+    refs
+      .filter((ref) => !UUID_PATTERN.test(ref))
+      .map((ref) => ref.trim())
+      .filter(Boolean)
+  )];
+
+  const byId = ids.length > 0
+    ? await prisma.tag.findMany({
+      where: { userId, id: { in: ids } },
+      select: { id: true },
+    })
+    : [];
+
+  const missing = ids.filter((id) => !byId.some((tag) => tag.id === id));
+
+  let byName = [];
+  if (names.length > 0) {
+    // skipDuplicates makes this safe against concurrent requests creating the same tag
+    await prisma.tag.createMany({
+      data: names.map((name) => ({ name, userId, color: DEFAULT_TAG_COLOR })),
+      skipDuplicates: true,
+    });
+
+    byName = await prisma.tag.findMany({
+      where: { userId, name: { in: names } },
+      select: { id: true },
+    });
+  }
+
+  return {
+    ids: [...new Set([...byId, ...byName].map((tag) => tag.id))],
+    missing,
+  };
+}
+
+/**
+ * Prisma condition matching a tag by ID or name
+ */
+function tagRefCondition(refs) {
+  return {
+    OR: [
+      { id: { in: refs } },
+      { name: { in: refs } },
+    ],
+  };
+}
+
+module.exports = {
+  TAG_SELECT,
+  TASK_TAGS_INCLUDE,
+  DEFAULT_TAG_COLOR,
+  resolveTagIds,
+  tagRefCondition,
+};
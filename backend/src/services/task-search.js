@@ -0,0 +1,107 @@
+const { Prisma } = require('@prisma/client');
+const { TASK_TAGS_INCLUDE } = require('./tags');
+
+/**
+ * Task Search Service
+ *
+ * Full-text search over task titles and descriptions using the generated
+ * `search_vector` column (see the task_search migration). Every search term
+ * is prefix matched, so "proj rev" finds "Project review".
+ */
+
+const SEARCH_CONFIG = 'english';
+
+// Markers wrapped around matched words in highlighted snippets
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_STOP = '</mark>';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=20, MinWords=5`;
+
+/**
+ * Turn free text into a prefix-matching tsquery, e.g. "proj rev" -> "proj:* & rev:*"
+ * Returns null when the text contains nothing searchable.
+ */
+function buildPrefixQuery(text) {
+  const terms = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!terms) {
+    return null;
+  }
+  return terms.map((term) => `${term}:*`).join(' & ');
+}
+
+/**
+ * Search the tasks of the given workspaces, best matches first
+ *
+ * Each result is a task with the same fields as a task list entry, plus its
+ * `rank` and a `highlight` object holding the title and description
+ * snippets with matches wrapped in <mark> tags.
+ * Snippets are not HTML-escaped.
+ */
+async function searchTasks(prisma, workspaceIds, text, { limit }) {
+  const tsquery = buildPrefixQuery(text);
+  if (!tsquery || workspaceIds.length === 0) {
+    return [];
+  }
+
+  const query = Prisma.sql`to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsquery})`;
+
+  // Rank and limit first so snippets are only built for the returned rows
+  const rows = await prisma.$queryRaw`
+    SELECT
+      t.id,
+      t.title,
+      t.description,
+      t.status::text AS status,
+      t.priority,
+      t.due_date AS "dueDate",
+      t.created_at AS "createdAt",
+      t.updated_at AS "updatedAt",
+      t.user_id AS "userId",
+      t.workspace_id AS "workspaceId",
+      t.assignee_id AS "assigneeId",
+      t.project_id AS "projectId",
+      t.parent_id AS "parentId",
+      t.position,
+      t.recurrence_rule AS "recurrenceRule",
+      t.recurrence_start AS "recurrenceStart",
+      t.time_zone AS "timeZone",
+      t.series_id AS "seriesId",
+      t.reminder_offsets AS "reminderOffsets",
+      t.deleted_at AS "deletedAt",
+      t.external_id AS "externalId",
+      t.version,
+      t.rank,
+      ts_headline(${SEARCH_CONFIG}::regconfig, t.title, ${query}, ${HEADLINE_OPTIONS}) AS "titleHighlight",
+      ts_headline(${SEARCH_CONFIG}::regconfig, coalesce(t.description, ''), ${query}, ${HEADLINE_OPTIONS}) AS "descriptionHighlight"
+    FROM (
+      SELECT tasks.*, ts_rank(tasks.search_vector, ${query}) AS rank
+      FROM tasks
+      WHERE tasks.workspace_id IN (${Prisma.join(workspaceIds)})
+        AND tasks.deleted_at IS NULL
+        AND tasks.search_vector @@ ${query}
+      ORDER BY rank DESC, tasks.updated_at DESC
+      LIMIT ${limit}
+    ) t
+    ORDER BY t.rank DESC, t.updated_at DESC
+  `;
+
+  // Raw queries can't include relations, so load tags separately
+  const taggedTasks = await prisma.task.findMany({
+    where: { id: { in: rows.map((row) => row.id) } },
+    select: { id: true, ...TASK_TAGS_INCLUDE },
+  });
+  const tagsByTask = new Map(taggedTasks.map((task) => [task.id, task.tags]));
+
+  return rows.map(({ titleHighlight, descriptionHighlight, ...task }) => ({
+    ...task,
+    tags: tagsByTask.get(task.id) || [],
+    highlight: {
+      title: titleHighlight,
+      description: task.description ? descriptionHighlight : null,
+    },
+  }));
+}
+
+module.exports = {
+  buildPrefixQuery,
+  searchTasks,
+};
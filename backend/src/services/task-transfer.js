@@ -0,0 +1,516 @@
+const crypto = require('crypto');
+const { fromWallClock, isValidTimeZone } = require('./recurrence');
+
+/**
+ * Task Transfer Service
+ *
+ * Converts tasks to and from CSV, JSON and iCalendar for export and import.
+ * Every format carries the same fields, which match the task create body,
+ * so an export can be imported again. Tasks are identified across tools by
+ * their external ID; tasks created here use their own ID.
+ */
+
+const TRANSFER_FORMATS = ['csv', 'json', 'ics'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8',
+};
+
+// Columns of a CSV file, in order; list items are separated by ";", and
+// a ";" or "\" inside an item is escaped with a backslash
+const CSV_COLUMNS = [
+  'externalId',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'tags',
+  'recurrenceRule',
+  'timeZone',
+  'reminderOffsets',
+];
+const CSV_LIST_COLUMNS = ['tags', 'reminderOffsets'];
+
+// iCalendar has its own status names
+const ICS_STATUSES = {
+  TODO: 'NEEDS-ACTION',
+  IN_PROGRESS: 'IN-PROCESS',
+  DONE: 'COMPLETED',
+};
+
+// Longest iCalendar content line, in octets, before it is folded
+const ICS_LINE_LENGTH = 75;
+
+/**
+ * The transferable fields of a task, leaving out empty ones
+ */
+function taskRecord(task) {
+  const record = {
+    externalId: task.externalId || task.id,
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    priority: task.priority,
+    dueDate: task.dueDate ? new Date(task.dueDate).toISOString() : null,
+    tags: task.tags.map((tag) => tag.name),
+    recurrenceRule: task.recurrenceRule,
+    timeZone: task.timeZone,
+    reminderOffsets: task.reminderOffsets,
+  };
+
+  for (const [field, value] of Object.entries(record)) {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+      delete record[field];
+    }
+  }
+  return record;
+}
+
+/**
+ * Stable external ID for an imported row that has none
+ * Derived from the row's content, so importing the same file twice skips it.
+ */
+function contentExternalId(row) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify([row.title, row.description || '', row.dueDate || '']))
+    .digest('hex');
+}
+
+// --- CSV (RFC 4180) ---
+
+// Cells spreadsheets would run as a formula start with one of these
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+// Whether a cell needs a leading quote to be shown as text; cells that
+// already start with quotes get one more, so the quote added can be dropped
+function csvLooksLikeFormula(text) {
+  return CSV_FORMULA_START.test(text.replace(/^'+/, ''));
+}
+
+function csvCell(value) {
+  if (value === undefined) {
+    return '';
+  }
+
+  let text = Array.isArray(value)
+    ? value.map((item) => String(item).replace(/[\\;]/g, '\\$&')).join(';')
+    : String(value);
+  // A leading quote makes spreadsheets show the text as is; it is dropped on import
+  if (csvLooksLikeFormula(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) || text.trim() !== text
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+// Items of a list cell, split at unescaped ";"
+function csvListItems(value) {
+  const items = [];
+  let item = '';
+
+  for (let i = 0; i < value.length; i += 1) {
+    if (value[i] === '\\' && (value[i + 1] === '\\' || value[i + 1] === ';')) {
+      item += value[i + 1];
+      i += 1;
+    } else if (value[i] === ';') {
+      items.push(item);
+      item = '';
+    } else {
+      item += value[i];
+    }
+  }
+  items.push(item);
+
+  return items.map((entry) => entry.trim()).filter(Boolean);
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * Split CSV text into records of fields
+ * Returns `{ records }`, or `{ error }` when a quoted field is never closed.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'CSV ends inside a quoted field' };
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines hold no row
+  return { records: records.filter((fields) => fields.length > 1 || fields[0] !== '') };
+}
+
+/**
+ * Read the rows of a CSV file with a header line
+ * Unknown columns are ignored and empty cells are left out.
+ */
+function parseCsvRows(text) {
+  const { records, error } = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (error) {
+    return { error };
+  }
+  if (records.length === 0) {
+    return { rows: [] };
+  }
+
+  const header = records[0].map((name) => name.trim());
+  if (!header.includes('title')) {
+    return { error: 'CSV header must include a title column' };
+  }
+
+  const rows = records.slice(1).map((fields) => {
+    const row = {};
+    header.forEach((column, index) => {
+      let value = fields[index];
+      if (!CSV_COLUMNS.includes(column) || value === undefined || value === '') {
+        return;
+      }
+      if (value.startsWith("'") && csvLooksLikeFormula(value)) {
+        value = value.slice(1);
+      }
+      row[column] = CSV_LIST_COLUMNS.includes(column) ? csvListItems(value) : value;
+    });
+    return row;
+  });
+
+  return { rows };
+}
+
+// --- iCalendar (RFC 5545) ---
+
+function icsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function icsUnescape(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Fold a content line into chunks of at most ICS_LINE_LENGTH octets
+function icsLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let length = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    if (length + size > ICS_LINE_LENGTH) {
+      chunks.push(chunk);
+      chunk = ' ';
+      length = 1;
+    }
+    chunk += char;
+    length += size;
+  }
+  chunks.push(chunk);
+
+  return `${chunks.join('\r\n')}\r\n`;
+}
+
+/**
+ * The VTODO component of a task that has a due date
+ */
+function taskTodo(task, now = new Date()) {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${icsText(task.externalId || task.id)}`,
+    `DTSTAMP:${icsDate(now)}`,
+    `CREATED:${icsDate(task.createdAt)}`,
+    `LAST-MODIFIED:${icsDate(task.updatedAt)}`,
+    `SUMMARY:${icsText(task.title)}`,
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${icsText(task.description)}`);
+  }
+  lines.push(`DUE:${icsDate(task.dueDate)}`, `STATUS:${ICS_STATUSES[task.status]}`);
+  if (task.tags.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map((tag) => icsText(tag.name)).join(',')}`);
+  }
+  if (task.recurrenceRule) {
+    lines.push(`RRULE:${task.recurrenceRule}`);
+  }
+  lines.push(`X-TASKS-PRIORITY:${task.priority}`);
+  if (task.timeZone) {
+    lines.push(`X-TASKS-TIME-ZONE:${task.timeZone}`);
+  }
+
+  for (const offset of task.reminderOffsets) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${icsText(task.title)}`,
+      `TRIGGER:-PT${offset}M`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VTODO');
+
+  return lines.map(icsLine).join('');
+}
+
+/**
+ * Split an unfolded content line into its name, parameters and value
+ * Parameter values may be quoted and contain ":" or ";".
+ */
+function parseIcsLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...params] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const parameters = {};
+  for (const param of params) {
+    const [key, ...value] = param.split('=');
+    parameters[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), parameters, value: line.slice(colon + 1) };
+}
+
+/**
+ * Read an iCalendar DUE value as an ISO instant
+ * Dates without a time are due at midnight; local times use their TZID,
+ * or UTC when they are floating or the zone is unknown.
+ */
+function parseIcsDue({ value, parameters }) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return value;
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+  const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  const timeZone = parameters.TZID;
+
+  return !utc && timeZone && isValidTimeZone(timeZone)
+    ? fromWallClock(wallClock, timeZone).toISOString()
+    : wallClock.toISOString();
+}
+
+// Minutes before the due date of a relative TRIGGER such as -PT15M or -P1D
+function parseIcsTrigger({ value, parameters }) {
+  const match = /^(-?)P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match || (parameters.RELATED && parameters.RELATED !== 'END')) {
+    return null;
+  }
+
+  const [, , weeks, days, hours, minutes] = match.map((part) => Number(part) || 0);
+  const offset = ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+
+  // Reminders after the due date aren't supported
+  return match[1] !== '-' && offset > 0 ? null : offset;
+}
+
+/**
+ * Read the VTODO components of an iCalendar file as task rows
+ */
+function parseIcsRows(text) {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some((line) => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return { error: 'iCalendar data must contain a VCALENDAR' };
+  }
+
+  const rows = [];
+  let row = null;
+  let inAlarm = false;
+  let icsPriority;
+
+  for (const line of lines) {
+    const property = parseIcsLine(line);
+    if (!property) {
+      continue;
+    }
+    const { name, value } = property;
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VTODO') {
+      row = {};
+      icsPriority = undefined;
+    } else if (!row) {
+      continue;
+    } else if (name === 'END' && value.toUpperCase() === 'VTODO') {
+      // Standard PRIORITY runs from 1 (highest) to 9; 0 means undefined
+      if (row.priority === undefined && icsPriority > 0 && icsPriority <= 9) {
+        row.priority = String(10 - icsPriority);
+      }
+      rows.push(row);
+      row = null;
+    } else if (name === 'BEGIN' && value.toUpperCase() === 'VALARM') {
+      inAlarm = true;
+    } else if (name === 'END' && value.toUpperCase() === 'VALARM') {
+      inAlarm = false;
+    } else if (inAlarm) {
+      const offset = name === 'TRIGGER' ? parseIcsTrigger(property) : null;
+      if (offset !== null) {
+        row.reminderOffsets = [...(row.reminderOffsets || []), offset];
+      }
+    } else if (name === 'UID') {
+      row.externalId = icsUnescape(value);
+    } else if (name === 'SUMMARY') {
+      row.title = icsUnescape(value);
+    } else if (name === 'DESCRIPTION') {
+      row.description = icsUnescape(value);
+    } else if (name === 'DUE') {
+      row.dueDate = parseIcsDue(property);
+    } else if (name === 'STATUS') {
+      const status = Object.keys(ICS_STATUSES).find((key) => ICS_STATUSES[key] === value.toUpperCase());
+      row.status = status || value;
+    } else if (name === 'CATEGORIES') {
+      const tags = value.split(/(?<!\\),/).map((tag) => icsUnescape(tag).trim()).filter(Boolean);
+      row.tags = [...(row.tags || []), ...tags];
+    } else if (name === 'RRULE') {
+      row.recurrenceRule = value;
+    } else if (name === 'X-TASKS-PRIORITY') {
+      row.priority = value;
+    } else if (name === 'PRIORITY') {
+      icsPriority = Number(value);
+    } else if (name === 'X-TASKS-TIME-ZONE') {
+      row.timeZone = value;
+    }
+  }
+
+  return { rows };
+}
+
+// --- Export ---
+
+/**
+ * Serialize batches of tasks as they are loaded
+ * `batches` is an async iterable of task arrays (with their tags); yields
+ * the export in text chunks. Only tasks with a due date become VTODOs.
+ */
+async function* exportChunks(format, batches) {
+  if (format === 'csv') {
+    yield csvLine(CSV_COLUMNS);
+    for await (const tasks of batches) {
+      yield tasks.map((task) => {
+        const record = taskRecord(task);
+        return csvLine(CSV_COLUMNS.map((column) => record[column]));
+      }).join('');
+    }
+  } else if (format === 'json') {
+    let first = true;
+    yield '[';
+    for await (const tasks of batches) {
+      for (const task of tasks) {
+        yield `${first ? '' : ','}\n${JSON.stringify(taskRecord(task))}`;
+        first = false;
+      }
+    }
+    yield '\n]\n';
+  } else {
+    const now = new Date();
+    yield ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Tasks//Task Export//EN', 'CALSCALE:GREGORIAN']
+      .map(icsLine)
+      .join('');
+    for await (const tasks of batches) {
+      yield tasks.filter((task) => task.dueDate).map((task) => taskTodo(task, now)).join('');
+    }
+    yield icsLine('END:VCALENDAR');
+  }
+}
+
+// --- Import ---
+
+/**
+ * Read the rows of an import body
+ * CSV and iCalendar bodies are text; JSON bodies are an array of rows or
+ * an object with a `tasks` array. Returns `{ rows }`, or `{ error }` when
+ * the body can't be read at all.
+ */
+function parseImport(format, body) {
+  if (format === 'json') {
+    const rows = Array.isArray(body) ? body : body && body.tasks;
+    return Array.isArray(rows)
+      ? { rows }
+      : { error: 'JSON imports must be an array of tasks or an object with a tasks array' };
+  }
+
+  if (typeof body !== 'string') {
+    return { error: `Expected ${format === 'csv' ? 'CSV' : 'iCalendar'} text` };
+  }
+
+  return format === 'csv' ? parseCsvRows(body) : parseIcsRows(body);
+}
+
+/**
+ * The transfer format of a content type, if it is one
+ */
+function formatOfContentType(contentType = '') {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return Object.keys(CONTENT_TYPES).find((format) => CONTENT_TYPES[format].startsWith(`${mimeType};`));
+}
+
+module.exports = {
+  TRANSFER_FORMATS,
+  CONTENT_TYPES,
+  contentExternalId,
+  exportChunks,
+  parseImport,
+  formatOfContentType,
+};
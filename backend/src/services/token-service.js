@@ -0,0 +1,135 @@
+const { createRefreshToken, consumeRefreshToken } = require('./refresh-tokens');
+
+/**
+ * Token Issuance Service
+ *
+ * Single code path for every flow that hands out credentials (register,
+ * login, refresh). Signs the access token, keeps the backing `Session` row
+ * in sync with the JWT expiry and issues the session's refresh token.
+ */
+
+// Public user fields included in every token payload
+const PUBLIC_USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  createdAt: true,
+};
+
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    createdAt: user.createdAt,
+  };
+}
+
+function createTokenService(fastify) {
+  const { prisma, jwt } = fastify;
+
+  // Sign an access token and read its expiry back from the `exp` claim
+  const signAccessToken = (userId) => {
+    const token = jwt.sign({ id: userId });
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000) };
+  };
+
+  const buildPayload = (user, token, refreshToken, expiresAt) => ({
+    user: toPublicUser(user),
+    token,
+    refreshToken,
+    expiresAt: expiresAt.toISOString(),
+  });
+
+  return {
+    /**
+     * Start a new session for a user and issue its tokens
+     */
+    async issueTokens(user, request) {
+      const { token, expiresAt } = signAccessToken(user.id);
+
+      const session = await prisma.session.create({
+        data: {
+          token,
+          userId: user.id,
+          expiresAt,
+          userAgent: request.headers['user-agent'],
+          ipAddress: request.ip,
+        },
+      });
+
+      const refreshToken = await createRefreshToken(prisma, {
+        userId: user.id,
+        sessionId: session.id,
+      });
+
+      return buildPayload(user, token, refreshToken, expiresAt);
+    },
+
+    /**
+     * Rotate a refresh token and move its session to a new access token
+     *
+     * Resolves to `{ status: 'valid', payload }`, or to the failing status
+     * ('invalid', 'expired' or 'reused') without a payload.
+     */
+    async refreshTokens(rawRefreshToken, request) {
+      const { status, record } = await consumeRefreshToken(prisma, rawRefreshToken);
+
+      if (status === 'reused') {
+        fastify.log.warn(`Refresh token reuse detected, revoked session ${record.sessionId}`);
+      }
+
+      if (status !== 'valid') {
+        return { status };
+      }
+
+      const { token, expiresAt } = signAccessToken(record.userId);
+
+      // The session can end (logout, revocation, disabling) after its token was consumed
+      const session = await prisma.session.update({
+        where: { id: record.sessionId },
+        data: {
+          token,
+          expiresAt,
+          ipAddress: request.ip,
+          lastSeenAt: new Date(),
+        },
+        include: {
+          user: { select: { ...PUBLIC_USER_SELECT, disabledAt: true } },
+        },
+      }).catch((error) => {
+        if (error.code === 'P2025') {
+          return null;
+        }
+        throw error;
+      });
+      if (!session) {
+        return { status: 'invalid' };
+      }
+
+      // Disabled accounts keep no sessions, but guard against a race with disabling
+      if (session.user.disabledAt) {
+        await prisma.session.delete({ where: { id: session.id } });
+        return { status: 'invalid' };
+      }
+
+      const refreshToken = await createRefreshToken(prisma, {
+        userId: record.userId,
+        sessionId: record.sessionId,
+      });
+
+      return {
+        status,
+        payload: buildPayload(session.user, token, refreshToken, expiresAt),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createTokenService,
+  toPublicUser,
+};
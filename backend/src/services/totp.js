@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) Helpers
+ *
+ * Time-based one-time passwords implemented with Node's crypto module only,
+ * so verification works fully offline. Uses the defaults understood by
+ * common authenticator apps: HMAC-SHA1, 6 digits, 30 second steps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'TaskManager';
+
+// Encode a buffer as RFC 4648 base32 without padding
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+// Decode an RFC 4648 base32 string (padding and case are ignored)
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret, base32 encoded (160 bits as recommended by RFC 4226)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP value (RFC 4226) for a counter
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Time step number for a timestamp
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Generate the TOTP code for a point in time
+ */
+function generateTotp(secret, timestamp = Date.now()) {
+  return generateHotp(secret, getTimeStep(timestamp));
+}
+
+/**
+ * Verify a TOTP code
+ *
+ * Accepts codes from `window` steps either side of the current one to allow
+ * for clock drift. Returns the matching time step (so callers can reject
+ * replays of an already-used step), or null if the code doesn't match.
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Allowed drift in steps
+ * @param {number} [options.timestamp] - Time to verify against
+ */
+function verifyTotp(secret, code, options = {}) {
+  const window = options.window ?? 1;
+  const currentStep = getTimeStep(options.timestamp);
+  const normalized = String(code).replace(/\s+/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const candidate = Buffer.from(normalized);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateHotp(secret, step)), candidate)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// provisioning URI (suitable for rendering as a QR code)
+ */
+function buildOtpauthUrl({ secret, accountName, issuer = TOTP_ISSUER }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+};
@@ -0,0 +1,81 @@
+const { findStorageKeys, removeStoredFiles } = require('./attachments');
+
+/**
+ * Trash Service
+ *
+ * Deleting a task moves it to the trash by setting `deletedAt` on it and on
+ * its subtasks, which share the timestamp so they can be restored together.
+ * Trashed tasks are hidden everywhere except the trash, and are purged for
+ * good once they have been there for TRASH_RETENTION_DAYS.
+ */
+
+// Days a task stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Tasks that are in the trash themselves, not only through a trashed parent
+const TRASH_ROOT_CONDITION = {
+  deletedAt: { not: null },
+  OR: [
+    { parentId: null },
+    { parent: { deletedAt: null } },
+  ],
+};
+
+/**
+ * When a task deleted at `deletedAt` will be purged
+ */
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 3600 * 1000);
+}
+
+/**
+ * Permanently delete the tasks matching a Prisma `where`
+ *
+ * The match must include the tasks' subtasks, whose attachments would
+ * otherwise only go through database cascades. Comments and attachment rows
+ * cascade; stored files and queued reminders are removed afterwards.
+ * Resolves to the IDs of the deleted tasks.
+ */
+async function purgeTasks(fastify, where) {
+  const tasks = await fastify.prisma.task.findMany({
+    where,
+    select: { id: true, dueDate: true, status: true, reminderOffsets: true },
+  });
+  const taskIds = tasks.map((task) => task.id);
+  if (taskIds.length === 0) {
+    return [];
+  }
+
+  const storageKeys = await findStorageKeys(fastify.prisma, {
+    taskId: { in: taskIds },
+  });
+
+  await fastify.prisma.task.deleteMany({
+    where: { id: { in: taskIds } },
+  });
+
+  await removeStoredFiles(fastify, storageKeys);
+  await Promise.all(tasks.map((task) => fastify.reminders.cancel(task)));
+
+  return taskIds;
+}
+
+/**
+ * Purge every task that has been in the trash longer than the retention period
+ * Subtasks are never trashed after their parent, so they expire with it.
+ */
+function purgeExpired(fastify, now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 3600 * 1000);
+
+  return purgeTasks(fastify, {
+    deletedAt: { lt: cutoff },
+  });
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_ROOT_CONDITION,
+  purgeDate,
+  purgeTasks,
+  purgeExpired,
+};
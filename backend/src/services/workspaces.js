@@ -0,0 +1,162 @@
+const { generateToken, hashToken } = require('./secure-token');
+
+/**
+ * Workspace Service
+ *
+ * Membership lookups shared by the controllers and the WebSocket fan-out,
+ * and the single-use email invitations used to join a workspace.
+ */
+
+// Invitation lifetime in seconds (7 days)
+const INVITATION_TTL = parseInt(process.env.WORKSPACE_INVITATION_TTL, 10) || 7 * 24 * 3600;
+
+// Frontend base URL used for links in emails
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Memberships loaded onto authenticated users and connections for the policies
+const MEMBERSHIPS_SELECT = {
+  select: {
+    workspaceId: true,
+    role: true,
+    workspace: { select: { personal: true } },
+  },
+};
+
+/**
+ * ID of the user's personal workspace, where tasks go by default
+ */
+function personalWorkspaceId(user) {
+  const membership = user.memberships.find((member) => member.workspace.personal);
+  return membership ? membership.workspaceId : null;
+}
+
+/**
+ * IDs of every workspace the user belongs to
+ */
+function memberWorkspaceIds(user) {
+  return user.memberships.map((member) => member.workspaceId);
+}
+
+/**
+ * User IDs of a workspace's members
+ */
+async function getMemberIds(prisma, workspaceId) {
+  const members = await prisma.workspaceMember.findMany({
+    where: { workspaceId },
+    select: { userId: true },
+  });
+
+  return members.map((member) => member.userId);
+}
+
+/**
+ * Send a message to the connections of every member of a workspace
+ * Members are looked up for each message so membership changes apply at once.
+ */
+async function notifyWorkspace(fastify, workspaceId, message) {
+  const memberIds = new Set(await getMemberIds(fastify.prisma, workspaceId));
+
+  fastify.ws.broadcastFiltered(
+    message,
+    (connection) => Boolean(connection.user) && memberIds.has(connection.user.id)
+  );
+}
+
+/**
+ * Drop the cached task lists of every member of a workspace
+ */
+async function invalidateWorkspaceTaskLists(fastify, workspaceId) {
+  const memberIds = await getMemberIds(fastify.prisma, workspaceId);
+  await Promise.all(memberIds.map((userId) => fastify.cacheDeletePattern(`user:${userId}:tasks:*`)));
+}
+
+/**
+ * Reload the memberships held by a user's open connections
+ * Connections keep the memberships they were opened with otherwise.
+ */
+async function refreshConnectionMemberships(fastify, userId) {
+  const memberships = await fastify.prisma.workspaceMember.findMany({
+    where: { userId },
+    ...MEMBERSHIPS_SELECT,
+  });
+
+  for (const connection of fastify.ws.getAllConnections()) {
+    if (connection.user && connection.user.id === userId) {
+      connection.user.memberships = memberships;
+    }
+  }
+}
+
+/**
+ * Create an invitation and email the link to accept it
+ */
+async function sendInvitationEmail(fastify, { workspace, email, role, invitedBy }) {
+  const token = generateToken();
+
+  const invitation = await fastify.prisma.workspaceInvitation.create({
+    data: {
+      tokenHash: hashToken(token),
+      workspaceId: workspace.id,
+      email,
+      role,
+      invitedById: invitedBy.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL * 1000),
+    },
+  });
+
+  const link = `${APP_URL}/invitations/accept?token=${encodeURIComponent(token)}`;
+
+  await fastify.mailer.send({
+    to: email,
+    subject: `Join ${workspace.name}`,
+    text: [
+      `${invitedBy.name || invitedBy.email} invited you to the workspace "${workspace.name}".`,
+      `Sign in with this email address and open the link below within ${Math.round(INVITATION_TTL / 86400)} days to join:`,
+      '',
+      link,
+    ].join('\n'),
+  });
+
+  return invitation;
+}
+
+/**
+ * Find an unused, unexpired invitation by its raw token
+ */
+function findInvitation(prisma, token) {
+  return prisma.workspaceInvitation.findFirst({
+    where: {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    include: {
+      workspace: { select: { id: true, name: true } },
+    },
+  });
+}
+
+/**
+ * Atomically mark an invitation as used, resolving to false if it already was
+ */
+async function consumeInvitation(prisma, invitation) {
+  const { count } = await prisma.workspaceInvitation.updateMany({
+    where: { id: invitation.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1;
+}
+
+module.exports = {
+  MEMBERSHIPS_SELECT,
+  personalWorkspaceId,
+  memberWorkspaceIds,
+  getMemberIds,
+  notifyWorkspace,
+  invalidateWorkspaceTaskLists,
+  refreshConnectionMemberships,
+  sendInvitationEmail,
+  findInvitation,
+  consumeInvitation,
+};
@@ -1,6 +1,7 @@
 import { lazy, createSignal, createEffect, onCleanup, Show } from 'solid-js';
 import { Routes, Route, useNavigate, Navigate } from 'solid-app-router';
 import { getWebSocketClient } from './websocket';
+import { getAuthToken, storeTokens, clearTokens, getRefreshDelay, refreshAccessToken } from './auth';
 
 // Lazy-loaded route components for code splitting
 const Home = lazy(() => import('./routes/Home'));
@@ -8,11 +9,13 @@ const Login = lazy(() => import('./routes/Login'));
 const Register = lazy(() => import('./routes/Register'));
 const Dashboard = lazy(() => import('./routes/Dashboard'));
 const TaskForm = lazy(() => import('./routes/TaskForm'));
+const TaskDetail = lazy(() => import('./routes/TaskDetail'));
 const Profile = lazy(() => import('./routes/Profile'));
 const NotFound = lazy(() => import('./routes/NotFound'));
 
 // Header component
 import Header from './components/Header';
+import ReminderToasts from './components/ReminderToasts';
 
 /**
  * Main App component
@@ -31,10 +34,38 @@ function App() {
   // Navigation helper
   const navigate = useNavigate();
   
+  // Pending proactive token refresh
+  let refreshTimeoutId = null;
+  
+  // Schedule a token refresh shortly before the access token expires
+  const scheduleTokenRefresh = (token) => {
+    clearTimeout(refreshTimeoutId);
+    
+    const delay = getRefreshDelay(token);
+    if (delay === null) return;
+    
+    refreshTimeoutId = setTimeout(refreshSession, delay);
+  };
+  
+  // Exchange the refresh token for a new access token, or log out
+  const refreshSession = async () => {
+    const token = await refreshAccessToken();
+    
+    if (!token) {
+      logout();
+      return false;
+    }
+    
+    // Keep the WebSocket client on the current token for reconnects
+    ws.connect(token);
+    scheduleTokenRefresh(token);
+    return true;
+  };
+  
   // Check authentication on startup
   createEffect(() => {
     // Try to get stored token and user data
-    const token = localStorage.getItem('authToken');
+    const token = getAuthToken();
     const storedUser = localStorage.getItem('user');
     
     if (token && storedUser) {
@@ -45,6 +76,7 @@ function App() {
         
         // Connect WebSocket with token
         ws.connect(token);
+        scheduleTokenRefresh(token);
       } catch (error) {
         console.error('Failed to parse stored user data', error);
         logout();
@@ -55,21 +87,23 @@ function App() {
   });
   
   // Handle login
-  const login = (userData, token) => {
+  const login = (userData, token, refreshToken) => {
     setUser(userData);
-    localStorage.setItem('authToken', token);
+    storeTokens(token, refreshToken);
     localStorage.setItem('user', JSON.stringify(userData));
     
     // Connect WebSocket with new token
     ws.connect(token);
+    scheduleTokenRefresh(token);
     
     navigate('/dashboard');
   };
   
   // Handle logout
   const logout = () => {
+    clearTimeout(refreshTimeoutId);
     setUser(null);
-    localStorage.removeItem('authToken');
+    clearTokens();
     localStorage.removeItem('user');
     
     // Disconnect WebSocket
@@ -81,11 +115,14 @@ function App() {
   // Handle authentication errors from WebSocket
   createEffect(() => {
     const unsubscribe = ws.on('authError', () => {
-      // Token is invalid or expired, log out
-      logout();
+      // Token is invalid or expired, try to refresh before logging out
+      refreshSession();
     });
     
-    onCleanup(() => unsubscribe());
+    onCleanup(() => {
+      unsubscribe();
+      clearTimeout(refreshTimeoutId);
+    });
   });
   
   // Protected route component
@@ -106,6 +143,7 @@ function App() {
   return (
     <div class="app">
       <Header user={user()} onLogout={logout} websocket={ws} />
+      <ReminderToasts websocket={ws} />
       
       <main>
         <Show when={isAuthChecked()}>
@@ -126,6 +164,11 @@ function App() {
                 <TaskForm />
               </ProtectedRoute>
             } />
+            <Route path="/tasks/:id" element={
+              <ProtectedRoute>
+                <TaskDetail user={user()} websocket={ws} />
+              </ProtectedRoute>
+            } />
             <Route path="/tasks/:id/edit" element={
               <ProtectedRoute>
                 <TaskForm />
@@ -0,0 +1,92 @@
+/**
+ * Auth Token Helpers
+ *
+ * Stores the access/refresh token pair and exchanges refresh tokens
+ * for new access tokens before they expire.
+ */
+
+// API base URL for backend requests
+const API_URL = 'http://localhost:8080/api';
+
+// Refresh this long before the access token actually expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+export const getAuthToken = () => localStorage.getItem('authToken');
+
+export const getRefreshToken = () => localStorage.getItem('refreshToken');
+
+export const storeTokens = (token, refreshToken) => {
+  localStorage.setItem('authToken', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
+// Read the expiry (ms since epoch) from a JWT without verifying it
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Milliseconds to wait before the token should be refreshed
+export const getRefreshDelay = (token) => {
+  const expiry = getTokenExpiry(token);
+  if (!expiry) return null;
+  return Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0);
+};
+
+// Share one in-flight request so concurrent callers don't spend the
+// single-use refresh token twice (which would revoke the session)
+let pendingRefresh = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ *
+ * @returns {Promise<string|null>} New access token, or null if refresh failed
+ */
+export const refreshAccessToken = () => {
+  if (pendingRefresh) {
+    return pendingRefresh;
+  }
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return Promise.resolve(null);
+  }
+
+  pendingRefresh = (async () => {
+    try {
+      const response = await fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      if (!response.ok) {
+        return null;
+      }
+
+      const data = await response.json();
+      storeTokens(data.token, data.refreshToken);
+      return data.token;
+    } catch (error) {
+      console.error('Failed to refresh access token', error);
+      return null;
+    } finally {
+      pendingRefresh = null;
+    }
+  })();
+
+  return pendingRefresh;
+};
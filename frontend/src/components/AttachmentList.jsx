@@ -0,0 +1,158 @@
+import { createSignal, createEffect, For, Show } from 'solid-js';
+import { getAuthToken } from '../auth';
+
+/**
+ * Attachment List Component
+ *
+ * Lists a task's files with upload, download and delete.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.taskId - Task the files belong to
+ */
+export default function AttachmentList(props) {
+  const [attachments, setAttachments] = createSignal([]);
+  const [error, setError] = createSignal(null);
+  const [uploading, setUploading] = createSignal(false);
+
+  // API base URL for backend requests
+  const API_URL = 'http://localhost:8080/api';
+
+  const attachmentsUrl = () => `${API_URL}/tasks/${props.taskId}/attachments`;
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${getAuthToken()}`,
+  });
+
+  // Load the task's attachments
+  const fetchAttachments = async () => {
+    try {
+      const response = await fetch(attachmentsUrl(), { headers: authHeaders() });
+
+      if (!response.ok) {
+        throw new Error(`Error fetching attachments: ${response.statusText}`);
+      }
+
+      setAttachments((await response.json()).attachments);
+    } catch (err) {
+      console.error('Failed to fetch attachments:', err);
+      setError('Failed to load attachments.');
+    }
+  };
+
+  // Upload the chosen file
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await fetch(attachmentsUrl(), {
+        method: 'POST',
+        headers: authHeaders(),
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || response.statusText);
+      }
+
+      const data = await response.json();
+      setAttachments(prev => [...prev, data.attachment]);
+    } catch (err) {
+      console.error('Failed to upload attachment:', err);
+      setError(`Failed to upload file: ${err.message}`);
+    } finally {
+      setUploading(false);
+      event.target.value = '';
+    }
+  };
+
+  // Downloads need the auth header, so fetch the file and save it from a blob URL
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await fetch(`${attachmentsUrl()}/${attachment.id}`, { headers: authHeaders() });
+
+      if (!response.ok) {
+        throw new Error(`Error downloading attachment: ${response.statusText}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download attachment:', err);
+      setError('Failed to download file. Please try again.');
+    }
+  };
+
+  // Delete an attachment
+  const handleDelete = async (attachmentId) => {
+    if (!confirm('Delete this file?')) return;
+
+    try {
+      const response = await fetch(`${attachmentsUrl()}/${attachmentId}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Error deleting attachment: ${response.statusText}`);
+      }
+
+      setAttachments(prev => prev.filter(attachment => attachment.id !== attachmentId));
+    } catch (err) {
+      console.error('Failed to delete attachment:', err);
+      setError('Failed to delete file. Please try again.');
+    }
+  };
+
+  const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  createEffect(() => {
+    fetchAttachments();
+  });
+
+  return (
+    <div class="card">
+      <h3>Attachments</h3>
+
+      <Show when={error()}>
+        <div class="error-message">{error()}</div>
+      </Show>
+
+      <For each={attachments()} fallback={<p class="text-sm">No files attached.</p>}>
+        {(attachment) => (
+          <div class="attachment flex justify-between items-center">
+            <a href="#" onClick={(event) => { event.preventDefault(); handleDownload(attachment); }}>
+              {attachment.filename}
+            </a>
+            <div class="flex gap-2 items-center">
+              <span class="text-sm">{formatSize(attachment.size)}</span>
+              <button class="btn btn-danger" onClick={() => handleDelete(attachment.id)}>Delete</button>
+            </div>
+          </div>
+        )}
+      </For>
+
+      <div class="form-group mt-4">
+        <input type="file" class="form-input" onChange={handleUpload} disabled={uploading()} />
+        <Show when={uploading()}>
+          <span class="text-sm">Uploading...</span>
+        </Show>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import { createSignal, createEffect, onCleanup, For, Show } from 'solid-js';
+import { getAuthToken } from '../auth';
+
+/**
+ * Comment Thread Component
+ *
+ * Live discussion for a task. Loads the thread once and then applies
+ * COMMENT_CREATED/UPDATED/DELETED messages from the WebSocket.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.taskId - Task the thread belongs to
+ * @param {Object} props.user - Current user data
+ * @param {Object} props.websocket - WebSocket client instance
+ */
+export default function CommentThread(props) {
+  const [comments, setComments] = createSignal([]);
+  const [draft, setDraft] = createSignal('');
+  const [editingId, setEditingId] = createSignal(null);
+  const [editDraft, setEditDraft] = createSignal('');
+  const [error, setError] = createSignal(null);
+  const [posting, setPosting] = createSignal(false);
+
+  // API base URL for backend requests
+  const API_URL = 'http://localhost:8080/api';
+
+  const commentsUrl = () => `${API_URL}/tasks/${props.taskId}/comments`;
+
+  // Send a JSON request to the comments API
+  const request = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Comment request failed: ${response.statusText}`);
+    }
+
+    return response.json();
+  };
+
+  // Insert or replace a comment, keeping the thread in posting order
+  const upsertComment = (comment) => {
+    setComments(prev => {
+      if (prev.some(existing => existing.id === comment.id)) {
+        return prev.map(existing => existing.id === comment.id ? comment : existing);
+      }
+      return [...prev, comment].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    });
+  };
+
+  // Load the thread
+  const fetchComments = async () => {
+    try {
+      const data = await request(commentsUrl(), 'GET');
+      setComments(data.comments);
+    } catch (err) {
+      console.error('Failed to fetch comments:', err);
+      setError('Failed to load comments.');
+    }
+  };
+
+  // Post a new comment
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const body = draft().trim();
+    if (!body) return;
+
+    setPosting(true);
+    setError(null);
+
+    try {
+      const data = await request(commentsUrl(), 'POST', { body });
+      upsertComment(data.comment);
+      setDraft('');
+    } catch (err) {
+      console.error('Failed to post comment:', err);
+      setError('Failed to post comment. Please try again.');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  // Save an edited comment
+  const handleSaveEdit = async (commentId) => {
+    const body = editDraft().trim();
+    if (!body) return;
+
+    try {
+      const data = await request(`${commentsUrl()}/${commentId}`, 'PUT', { body });
+      upsertComment(data.comment);
+      setEditingId(null);
+    } catch (err) {
+      console.error('Failed to edit comment:', err);
+      setError('Failed to edit comment. Please try again.');
+    }
+  };
+
+  // Delete a comment (the WebSocket message updates the thread)
+  const handleDelete = async (commentId) => {
+    if (!confirm('Delete this comment?')) return;
+
+    try {
+      await request(`${commentsUrl()}/${commentId}`, 'DELETE');
+    } catch (err) {
+      console.error('Failed to delete comment:', err);
+      setError('Failed to delete comment. Please try again.');
+    }
+  };
+
+  // Apply comment events for this task
+  const handleCommentEvent = (data) => {
+    if (data.comment.taskId === props.taskId) {
+      upsertComment(data.comment);
+    }
+  };
+
+  createEffect(() => {
+    fetchComments();
+  });
+
+  createEffect(() => {
+    if (!props.websocket) return;
+
+    const unsubscribers = ['comment_created', 'comment_updated', 'comment_deleted']
+      .map(eventName => props.websocket.on(eventName, handleCommentEvent));
+
+    onCleanup(() => unsubscribers.forEach(unsubscribe => unsubscribe()));
+  });
+
+  const formatTime = (value) => new Intl.DateTimeFormat('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  }).format(new Date(value));
+
+  return (
+    <div class="card comment-thread">
+      <h3>Comments</h3>
+
+      <Show when={error()}>
+        <div class="error-message">{error()}</div>
+      </Show>
+
+      <For each={comments()} fallback={<p class="text-sm">No comments yet.</p>}>
+        {(comment) => (
+          <div class="comment">
+            <div class="flex justify-between items-center">
+              <span class="font-bold">{comment.author.name || 'Unknown user'}</span>
+              <span class="text-sm">
+                {formatTime(comment.createdAt)}
+                <Show when={comment.editedAt && !comment.deletedAt}> (edited)</Show>
+              </span>
+            </div>
+
+            <Show when={!comment.deletedAt} fallback={<p class="comment-deleted">Comment deleted</p>}>
+              <Show when={editingId() === comment.id} fallback={<p class="comment-body">{comment.body}</p>}>
+                <textarea
+                  class="form-input"
+                  value={editDraft()}
+                  onInput={(event) => setEditDraft(event.target.value)}
+                />
+                <div class="flex gap-2">
+                  <button class="btn btn-primary" onClick={() => handleSaveEdit(comment.id)}>Save</button>
+                  <button class="btn btn-secondary" onClick={() => setEditingId(null)}>Cancel</button>
+                </div>
+              </Show>
+
+              <Show when={props.user && comment.author.id === props.user.id && editingId() !== comment.id}>
+                <div class="flex gap-2">
+                  <button
+                    class="btn btn-secondary"
+                    onClick={() => {
+                      setEditDraft(comment.body);
+                      setEditingId(comment.id);
+                    }}
+                  >
+                    Edit
+                  </button>
+                  <button class="btn btn-danger" onClick={() => handleDelete(comment.id)}>Delete</button>
+                </div>
+              </Show>
+            </Show>
+          </div>
+        )}
+      </For>
+
+      <form class="mt-4" onSubmit={handleSubmit}>
+        <div class="form-group">
+          <textarea
+            class="form-input"
+            placeholder="Write a comment..."
+            value={draft()}
+            onInput={(event) => setDraft(event.target.value)}
+          />
+        </div>
+        <button type="submit" class="btn btn-primary" disabled={posting() || !draft().trim()}>
+          {posting() ? 'Posting...' : 'Comment'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import { createMemo, For } from 'solid-js';
+
+/**
+ * Highlight Component
+ *
+ * Renders a search snippet whose matches are wrapped in <mark> tags.
+ * The snippet is split into text nodes rather than injected as HTML,
+ * so task content is never interpreted as markup.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Snippet containing <mark>...</mark> markers
+ */
+export default function Highlight(props) {
+  // Odd segments sit between a <mark> and </mark> pair
+  const segments = createMemo(() => (props.text || '').split(/<\/?mark>/));
+
+  return (
+    <For each={segments()}>
+      {(segment, index) => (index() % 2 === 1 ? <mark>{segment}</mark> : segment)}
+    </For>
+  );
+}
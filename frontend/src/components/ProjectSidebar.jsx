@@ -0,0 +1,171 @@
+import { createSignal, createEffect, onCleanup, For, Show } from 'solid-js';
+import { getAuthToken } from '../auth';
+
+/**
+ * Project Sidebar Component
+ *
+ * Lists the user's projects for filtering the dashboard, with create,
+ * archive and delete. Kept in sync through PROJECT_* WebSocket messages.
+ *
+ * @param {Object} props - Component props
+ * @param {string|null} props.selected - Selected project ID, 'none' for tasks outside projects, null for all
+ * @param {Function} props.onSelect - Called with the new selection
+ * @param {Object} props.websocket - WebSocket client instance
+ */
+export default function ProjectSidebar(props) {
+  const [projects, setProjects] = createSignal([]);
+  const [newName, setNewName] = createSignal('');
+  const [error, setError] = createSignal(null);
+
+  // API base URL for backend requests
+  const API_URL = 'http://localhost:8080/api';
+
+  // Send a request to the projects API
+  const request = async (path, method, body) => {
+    const response = await fetch(`${API_URL}/projects${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Project request failed: ${response.statusText}`);
+    }
+
+    return response.json();
+  };
+
+  // Load the project list
+  const fetchProjects = async () => {
+    try {
+      const data = await request('', 'GET');
+      setProjects(data.projects);
+    } catch (err) {
+      console.error('Failed to fetch projects:', err);
+      setError('Failed to load projects.');
+    }
+  };
+
+  // Create a project from the input field
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    const name = newName().trim();
+    if (!name) return;
+
+    try {
+      await request('', 'POST', { name });
+      setNewName('');
+    } catch (err) {
+      console.error('Failed to create project:', err);
+      setError('Failed to create project. Please try again.');
+    }
+  };
+
+  // Archive a project (it disappears from the sidebar)
+  const handleArchive = async (project) => {
+    try {
+      await request(`/${project.id}`, 'PUT', { archived: true });
+    } catch (err) {
+      console.error('Failed to archive project:', err);
+      setError('Failed to archive project. Please try again.');
+    }
+  };
+
+  // Delete a project, asking whether to keep its tasks
+  const handleDelete = async (project) => {
+    if (!confirm(`Delete the project "${project.name}"?`)) return;
+    const keepTasks = confirm('Keep its tasks? OK moves them out of the project, Cancel moves them to the trash.');
+
+    try {
+      await request(`/${project.id}?tasks=${keepTasks ? 'move' : 'delete'}`, 'DELETE');
+    } catch (err) {
+      console.error('Failed to delete project:', err);
+      setError('Failed to delete project. Please try again.');
+    }
+  };
+
+  // Project events from this or other clients
+  const handleProjectCreated = (data) => {
+    setProjects(prev => prev.some(project => project.id === data.project.id)
+      ? prev
+      : [...prev, data.project]);
+  };
+
+  const handleProjectUpdated = (data) => {
+    if (data.project.archived) {
+      handleProjectDeleted({ projectId: data.project.id });
+      return;
+    }
+    setProjects(prev => prev.map(project => project.id === data.project.id ? { ...project, ...data.project } : project));
+  };
+
+  const handleProjectDeleted = (data) => {
+    setProjects(prev => prev.filter(project => project.id !== data.projectId));
+    if (props.selected === data.projectId) {
+      props.onSelect(null);
+    }
+  };
+
+  const handleProjectsReordered = (data) => {
+    setProjects(prev => [...prev].sort((a, b) => data.projectIds.indexOf(a.id) - data.projectIds.indexOf(b.id)));
+  };
+
+  createEffect(() => {
+    fetchProjects();
+  });
+
+  createEffect(() => {
+    if (!props.websocket) return;
+
+    const unsubscribers = [
+      props.websocket.on('project_created', handleProjectCreated),
+      props.websocket.on('project_updated', handleProjectUpdated),
+      props.websocket.on('project_deleted', handleProjectDeleted),
+      props.websocket.on('projects_reordered', handleProjectsReordered),
+    ];
+
+    onCleanup(() => unsubscribers.forEach(unsubscribe => unsubscribe()));
+  });
+
+  const itemClass = (value) => `project-item${props.selected === value ? ' active' : ''}`;
+
+  return (
+    <aside class="project-sidebar card">
+      <h3>Projects</h3>
+
+      <Show when={error()}>
+        <div class="error-message">{error()}</div>
+      </Show>
+
+      <div class={itemClass(null)} onClick={() => props.onSelect(null)}>All tasks</div>
+      <div class={itemClass('none')} onClick={() => props.onSelect('none')}>No project</div>
+
+      <For each={projects()}>
+        {(project) => (
+          <div class={`${itemClass(project.id)} flex justify-between items-center`} onClick={() => props.onSelect(project.id)}>
+            <span class="flex items-center gap-2">
+              <span class="project-color" style={{ 'background-color': project.color }}></span>
+              {project.name}
+            </span>
+            <span class="project-actions flex gap-2" onClick={(event) => event.stopPropagation()}>
+              <button class="btn btn-secondary" title="Archive" onClick={() => handleArchive(project)}>Archive</button>
+              <button class="btn btn-danger" title="Delete" onClick={() => handleDelete(project)}>Delete</button>
+            </span>
+          </div>
+        )}
+      </For>
+
+      <form class="mt-4" onSubmit={handleCreate}>
+        <input
+          class="form-input"
+          placeholder="New project..."
+          value={newName()}
+          onInput={(event) => setNewName(event.target.value)}
+        />
+      </form>
+    </aside>
+  );
+}
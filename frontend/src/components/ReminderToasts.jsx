@@ -0,0 +1,57 @@
+import { createSignal, createEffect, onCleanup, For } from 'solid-js';
+import { useNavigate } from 'solid-app-router';
+
+/**
+ * Reminder Toasts Component
+ *
+ * Shows TASK_REMINDER messages from the WebSocket until they are dismissed.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.websocket - WebSocket client instance
+ */
+export default function ReminderToasts(props) {
+  const navigate = useNavigate();
+  const [reminders, setReminders] = createSignal([]);
+
+  const dismiss = (reminder) => {
+    setReminders(prev => prev.filter(existing => existing !== reminder));
+  };
+
+  const describeDue = (minutesBefore) => {
+    if (minutesBefore === 0) return 'is due now';
+    if (minutesBefore % 1440 === 0) return `is due in ${minutesBefore / 1440} day(s)`;
+    if (minutesBefore % 60 === 0) return `is due in ${minutesBefore / 60} hour(s)`;
+    return `is due in ${minutesBefore} minute(s)`;
+  };
+
+  createEffect(() => {
+    if (!props.websocket) return;
+
+    const unsubscribe = props.websocket.on('task_reminder', (data) => {
+      setReminders(prev => [...prev, data]);
+    });
+
+    onCleanup(unsubscribe);
+  });
+
+  return (
+    <div class="reminder-toasts">
+      <For each={reminders()}>
+        {(reminder) => (
+          <div class="reminder-toast card flex justify-between items-center gap-2">
+            <span
+              class="task-title"
+              onClick={() => {
+                dismiss(reminder);
+                navigate(`/tasks/${reminder.task.id}`);
+              }}
+            >
+              <span class="font-bold">{reminder.task.title}</span> {describeDue(reminder.minutesBefore)}
+            </span>
+            <button class="btn btn-secondary" onClick={() => dismiss(reminder)}>Dismiss</button>
+          </div>
+        )}
+      </For>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
-import { createSignal, createMemo, Show } from 'solid-js';
+import { createSignal, createMemo, Show, For } from 'solid-js';
 import { useNavigate } from 'solid-app-router';
+import Highlight from './Highlight';
 
 /**
  * Task Component
@@ -8,9 +9,13 @@ import { useNavigate } from 'solid-app-router';
  * Optimized for performance with memoization and signal-based state.
  * 
  * @param {Object} props - Component props
- * @param {Object} props.task - Task data object
+ * @param {Object} props.task - Task data object (search results carry a `highlight` object,
+ *   parents a subtask `progress` object, recurring tasks a `recurrenceRule`)
  * @param {Function} props.onDelete - Delete task callback
  * @param {Function} props.onStatusChange - Status change callback
+ * @param {boolean} [props.selected] - Whether the task is selected for bulk actions
+ * @param {Function} [props.onSelect] - Called with the task ID and the new selection state;
+ *   the selection checkbox is only shown when given
  */
 export default function Task(props) {
   const navigate = useNavigate();
@@ -39,7 +44,7 @@ export default function Task(props) {
   
   // Handle delete button click
   const handleDelete = () => {
-    if (confirm('Are you sure you want to delete this task?')) {
+    if (confirm('Move this task to the trash?')) {
       props.onDelete(props.task.id);
     }
   };
@@ -66,15 +71,52 @@ export default function Task(props) {
   return (
     <div class="card task-card">
       <div class="task-header">
-        <h3 class="task-title">{props.task.title}</h3>
+        <Show when={props.onSelect}>
+          <input
+            type="checkbox"
+            class="task-select"
+            checked={props.selected}
+            onChange={(event) => props.onSelect(props.task.id, event.target.checked)}
+          />
+        </Show>
+        <h3 class="task-title" onClick={() => navigate(`/tasks/${props.task.id}`)}>
+          <Show when={props.task.highlight} fallback={props.task.title}>
+            <Highlight text={props.task.highlight.title} />
+          </Show>
+        </h3>
         <div class="task-priority">
           Priority: {props.task.priority}
         </div>
       </div>
       
       <div class="task-body">
+        <Show when={props.task.tags && props.task.tags.length > 0}>
+          <div class="task-tags flex gap-2">
+            <For each={props.task.tags}>
+              {(tag) => (
+                <span class="tag-chip" style={{ 'background-color': tag.color }}>
+                  {tag.name}
+                </span>
+              )}
+            </For>
+          </div>
+        </Show>
+        
+        <Show when={props.task.progress}>
+          <div class="task-progress" title={`${props.task.progress.done} of ${props.task.progress.total} subtasks done`}>
+            <div class="task-progress-bar" style={{ width: `${props.task.progress.percent}%` }}></div>
+          </div>
+          <div class="text-sm">
+            {props.task.progress.done}/{props.task.progress.total} subtasks done
+          </div>
+        </Show>
+        
         <Show when={props.task.description}>
-          <p class="task-description">{props.task.description}</p>
+          <p class="task-description">
+            <Show when={props.task.highlight} fallback={props.task.description}>
+              <Highlight text={props.task.highlight.description} />
+            </Show>
+          </p>
         </Show>
         
         <div class="task-details">
@@ -82,6 +124,9 @@ export default function Task(props) {
             <span class={isOverdue() ? 'overdue' : ''}>
               Due: {formattedDueDate()}
             </span>
+            <Show when={props.task.recurrenceRule}>
+              <span class="task-recurrence text-sm" title={props.task.recurrenceRule}> (repeats)</span>
+            </Show>
           </div>
           
           <div class="task-status">
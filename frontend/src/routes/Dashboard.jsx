@@ -1,11 +1,13 @@
 import { createSignal, createEffect, onCleanup, For, Show } from 'solid-js';
 import { useNavigate } from 'solid-app-router';
 import Task from '../components/Task';
+import ProjectSidebar from '../components/ProjectSidebar';
 
 /**
  * Dashboard Route Component
  * 
- * Displays user tasks with real-time updates via WebSockets.
+ * Displays user tasks with real-time updates via WebSockets, filtered by
+ * the project selected in the sidebar.
  * Implements optimized rendering with batch updates and memoization.
  * 
  * @param {Object} props - Component props
@@ -20,6 +22,16 @@ export default function Dashboard(props) {
   const [tasks, setTasks] = createSignal([]);
   const [loading, setLoading] = createSignal(true);
   const [error, setError] = createSignal(null);
+  const [nextCursor, setNextCursor] = createSignal(null);
+  const [loadingMore, setLoadingMore] = createSignal(false);
+  const [searchQuery, setSearchQuery] = createSignal('');
+  const [searchResults, setSearchResults] = createSignal(null);
+  // Selected project: an ID, 'none' for tasks outside projects, or null for all
+  const [selectedProject, setSelectedProject] = createSignal(null);
+  // Task just moved to the trash, offered for undo
+  const [trashedTask, setTrashedTask] = createSignal(null);
+  // IDs of the tasks selected for bulk actions
+  const [selectedIds, setSelectedIds] = createSignal([]);
   
   // API base URL for backend requests
   const API_URL = 'http://localhost:8080/api';
@@ -27,32 +39,114 @@ export default function Dashboard(props) {
   // Helper function to get auth token from localStorage
   const getAuthToken = () => localStorage.getItem('authToken');
   
-  // Load tasks from API
+  // Request one page of tasks from the API
+  const fetchTaskPage = async (cursor) => {
+    const params = new URLSearchParams();
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    if (selectedProject()) {
+      params.set('projectId', selectedProject());
+    }
+    
+    const response = await fetch(`${API_URL}/tasks?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+      },
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Error fetching tasks: ${response.statusText}`);
+    }
+    
+    return response.json();
+  };
+  
+  // Load the first page of tasks from API
   const fetchTasks = async () => {
     setLoading(true);
     setError(null);
     
     try {
-      const response = await fetch(`${API_URL}/tasks`, {
+      const data = await fetchTaskPage();
+      setTasks(data.tasks);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to fetch tasks:', err);
+      setError('Failed to load tasks. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Append the next page of tasks
+  const loadMoreTasks = async () => {
+    if (!nextCursor() || loadingMore()) return;
+    
+    setLoadingMore(true);
+    
+    try {
+      const data = await fetchTaskPage(nextCursor());
+      // Skip tasks that already arrived through WebSocket updates
+      setTasks(prev => [
+        ...prev,
+        ...data.tasks.filter(task => !prev.some(existing => existing.id === task.id)),
+      ]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to load more tasks:', err);
+      setError('Failed to load more tasks. Please try again.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+  
+  // Run a full-text search; results replace the task list until the query is cleared
+  const searchTasks = async (query) => {
+    try {
+      const params = new URLSearchParams({ q: query });
+      const response = await fetch(`${API_URL}/tasks/search?${params}`, {
         headers: {
           'Authorization': `Bearer ${getAuthToken()}`,
         },
       });
       
       if (!response.ok) {
-        throw new Error(`Error fetching tasks: ${response.statusText}`);
+        throw new Error(`Error searching tasks: ${response.statusText}`);
       }
       
       const data = await response.json();
-      setTasks(data.tasks);
+      
+      // Ignore responses for a query the user has already changed
+      if (query === searchQuery().trim()) {
+        setSearchResults(data.tasks);
+      }
     } catch (err) {
-      console.error('Failed to fetch tasks:', err);
-      setError('Failed to load tasks. Please try again.');
-    } finally {
-      setLoading(false);
+      console.error('Failed to search tasks:', err);
+      setError('Failed to search tasks. Please try again.');
+    }
+  };
+  
+  // Debounce searches while the user is typing
+  let searchTimer;
+  const handleSearchInput = (event) => {
+    setSearchQuery(event.target.value);
+    clearTimeout(searchTimer);
+    
+    const query = event.target.value.trim();
+    if (!query) {
+      setSearchResults(null);
+      return;
     }
+    
+    searchTimer = setTimeout(() => searchTasks(query), 300);
   };
   
+  onCleanup(() => clearTimeout(searchTimer));
+  
+  // Tasks to display: search results while searching, otherwise the loaded pages
+  const visibleTasks = () => searchResults() ?? tasks();
+  
   // Handle task deletion
   const handleDeleteTask = async (taskId) => {
     try {
@@ -68,34 +162,144 @@ export default function Dashboard(props) {
       }
       
       // Optimistically remove task from local state
+      setTrashedTask(visibleTasks().find(task => task.id === taskId) || null);
       setTasks(prev => prev.filter(task => task.id !== taskId));
+      setSearchResults(prev => prev && prev.filter(task => task.id !== taskId));
     } catch (err) {
       console.error('Failed to delete task:', err);
       setError('Failed to delete task. Please try again.');
     }
   };
   
+  // Bring the last deleted task back from the trash
+  const handleUndoDelete = async () => {
+    const task = trashedTask();
+    if (!task) return;
+    
+    try {
+      const response = await fetch(`${API_URL}/tasks/${task.id}/restore`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+        },
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Error restoring task: ${response.statusText}`);
+      }
+      
+      // The TASK_RESTORED message puts it back in the list
+      setTrashedTask(null);
+    } catch (err) {
+      console.error('Failed to restore task:', err);
+      setError('Failed to restore task. Please try again.');
+    }
+  };
+  
+  // Add a task to or remove it from the bulk selection
+  const handleSelect = (taskId, selected) => {
+    setSelectedIds(prev => selected
+      ? [...prev, taskId]
+      : prev.filter(id => id !== taskId));
+  };
+  
+  // Apply one change to every selected task with a single bulk request
+  const runBulk = async (operations) => {
+    try {
+      const response = await fetch(`${API_URL}/tasks/bulk`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json',
+        },
+        // Best effort: tasks that can't be changed don't block the others
+        body: JSON.stringify({ operations, atomic: false }),
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Error applying bulk changes: ${response.statusText}`);
+      }
+      
+      const { results } = await response.json();
+      const failed = results.filter(result => !result.ok);
+      
+      // Apply the changes locally; other clients get them through TASKS_CHANGED
+      for (const result of results) {
+        if (!result.ok) continue;
+        if (result.task) {
+          setTasks(prev => prev.map(task => task.id === result.task.id ? result.task : task));
+          setSearchResults(prev => prev && prev.map(task =>
+            task.id === result.task.id ? { ...result.task, highlight: task.highlight } : task
+          ));
+        } else {
+          setTasks(prev => prev.filter(task => task.id !== result.taskId));
+          setSearchResults(prev => prev && prev.filter(task => task.id !== result.taskId));
+        }
+      }
+      
+      setSelectedIds(failed.map(result => operations[result.index].id));
+      if (failed.length > 0) {
+        setError(`${failed.length} of ${results.length} tasks could not be changed.`);
+      }
+    } catch (err) {
+      console.error('Failed to apply bulk changes:', err);
+      setError('Failed to change the selected tasks. Please try again.');
+    }
+  };
+  
+  const handleBulkStatus = (event) => {
+    const status = event.target.value;
+    event.target.value = '';
+    if (!status) return;
+    runBulk(selectedIds().map(id => ({ op: 'update', id, data: { status } })));
+  };
+  
+  const handleBulkDelete = () => {
+    if (!confirm(`Move ${selectedIds().length} tasks to the trash?`)) return;
+    runBulk(selectedIds().map(id => ({ op: 'delete', id })));
+  };
+  
+  // Replace a task in the list and the search results
+  const replaceTask = (updated) => {
+    setTasks(prev => prev.map(task => 
+      task.id === updated.id ? updated : task
+    ));
+    setSearchResults(prev => prev && prev.map(task =>
+      task.id === updated.id ? { ...updated, highlight: task.highlight } : task
+    ));
+  };
+  
   // Handle task status change
   const handleStatusChange = async (taskId, newStatus) => {
+    // Only change the version we show, so edits made elsewhere aren't overwritten
+    const shown = tasks().find(task => task.id === taskId)
+      || (searchResults() || []).find(task => task.id === taskId);
+    
     try {
       const response = await fetch(`${API_URL}/tasks/${taskId}`, {
         method: 'PUT',
         headers: {
           'Authorization': `Bearer ${getAuthToken()}`,
           'Content-Type': 'application/json',
+          ...(shown ? { 'If-Match': `"${shown.version}"` } : {}),
         },
         body: JSON.stringify({ status: newStatus }),
       });
       
+      if (response.status === 412) {
+        // Show the current copy instead
+        replaceTask((await response.json()).task);
+        setError('This task was changed elsewhere. Check it and try again.');
+        return;
+      }
+      
       if (!response.ok) {
         throw new Error(`Error updating task: ${response.statusText}`);
       }
       
       // Optimistically update task in local state
       const updatedTask = await response.json();
-      setTasks(prev => prev.map(task => 
-        task.id === taskId ? updatedTask.task : task
-      ));
+      replaceTask(updatedTask.task);
     } catch (err) {
       console.error('Failed to update task status:', err);
       setError('Failed to update task. Please try again.');
@@ -105,18 +309,84 @@ export default function Dashboard(props) {
   };
   
   // WebSocket event handlers for real-time updates
+  // Whether a task in this project belongs in the current view
+  const inView = (projectId) => {
+    const selected = selectedProject();
+    if (selected === null) return true;
+    if (selected === 'none') return !projectId;
+    return projectId === selected;
+  };
+  
+  // Apply a parent's new subtask progress carried by task events
+  const applyParentProgress = (parent) => {
+    if (!parent) return;
+    setTasks(prev => prev.map(task =>
+      task.id === parent.id ? { ...task, progress: parent.progress } : task
+    ));
+  };
+  
   const handleTaskCreated = (data) => {
+    applyParentProgress(data.parent);
+    // The dashboard lists top-level tasks of the selected project only
+    if (data.task.parentId || !inView(data.projectId)) return;
     setTasks(prev => [...prev, data.task].sort((a, b) => b.priority - a.priority));
   };
   
   const handleTaskUpdated = (data) => {
-    setTasks(prev => prev.map(task => 
-      task.id === data.task.id ? data.task : task
+    applyParentProgress(data.parent);
+    applyParentProgress(data.previousParent);
+    // Subtasks completed or moved along with the task have new versions too
+    (data.subtasks || []).forEach(subtask => handleTaskUpdated({ task: subtask, projectId: subtask.projectId }));
+    // Search results can hold subtasks, so keep them current as well
+    setSearchResults(prev => prev && prev.map(task =>
+      task.id === data.task.id && task.version <= data.task.version
+        ? { ...data.task, highlight: task.highlight }
+        : task
     ));
+    // Messages can arrive after a newer copy of the task; drop them
+    const shown = tasks().find(task => task.id === data.task.id);
+    if (shown && shown.version > data.task.version) return;
+    setTasks(prev => {
+      // Tasks moved under a parent or to another project leave the list
+      if (data.task.parentId || !inView(data.projectId)) {
+        return prev.filter(task => task.id !== data.task.id);
+      }
+      // Subtasks moved to the top level join it
+      if (!prev.some(task => task.id === data.task.id)) {
+        return [...prev, data.task].sort((a, b) => b.priority - a.priority);
+      }
+      return prev.map(task => 
+        task.id === data.task.id ? data.task : task
+      );
+    });
   };
   
   const handleTaskDeleted = (data) => {
+    applyParentProgress(data.parent);
     setTasks(prev => prev.filter(task => task.id !== data.taskId));
+    setSearchResults(prev => prev && prev.filter(task => task.id !== data.taskId));
+    setSelectedIds(prev => prev.filter(id => id !== data.taskId));
+  };
+  
+  // Bulk changes arrive as one message
+  const handleTasksChanged = (data) => {
+    data.created.forEach(task => handleTaskCreated({ task, projectId: task.projectId }));
+    data.updated.forEach(task => handleTaskUpdated({ task, projectId: task.projectId }));
+    data.deletedTaskIds.forEach(taskId => handleTaskDeleted({ taskId }));
+    data.parents.forEach(applyParentProgress);
+  };
+  
+  const handleTaskRestored = (data) => {
+    applyParentProgress(data.parent);
+    if (data.task.parentId || !inView(data.projectId)) return;
+    setTasks(prev => prev.some(task => task.id === data.task.id)
+      ? prev
+      : [...prev, data.task].sort((a, b) => b.priority - a.priority));
+  };
+  
+  // Deleting a project can move or delete many tasks at once
+  const handleProjectDeleted = () => {
+    fetchTasks();
   };
   
   // Set up WebSocket event listeners
@@ -130,6 +400,9 @@ export default function Dashboard(props) {
     const unsubscribeCreated = props.websocket.on('task_created', handleTaskCreated);
     const unsubscribeUpdated = props.websocket.on('task_updated', handleTaskUpdated);
     const unsubscribeDeleted = props.websocket.on('task_deleted', handleTaskDeleted);
+    const unsubscribeRestored = props.websocket.on('task_restored', handleTaskRestored);
+    const unsubscribeChanged = props.websocket.on('tasks_changed', handleTasksChanged);
+    const unsubscribeProjectDeleted = props.websocket.on('project_deleted', handleProjectDeleted);
     
     // Cleanup on component unmount
     onCleanup(() => {
@@ -137,11 +410,16 @@ export default function Dashboard(props) {
       unsubscribeCreated();
       unsubscribeUpdated();
       unsubscribeDeleted();
+      unsubscribeRestored();
+      unsubscribeChanged();
+      unsubscribeProjectDeleted();
     });
   });
   
-  // Fetch tasks on component mount
+  // Fetch tasks on component mount and whenever the selected project changes
   createEffect(() => {
+    selectedProject();
+    setSelectedIds([]);
     fetchTasks();
   });
   
@@ -151,7 +429,14 @@ export default function Dashboard(props) {
   };
   
   return (
-    <div class="container">
+    <div class="container dashboard-layout">
+      <ProjectSidebar
+        selected={selectedProject()}
+        onSelect={setSelectedProject}
+        websocket={props.websocket}
+      />
+      
+      <div class="dashboard-main">
       <div class="dashboard-header">
         <h2>Your Tasks</h2>
         <button class="btn btn-primary" onClick={handleAddTask}>
@@ -159,6 +444,42 @@ export default function Dashboard(props) {
         </button>
       </div>
       
+      <div class="form-group">
+        <input
+          type="search"
+          class="form-input"
+          placeholder="Search tasks..."
+          value={searchQuery()}
+          onInput={handleSearchInput}
+        />
+      </div>
+      
+      <Show when={selectedIds().length > 0}>
+        <div class="bulk-toolbar card flex justify-between items-center gap-2">
+          <span>{selectedIds().length} selected</span>
+          <span class="flex gap-2">
+            <select class="form-input" onChange={handleBulkStatus}>
+              <option value="">Set status...</option>
+              <option value="TODO">To Do</option>
+              <option value="IN_PROGRESS">In Progress</option>
+              <option value="DONE">Done</option>
+            </select>
+            <button class="btn btn-danger" onClick={handleBulkDelete}>Delete</button>
+            <button class="btn btn-secondary" onClick={() => setSelectedIds([])}>Clear</button>
+          </span>
+        </div>
+      </Show>
+      
+      <Show when={trashedTask()}>
+        <div class="trash-notice card flex justify-between items-center gap-2">
+          <span>"{trashedTask().title}" was moved to the trash.</span>
+          <span class="flex gap-2">
+            <button class="btn btn-secondary" onClick={handleUndoDelete}>Undo</button>
+            <button class="btn btn-secondary" onClick={() => setTrashedTask(null)}>Dismiss</button>
+          </span>
+        </div>
+      </Show>
+      
       <Show when={error()}>
         <div class="error-message">
           {error()}
@@ -169,27 +490,48 @@ export default function Dashboard(props) {
       </Show>
       
       <Show when={!loading()} fallback={<div class="loading"></div>}>
-        <Show when={tasks().length > 0} fallback={
-          <div class="empty-state">
-            <p>You don't have any tasks yet.</p>
-            <button class="btn btn-primary" onClick={handleAddTask}>
-              Create Your First Task
-            </button>
-          </div>
+        <Show when={visibleTasks().length > 0} fallback={
+          <Show when={searchResults()} fallback={
+            <div class="empty-state">
+              <p>You don't have any tasks yet.</p>
+              <button class="btn btn-primary" onClick={handleAddTask}>
+                Create Your First Task
+              </button>
+            </div>
+          }>
+            <div class="empty-state">
+              <p>No tasks match your search.</p>
+            </div>
+          </Show>
         }>
           <div class="task-list">
-            <For each={tasks()}>
+            <For each={visibleTasks()}>
               {(task) => (
                 <Task 
                   task={task} 
                   onDelete={handleDeleteTask}
                   onStatusChange={handleStatusChange}
+                  selected={selectedIds().includes(task.id)}
+                  onSelect={handleSelect}
                 />
               )}
             </For>
           </div>
+          
+          <Show when={nextCursor() && !searchResults()}>
+            <div class="text-center mt-4">
+              <button
+                class="btn btn-secondary"
+                onClick={loadMoreTasks}
+                disabled={loadingMore()}
+              >
+                {loadingMore() ? 'Loading...' : 'Load More'}
+              </button>
+            </div>
+          </Show>
         </Show>
       </Show>
+      </div>
     </div>
   );
 } 
\ No newline at end of file
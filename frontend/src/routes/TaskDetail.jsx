@@ -0,0 +1,295 @@
+import { createSignal, createEffect, onCleanup, For, Show } from 'solid-js';
+import { useParams, useNavigate } from 'solid-app-router';
+import { getAuthToken } from '../auth';
+import Task from '../components/Task';
+import CommentThread from '../components/CommentThread';
+import AttachmentList from '../components/AttachmentList';
+
+/**
+ * Task Detail Route Component
+ *
+ * Shows a single task with its upcoming occurrences (for recurring tasks),
+ * subtasks, attachments and a live comment thread.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - Current user data
+ * @param {Object} props.websocket - WebSocket client instance
+ */
+export default function TaskDetail(props) {
+  const params = useParams();
+  const navigate = useNavigate();
+
+  const [task, setTask] = createSignal(null);
+  const [subtasks, setSubtasks] = createSignal([]);
+  const [occurrences, setOccurrences] = createSignal([]);
+  const [loading, setLoading] = createSignal(true);
+  const [error, setError] = createSignal(null);
+
+  // API base URL for backend requests
+  const API_URL = 'http://localhost:8080/api';
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${getAuthToken()}`,
+  });
+
+  // Load the task and its subtasks
+  const fetchTask = async (id) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [taskResponse, subtasksResponse] = await Promise.all([
+        fetch(`${API_URL}/tasks/${id}`, { headers: authHeaders() }),
+        fetch(`${API_URL}/tasks/${id}/subtasks`, { headers: authHeaders() }),
+      ]);
+
+      if (!taskResponse.ok || !subtasksResponse.ok) {
+        throw new Error(`Error fetching task: ${taskResponse.statusText}`);
+      }
+
+      const loadedTask = (await taskResponse.json()).task;
+      setTask(loadedTask);
+      setSubtasks((await subtasksResponse.json()).tasks);
+
+      if (loadedTask.recurrenceRule) {
+        fetchOccurrences(id);
+      } else {
+        setOccurrences([]);
+      }
+    } catch (err) {
+      console.error('Failed to fetch task:', err);
+      setError('Failed to load task. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Load the upcoming due dates of a recurring task
+  const fetchOccurrences = async (id) => {
+    try {
+      const response = await fetch(`${API_URL}/tasks/${id}/occurrences?count=5`, { headers: authHeaders() });
+
+      if (!response.ok) {
+        throw new Error(`Error fetching occurrences: ${response.statusText}`);
+      }
+
+      setOccurrences((await response.json()).occurrences);
+    } catch (err) {
+      console.error('Failed to fetch occurrences:', err);
+    }
+  };
+
+  const formatOccurrence = (value) => new Intl.DateTimeFormat('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  }).format(new Date(value));
+
+  // The task or subtask shown with this ID
+  const shownTask = (taskId) => (task() && task().id === taskId
+    ? task()
+    : subtasks().find(subtask => subtask.id === taskId));
+
+  // Handle task status change
+  const handleStatusChange = async (taskId, newStatus) => {
+    // Only change the version we show, so edits made elsewhere aren't overwritten
+    const shown = shownTask(taskId);
+
+    try {
+      const response = await fetch(`${API_URL}/tasks/${taskId}`, {
+        method: 'PUT',
+        headers: {
+          ...authHeaders(),
+          'Content-Type': 'application/json',
+          ...(shown ? { 'If-Match': `"${shown.version}"` } : {}),
+        },
+        body: JSON.stringify({ status: newStatus }),
+      });
+
+      if (response.status === 412) {
+        // Show the current copy instead
+        handleTaskUpdated({ task: (await response.json()).task });
+        setError('This task was changed elsewhere. Check it and try again.');
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Error updating task: ${response.statusText}`);
+      }
+    } catch (err) {
+      console.error('Failed to update task status:', err);
+      setError('Failed to update task. Please try again.');
+    }
+  };
+
+  // Handle task deletion
+  const handleDeleteTask = async (taskId) => {
+    try {
+      const response = await fetch(`${API_URL}/tasks/${taskId}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Error deleting task: ${response.statusText}`);
+      }
+
+      if (taskId === params.id) {
+        navigate('/dashboard');
+      }
+    } catch (err) {
+      console.error('Failed to delete task:', err);
+      setError('Failed to delete task. Please try again.');
+    }
+  };
+
+  // Apply a parent's new subtask progress carried by task events
+  const applyParentProgress = (parent) => {
+    if (parent && parent.id === params.id) {
+      setTask(prev => prev && { ...prev, progress: parent.progress });
+    }
+  };
+
+  // WebSocket event handlers for real-time updates
+  const handleTaskUpdated = (data) => {
+    // Subtasks completed or moved along with the task have new versions too
+    (data.subtasks || []).forEach(subtask => handleTaskUpdated({ task: subtask }));
+
+    // Messages can arrive after a newer copy of the task; drop them
+    const shown = shownTask(data.task.id);
+    if (shown && shown.version > data.task.version) return;
+
+    if (data.task.id === params.id) {
+      setTask(data.task);
+      if (data.task.recurrenceRule) {
+        fetchOccurrences(params.id);
+      } else {
+        setOccurrences([]);
+      }
+    } else if (data.task.parentId === params.id) {
+      setSubtasks(prev => prev.some(subtask => subtask.id === data.task.id)
+        ? prev.map(subtask => subtask.id === data.task.id ? data.task : subtask)
+        : [...prev, data.task]);
+    } else {
+      // Moved away from this task
+      setSubtasks(prev => prev.filter(subtask => subtask.id !== data.task.id));
+    }
+
+    applyParentProgress(data.parent);
+    applyParentProgress(data.previousParent);
+  };
+
+  const handleTaskCreated = (data) => {
+    if (data.task.parentId === params.id) {
+      setSubtasks(prev => [...prev, data.task]);
+    }
+    applyParentProgress(data.parent);
+  };
+
+  const handleTaskDeleted = (data) => {
+    if (data.taskId === params.id) {
+      navigate('/dashboard');
+      return;
+    }
+    setSubtasks(prev => prev.filter(subtask => subtask.id !== data.taskId));
+    applyParentProgress(data.parent);
+  };
+
+  const handleTaskRestored = (data) => {
+    if (data.task.parentId === params.id) {
+      setSubtasks(prev => prev.some(subtask => subtask.id === data.task.id)
+        ? prev
+        : [...prev, data.task].sort((a, b) => a.position - b.position));
+    }
+    applyParentProgress(data.parent);
+  };
+
+  // Bulk changes arrive as one message
+  const handleTasksChanged = (data) => {
+    data.created.forEach(task => handleTaskCreated({ task }));
+    data.updated.forEach(task => handleTaskUpdated({ task }));
+    data.deletedTaskIds.forEach(taskId => handleTaskDeleted({ taskId }));
+    data.parents.forEach(applyParentProgress);
+  };
+
+  const handleSubtasksReordered = (data) => {
+    if (data.parentId !== params.id) return;
+    setSubtasks(prev => [...prev].sort((a, b) => data.taskIds.indexOf(a.id) - data.taskIds.indexOf(b.id)));
+  };
+
+  createEffect(() => {
+    fetchTask(params.id);
+  });
+
+  createEffect(() => {
+    if (!props.websocket) return;
+
+    const unsubscribeCreated = props.websocket.on('task_created', handleTaskCreated);
+    const unsubscribeUpdated = props.websocket.on('task_updated', handleTaskUpdated);
+    const unsubscribeDeleted = props.websocket.on('task_deleted', handleTaskDeleted);
+    const unsubscribeRestored = props.websocket.on('task_restored', handleTaskRestored);
+    const unsubscribeChanged = props.websocket.on('tasks_changed', handleTasksChanged);
+    const unsubscribeReordered = props.websocket.on('subtasks_reordered', handleSubtasksReordered);
+
+    onCleanup(() => {
+      unsubscribeCreated();
+      unsubscribeUpdated();
+      unsubscribeDeleted();
+      unsubscribeRestored();
+      unsubscribeChanged();
+      unsubscribeReordered();
+    });
+  });
+
+  return (
+    <div class="container">
+      <Show when={error()}>
+        <div class="error-message">
+          {error()}
+          <button class="btn btn-secondary" onClick={() => fetchTask(params.id)}>
+            Try Again
+          </button>
+        </div>
+      </Show>
+
+      <Show when={!loading()} fallback={<div class="loading"></div>}>
+        <Show when={task()}>
+          <Task
+            task={task()}
+            onDelete={handleDeleteTask}
+            onStatusChange={handleStatusChange}
+          />
+
+          <Show when={occurrences().length > 0}>
+            <div class="card">
+              <h3>Upcoming occurrences</h3>
+              <ul>
+                <For each={occurrences()}>
+                  {(occurrence) => <li class="text-sm">{formatOccurrence(occurrence)}</li>}
+                </For>
+              </ul>
+            </div>
+          </Show>
+
+          <Show when={subtasks().length > 0}>
+            <h3>Subtasks</h3>
+            <div class="task-list">
+              <For each={subtasks()}>
+                {(subtask) => (
+                  <Task
+                    task={subtask}
+                    onDelete={handleDeleteTask}
+                    onStatusChange={handleStatusChange}
+                  />
+                )}
+              </For>
+            </div>
+          </Show>
+
+          <AttachmentList taskId={params.id} />
+
+          <CommentThread taskId={params.id} user={props.user} websocket={props.websocket} />
+        </Show>
+      </Show>
+    </div>
+  );
+}